@@ -10,6 +10,17 @@ import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import usersRouter from "./src/routes/users.js";
+import adminRouter from "./src/routes/admin.js";
+import contractorsRouter from "./src/routes/contractors.js";
+import subcontractorsRouter from "./src/routes/subcontractors.js";
+import profileRouter from "./src/routes/profile.js";
+import verificationsRouter from "./src/routes/verifications.js";
+import uploadsRouter from "./src/routes/uploads.js";
+import searchRouter from "./src/routes/search.js";
+import taxonomyRouter from "./src/routes/taxonomy.js";
+import { startAccountPurgeJob } from "./src/jobs/purgeDeletedAccounts.js";
+import { startExpiryMonitorJob } from "./src/jobs/expiryMonitor.js";
+import { startUploadCleanupJob } from "./src/jobs/cleanupOrphanUploads.js";
 
 // Load chosen env file (default .env). To use Atlas: ENV_FILE=.env.atlas node index.js
 // To use local run: nodemon
@@ -63,6 +74,15 @@ app.use((req, res, next) => {
 
 // ----- Routes -----
 app.use("/api/users", usersRouter);
+// Before /api/admin: the queue has its own permission (profile:verify)
+app.use("/api/admin/verifications", verificationsRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/contractors", contractorsRouter);
+app.use("/api/subcontractors", subcontractorsRouter);
+app.use("/api/profile", profileRouter);
+app.use("/api/uploads", uploadsRouter);
+app.use("/api/search", searchRouter);
+app.use("/api/taxonomy", taxonomyRouter);
 app.get("/", (_req, res) => res.json({ message: "API is running" }));
 
 // 404
@@ -94,6 +114,11 @@ async function start() {
       : "local";
     console.log(`✅ MongoDB connected: ${host}`);
 
+    // Background jobs (need the DB connection)
+    startAccountPurgeJob();
+    startExpiryMonitorJob();
+    startUploadCleanupJob();
+
     app.listen(PORT, () =>
       console.log(
         `🚀 Server ready: http://localhost:${PORT}  (env: ${ENV_FILE})`
@@ -0,0 +1,33 @@
+// config/completeness.js
+// Page purpose: What counts toward profile completeness, per role, and how much.
+// Weights are relative (the score is achieved / total * 100), so adding or re-weighting an
+// item never requires the rest to sum to 100. Order breaks ties in the "next steps" list.
+// Each key must have a check in utils/completeness.js.
+
+export const COMPLETENESS_WEIGHTS = Object.freeze({
+  contractor: [
+    { key: "trade", label: "Add your primary trade", weight: 15 },
+    { key: "contact", label: "Add a contact phone and email", weight: 15 },
+    {
+      key: "certificates",
+      label: "Upload a license or certificate",
+      weight: 20,
+    },
+    { key: "portfolio", label: "Add photos of past work", weight: 20 },
+    { key: "photo", label: "Add a profile photo", weight: 10 },
+    { key: "address", label: "Add your business address", weight: 10 },
+    { key: "company", label: "Add your company name and number", weight: 10 },
+  ],
+  subcontractor: [
+    { key: "trade", label: "Add your primary trade", weight: 15 },
+    { key: "contact", label: "Add a contact phone and email", weight: 10 },
+    { key: "certificates", label: "Upload a certificate", weight: 15 },
+    { key: "availability", label: "Add when you're available", weight: 10 },
+    { key: "rates", label: "Set a day or hourly rate", weight: 10 },
+    { key: "insurance", label: "Add your work insurance", weight: 10 },
+    { key: "portfolio", label: "Add photos of past work", weight: 10 },
+    { key: "photo", label: "Add a profile photo", weight: 10 },
+    { key: "address", label: "Add your address", weight: 5 },
+    { key: "bio", label: "Write a short bio", weight: 5 },
+  ],
+});
@@ -0,0 +1,20 @@
+// config/db.js
+// Page purpose: Shared Mongo connection helper for one-off scripts (src/scripts/*).
+// Loads the same env file the server uses (ENV_FILE, default .env).
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+export async function connectDB() {
+  const ENV_FILE = process.env.ENV_FILE || ".env";
+  dotenv.config({ path: ENV_FILE });
+
+  if (!process.env.MONGO_URI) {
+    throw new Error(`Missing MONGO_URI in ${ENV_FILE}`);
+  }
+  await mongoose.connect(process.env.MONGO_URI, {
+    serverSelectionTimeoutMS: 8000,
+  });
+}
+
+export const disconnectDB = () => mongoose.disconnect();
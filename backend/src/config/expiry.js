@@ -0,0 +1,33 @@
+// config/expiry.js
+// Page purpose: Credential expiry monitoring settings (env overrides, sensible defaults).
+// Read via expiryPolicy() at call time — dotenv loads after module imports in index.js.
+
+// "30,7,0" → [0, 7, 30] (ascending, unique, non-negative)
+const dayList = (value, fallback) => {
+  const days = String(value ?? "")
+    .split(",")
+    .filter((d) => d.trim() !== "") // unset / "30,,7": Number("") would be 0
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d >= 0);
+  return days.length ? [...new Set(days)].sort((a, b) => a - b) : fallback;
+};
+
+// ExpiryNotice keeps notices for a year past the item's expiry (models/ExpiryNotice.js)
+const MAX_EXPIRED_GRACE_DAYS = 300;
+
+export const expiryPolicy = () => ({
+  // Reminder windows, in days before expiry (0 = on/after the expiry date)
+  reminderDays: dayList(process.env.EXPIRY_REMINDER_DAYS, [0, 7, 30]),
+  // How long after expiry an item keeps being checked (the "expired" reminder is still
+  // sent if the job was down). Capped below the ExpiryNotice TTL so reminders stay once-only.
+  expiredGraceDays: Math.min(
+    Number(process.env.EXPIRY_EXPIRED_GRACE_DAYS || 30),
+    MAX_EXPIRED_GRACE_DAYS
+  ),
+  // How often the scheduled check runs
+  checkIntervalMinutes: Number(
+    process.env.EXPIRY_CHECK_INTERVAL_MINUTES || 360
+  ),
+  // Default look-ahead for GET /api/profile/me/expiries
+  upcomingDays: Number(process.env.EXPIRY_UPCOMING_DAYS || 90),
+});
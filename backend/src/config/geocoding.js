@@ -0,0 +1,20 @@
+// config/geocoding.js
+// Page purpose: Geocoding and radius search settings (env overrides, sensible defaults).
+// Read via geocodingConfig() at call time — dotenv loads after module imports in index.js.
+
+// How exact a stored address point is:
+// "pin" = coordinates taken from the address' googleMapsUrl, "street" = a street address
+// found by an online provider, "locality" = centre of the city/town (offline gazetteer)
+export const LOCATION_PRECISIONS = ["pin", "street", "locality"];
+
+export const RADIUS_KM = {
+  default: 25, // search radius when `near` is given without `radiusKm`
+  max: 200, // cap for search radius and a subcontractor's serviceRadiusKm
+};
+
+export const geocodingConfig = () => ({
+  // "offline" = bundled gazetteer of Israeli localities (services/geocoderAdapters/)
+  adapter: process.env.GEOCODER_ADAPTER || "offline",
+  // Alternative gazetteer for the offline adapter (JSON array, see geocoderAdapters/localities.json)
+  gazetteerPath: process.env.GEOCODER_GAZETTEER_PATH || null,
+});
@@ -0,0 +1,31 @@
+// config/registry.js
+// Page purpose: Licence registry lookup settings (env overrides, sensible defaults).
+// Read via registryConfig() at call time — dotenv loads after module imports in index.js.
+
+// Registries a certificate's credentialId can be checked against.
+export const REGISTRIES = {
+  contractors: "Registrar of Contractors (פנקס הקבלנים)",
+  electricians: "Electricians licence list (רישיונות חשמלאים)",
+};
+
+// Outcome of a lookup, stored on the certificate (registryCheck.status)
+export const REGISTRY_STATUSES = [
+  "active",
+  "expired",
+  "suspended",
+  "revoked",
+  "not-found",
+];
+
+export const registryConfig = () => ({
+  // "local" = bundled fixtures (development), "govil" = data.gov.il datastore API
+  adapter: process.env.REGISTRY_ADAPTER || "local",
+  // Alternative fixtures file for the local adapter (JSON array, see registryAdapters/fixtures.json)
+  fixturesPath: process.env.REGISTRY_FIXTURES_PATH || null,
+  // data.gov.il dataset resource ids, one per registry
+  govilResources: {
+    contractors: process.env.REGISTRY_GOVIL_CONTRACTORS_RESOURCE || "",
+    electricians: process.env.REGISTRY_GOVIL_ELECTRICIANS_RESOURCE || "",
+  },
+  timeoutMs: Number(process.env.REGISTRY_TIMEOUT_MS || 8000),
+});
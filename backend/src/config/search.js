@@ -0,0 +1,17 @@
+// config/search.js
+// Page purpose: Facet settings for the profile directory search (services/profileSearch.js).
+// Bucket lists are lower bounds in ascending order; the last bucket is open-ended
+// ([0, 300, 500] → 0–300, 300–500, 500+). Rates are in the profile's currency (ILS).
+
+export const SEARCH_FACETS = {
+  // Most common values listed per facet (trades, areas, languages)
+  valueLimit: 20,
+  dayRateBuckets: [0, 300, 500, 700, 900, 1200],
+  hourRateBuckets: [0, 50, 80, 120, 160],
+  // Unrated profiles (ratingCount 0) are left out of the rating facet
+  ratingBuckets: [0, 3, 4, 4.5],
+};
+
+// Profiles read per page when an availability window is set: each is checked exactly in JS,
+// so a page may come back short while nextCursor still points further.
+export const AVAILABILITY_SCAN_FACTOR = 5;
@@ -0,0 +1,23 @@
+// config/security.js
+// Page purpose: Tunable login-protection policy (env overrides, sensible defaults).
+// Read via loginPolicy() at call time — dotenv loads after module imports in index.js.
+
+const num = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+
+export const loginPolicy = () => ({
+  // Failures older than this are forgotten
+  failureWindowMinutes: num("LOGIN_FAILURE_WINDOW_MINUTES", 60),
+
+  // Per account+IP: free failures before delays kick in, then base * 2^n, capped
+  pairThreshold: num("LOGIN_PAIR_THRESHOLD", 3),
+  // Per account, counting only IPs the user never logged in from (distributed guessing)
+  accountThreshold: num("LOGIN_ACCOUNT_THRESHOLD", 10),
+  backoffBaseSeconds: num("LOGIN_BACKOFF_BASE_SECONDS", 30),
+  backoffMaxMinutes: num("LOGIN_BACKOFF_MAX_MINUTES", 60),
+
+  // An IP with a successful login in this period counts as a known device
+  knownIpDays: num("LOGIN_KNOWN_IP_DAYS", 90),
+});
@@ -0,0 +1,604 @@
+// config/trades.js
+// Page purpose: Canonical trade taxonomy (trade → specialties) used to normalize the free-text
+// primaryTrade / otherTrades / skills / services of profiles (utils/taxonomy.js) and for
+// autocomplete (/api/taxonomy/trades).
+// Each entry: key (stable, stored on profiles — never rename, add a new one instead),
+// labels in he / en / ru / ar, and synonyms in any language (job titles, plurals, slang).
+// Labels and synonyms are matched case-, niqqud- and punctuation-insensitively, so list
+// each wording once. Specialty keys are "<trade>.<specialty>".
+
+export const TRADE_LANGUAGES = ["he", "en", "ru", "ar"];
+
+// Free-text profile fields that are mapped onto the taxonomy, per profile type.
+export const TRADE_FIELDS = {
+  contractor: ["primaryTrade", "otherTrades", "skills", "services"],
+  subcontractor: ["primaryTrade", "otherTrades", "skills"],
+};
+
+export const TRADES = [
+  {
+    key: "construction",
+    labels: {
+      he: "בנייה",
+      en: "Construction",
+      ru: "Строительство",
+      ar: "بناء",
+    },
+    synonyms: ["בנאי", "שלד", "עבודות שלד", "builder", "строитель", "بنّاء"],
+    specialties: [
+      {
+        key: "construction.formwork",
+        labels: { he: "טפסנות", en: "Formwork", ru: "Опалубка", ar: "طوبار" },
+        synonyms: ["טפסן", "formwork carpenter", "опалубщик", "طوبرجي"],
+      },
+      {
+        key: "construction.concrete",
+        labels: {
+          he: "עבודות בטון",
+          en: "Concrete work",
+          ru: "Бетонные работы",
+          ar: "أعمال الباطون",
+        },
+        synonyms: ["בטון", "יציקות", "concrete", "бетонщик", "باطون", "خرسانة"],
+      },
+      {
+        key: "construction.masonry",
+        labels: {
+          he: "בנייה בבלוקים",
+          en: "Blockwork & masonry",
+          ru: "Кладка",
+          ar: "بناء الطوب",
+        },
+        synonyms: [
+          "בלוקים",
+          "masonry",
+          "blockwork",
+          "bricklayer",
+          "каменщик",
+          "طوب",
+        ],
+      },
+      {
+        key: "construction.rebar",
+        labels: {
+          he: "ברזלנות",
+          en: "Rebar fixing",
+          ru: "Арматурные работы",
+          ar: "تسليح",
+        },
+        synonyms: ["ברזלן", "קשירת ברזל", "rebar", "steel fixer", "арматурщик"],
+      },
+      {
+        key: "construction.demolition",
+        labels: { he: "הריסה", en: "Demolition", ru: "Демонтаж", ar: "هدم" },
+        synonyms: ["פירוק", "הריסות", "demolition worker"],
+      },
+    ],
+  },
+  {
+    key: "electrical",
+    labels: { he: "חשמל", en: "Electrical", ru: "Электрика", ar: "كهرباء" },
+    synonyms: [
+      "חשמלאי",
+      "חשמלאות",
+      "electrician",
+      "electric",
+      "электрик",
+      "электромонтер",
+      "كهربائي",
+    ],
+    specialties: [
+      {
+        key: "electrical.installation",
+        labels: {
+          he: "התקנות חשמל",
+          en: "Electrical installation",
+          ru: "Электромонтаж",
+          ar: "تمديدات كهربائية",
+        },
+        synonyms: ["לוחות חשמל", "wiring", "проводка"],
+      },
+      {
+        key: "electrical.lighting",
+        labels: { he: "תאורה", en: "Lighting", ru: "Освещение", ar: "إنارة" },
+        synonyms: ["גופי תאורה", "lighting installation"],
+      },
+      {
+        key: "electrical.solar",
+        labels: {
+          he: "מערכות סולאריות",
+          en: "Solar PV",
+          ru: "Солнечные панели",
+          ar: "طاقة شمسية",
+        },
+        synonyms: ["פאנלים סולאריים", "סולארי", "photovoltaic", "solar panels"],
+      },
+      {
+        key: "electrical.low-voltage",
+        labels: {
+          he: "מתח נמוך ותקשורת",
+          en: "Low voltage & data",
+          ru: "Слаботочные системы",
+          ar: "تيار خفيف واتصالات",
+        },
+        synonyms: ["תקשורת", "מצלמות אבטחה", "data cabling", "cctv"],
+      },
+      {
+        key: "electrical.smart-home",
+        labels: {
+          he: "בית חכם",
+          en: "Smart home",
+          ru: "Умный дом",
+          ar: "بيت ذكي",
+        },
+        synonyms: ["home automation"],
+      },
+    ],
+  },
+  {
+    key: "plumbing",
+    labels: { he: "אינסטלציה", en: "Plumbing", ru: "Сантехника", ar: "سباكة" },
+    synonyms: ["אינסטלטור", "שרברב", "plumber", "сантехник", "سباك", "مواسرجي"],
+    specialties: [
+      {
+        key: "plumbing.water-drainage",
+        labels: {
+          he: "מים וניקוז",
+          en: "Water & drainage",
+          ru: "Водопровод и канализация",
+          ar: "مياه وصرف",
+        },
+        synonyms: ["ניקוז", "ביוב", "drainage", "sewage", "канализация"],
+      },
+      {
+        key: "plumbing.gas",
+        labels: {
+          he: "גז",
+          en: "Gas fitting",
+          ru: "Газовое оборудование",
+          ar: "غاز",
+        },
+        synonyms: ["טכנאי גז", "gas technician", "gas fitter", "газовщик"],
+      },
+      {
+        key: "plumbing.water-heaters",
+        labels: {
+          he: "דודי מים",
+          en: "Water heaters",
+          ru: "Водонагреватели",
+          ar: "سخانات مياه",
+        },
+        synonyms: [
+          "דוד שמש",
+          "דודים",
+          "solar water heater",
+          "boiler",
+          "бойлер",
+        ],
+      },
+    ],
+  },
+  {
+    key: "tiling",
+    labels: {
+      he: "ריצוף וחיפוי",
+      en: "Tiling",
+      ru: "Плиточные работы",
+      ar: "تبليط",
+    },
+    synonyms: ["רצף", "רצפות", "tiler", "плиточник", "مبلط", "بلاط"],
+    specialties: [
+      {
+        key: "tiling.floor",
+        labels: {
+          he: "ריצוף",
+          en: "Floor tiling",
+          ru: "Укладка напольной плитки",
+          ar: "تبليط أرضيات",
+        },
+        synonyms: ["floor tiles", "flooring"],
+      },
+      {
+        key: "tiling.wall",
+        labels: {
+          he: "חיפוי קירות",
+          en: "Wall cladding",
+          ru: "Облицовка стен",
+          ar: "تكسية جدران",
+        },
+        synonyms: ["חיפוי", "cladding", "облицовка"],
+      },
+      {
+        key: "tiling.stone",
+        labels: {
+          he: "עבודות אבן",
+          en: "Stonework",
+          ru: "Работа с камнем",
+          ar: "أعمال الحجر",
+        },
+        synonyms: ["אבן", "אבן טבעית", "natural stone", "stone mason", "حجر"],
+      },
+    ],
+  },
+  {
+    key: "plastering",
+    labels: {
+      he: "טיח",
+      en: "Plastering",
+      ru: "Штукатурные работы",
+      ar: "قصارة",
+    },
+    synonyms: ["טייח", "טייחות", "plasterer", "render", "штукатур"],
+    specialties: [],
+  },
+  {
+    key: "drywall",
+    labels: { he: "גבס", en: "Drywall", ru: "Гипсокартон", ar: "جبس" },
+    synonyms: [
+      "גבסן",
+      "עבודות גבס",
+      "drywaller",
+      "plasterboard",
+      "gypsum board",
+      "гипсокартонщик",
+      "جبصين",
+    ],
+    specialties: [
+      {
+        key: "drywall.partitions",
+        labels: {
+          he: "קירות גבס",
+          en: "Drywall partitions",
+          ru: "Перегородки из гипсокартона",
+          ar: "جدران جبس",
+        },
+        synonyms: ["partition walls", "מחיצות"],
+      },
+      {
+        key: "drywall.ceilings",
+        labels: {
+          he: "תקרות אקוסטיות",
+          en: "Suspended ceilings",
+          ru: "Подвесные потолки",
+          ar: "أسقف معلقة",
+        },
+        synonyms: ["תקרות גבס", "תקרה אקוסטית", "false ceiling", "ceilings"],
+      },
+    ],
+  },
+  {
+    key: "painting",
+    labels: { he: "צבע", en: "Painting", ru: "Малярные работы", ar: "دهان" },
+    synonyms: ["צבעי", "צבעות", "צביעה", "painter", "маляр", "دهّان"],
+    specialties: [
+      {
+        key: "painting.interior",
+        labels: {
+          he: "צביעת פנים",
+          en: "Interior painting",
+          ru: "Внутренняя покраска",
+          ar: "دهان داخلي",
+        },
+        synonyms: [],
+      },
+      {
+        key: "painting.exterior",
+        labels: {
+          he: "צביעת חוץ",
+          en: "Exterior painting",
+          ru: "Наружная покраска",
+          ar: "دهان خارجي",
+        },
+        synonyms: ["צביעת חזיתות", "facade painting"],
+      },
+      {
+        key: "painting.decorative",
+        labels: {
+          he: "צבע דקורטיבי",
+          en: "Decorative finishes",
+          ru: "Декоративная отделка",
+          ar: "دهان ديكور",
+        },
+        synonyms: ["decorative painting", "microcement", "מיקרוטופינג"],
+      },
+    ],
+  },
+  {
+    key: "carpentry",
+    labels: {
+      he: "נגרות",
+      en: "Carpentry",
+      ru: "Столярные работы",
+      ar: "نجارة",
+    },
+    synonyms: ["נגר", "carpenter", "joiner", "столяр", "плотник", "نجار"],
+    specialties: [
+      {
+        key: "carpentry.kitchens",
+        labels: { he: "מטבחים", en: "Kitchens", ru: "Кухни", ar: "مطابخ" },
+        synonyms: ["kitchen fitting", "נגרות מטבחים"],
+      },
+      {
+        key: "carpentry.doors",
+        labels: { he: "דלתות", en: "Doors", ru: "Двери", ar: "أبواب" },
+        synonyms: ["התקנת דלתות", "door installation"],
+      },
+      {
+        key: "carpentry.wood-flooring",
+        labels: { he: "פרקט", en: "Wood flooring", ru: "Паркет", ar: "باركيه" },
+        synonyms: ["parquet", "deck flooring"],
+      },
+      {
+        key: "carpentry.pergolas",
+        labels: {
+          he: "פרגולות ודקים",
+          en: "Pergolas & decking",
+          ru: "Перголы и настилы",
+          ar: "برجولات",
+        },
+        synonyms: ["פרגולה", "דק", "pergola", "decking"],
+      },
+    ],
+  },
+  {
+    key: "aluminium",
+    labels: {
+      he: "אלומיניום",
+      en: "Aluminium",
+      ru: "Алюминиевые конструкции",
+      ar: "ألمنيوم",
+    },
+    synonyms: ["אלומיניומאי", "aluminum", "ألومنيوم"],
+    specialties: [
+      {
+        key: "aluminium.windows",
+        labels: { he: "חלונות", en: "Windows", ru: "Окна", ar: "شبابيك" },
+        synonyms: ["window installation"],
+      },
+      {
+        key: "aluminium.shutters",
+        labels: {
+          he: "תריסים",
+          en: "Shutters",
+          ru: "Жалюзи и ставни",
+          ar: "أباجورات",
+        },
+        synonyms: ["תריסים חשמליים", "roller shutters"],
+      },
+      {
+        key: "aluminium.glazing",
+        labels: { he: "זכוכית", en: "Glazing", ru: "Остекление", ar: "زجاج" },
+        synonyms: ["זגג", "glazier", "стекольщик"],
+      },
+    ],
+  },
+  {
+    key: "metalwork",
+    labels: {
+      he: "מסגרות",
+      en: "Metalwork",
+      ru: "Металлоконструкции",
+      ar: "حدادة",
+    },
+    synonyms: ["מסגר", "metal worker", "blacksmith", "слесарь", "حداد"],
+    specialties: [
+      {
+        key: "metalwork.welding",
+        labels: { he: "ריתוך", en: "Welding", ru: "Сварка", ar: "لحام" },
+        synonyms: ["רתך", "welder", "сварщик", "لحّام"],
+      },
+      {
+        key: "metalwork.railings",
+        labels: { he: "מעקות", en: "Railings", ru: "Перила", ar: "درابزين" },
+        synonyms: ["מעקה", "balustrades"],
+      },
+      {
+        key: "metalwork.gates",
+        labels: { he: "שערים", en: "Gates", ru: "Ворота", ar: "بوابات" },
+        synonyms: ["שער", "gate"],
+      },
+    ],
+  },
+  {
+    key: "hvac",
+    labels: {
+      he: "מיזוג אוויר",
+      en: "HVAC",
+      ru: "Кондиционирование",
+      ar: "تكييف",
+    },
+    synonyms: [
+      "מיזוג",
+      "מזגנים",
+      "טכנאי מזגנים",
+      "air conditioning",
+      "ac technician",
+      "кондиционеры",
+      "مكيفات",
+    ],
+    specialties: [
+      {
+        key: "hvac.installation",
+        labels: {
+          he: "התקנת מזגנים",
+          en: "AC installation",
+          ru: "Установка кондиционеров",
+          ar: "تركيب مكيفات",
+        },
+        synonyms: ["מיני מרכזי", "vrf"],
+      },
+      {
+        key: "hvac.ventilation",
+        labels: {
+          he: "אוורור",
+          en: "Ventilation",
+          ru: "Вентиляция",
+          ar: "تهوية",
+        },
+        synonyms: ["תעלות מיזוג", "ductwork"],
+      },
+    ],
+  },
+  {
+    key: "waterproofing",
+    labels: {
+      he: "איטום",
+      en: "Waterproofing",
+      ru: "Гидроизоляция",
+      ar: "عزل",
+    },
+    synonyms: ["איטומים", "אוטם", "sealing", "عزل مياه"],
+    specialties: [
+      {
+        key: "waterproofing.roofs",
+        labels: {
+          he: "איטום גגות",
+          en: "Roof waterproofing",
+          ru: "Гидроизоляция кровли",
+          ar: "عزل أسطح",
+        },
+        synonyms: [],
+      },
+      {
+        key: "waterproofing.wet-rooms",
+        labels: {
+          he: "איטום חדרים רטובים",
+          en: "Wet room waterproofing",
+          ru: "Гидроизоляция ванных",
+          ar: "عزل حمامات",
+        },
+        synonyms: ["איטום מקלחות", "bathroom waterproofing"],
+      },
+    ],
+  },
+  {
+    key: "roofing",
+    labels: { he: "גגות", en: "Roofing", ru: "Кровельные работы", ar: "أسطح" },
+    synonyms: ["גגן", "רעפים", "גגות רעפים", "roofer", "кровельщик"],
+    specialties: [],
+  },
+  {
+    key: "landscaping",
+    labels: {
+      he: "גינון ופיתוח",
+      en: "Landscaping",
+      ru: "Ландшафтные работы",
+      ar: "تنسيق حدائق",
+    },
+    synonyms: [
+      "גינון",
+      "גנן",
+      "פיתוח שטח",
+      "gardener",
+      "gardening",
+      "садовник",
+      "جنائني",
+    ],
+    specialties: [
+      {
+        key: "landscaping.paving",
+        labels: {
+          he: "ריצוף חוץ",
+          en: "Paving",
+          ru: "Мощение",
+          ar: "رصف",
+        },
+        synonyms: [
+          "אבנים משתלבות",
+          "אבן משתלבת",
+          "interlocking pavers",
+          "انترلوك",
+        ],
+      },
+      {
+        key: "landscaping.irrigation",
+        labels: { he: "השקיה", en: "Irrigation", ru: "Полив", ar: "ري" },
+        synonyms: ["מערכות השקיה", "irrigation systems"],
+      },
+    ],
+  },
+  {
+    key: "earthworks",
+    labels: {
+      he: "עבודות עפר",
+      en: "Earthworks",
+      ru: "Земляные работы",
+      ar: "أعمال ترابية",
+    },
+    synonyms: ["עפר", "earthmoving"],
+    specialties: [
+      {
+        key: "earthworks.excavation",
+        labels: {
+          he: "חפירה",
+          en: "Excavation",
+          ru: "Выемка грунта",
+          ar: "حفريات",
+        },
+        synonyms: ["חפירות", "digging"],
+      },
+      {
+        key: "earthworks.heavy-equipment",
+        labels: {
+          he: "ציוד מכני כבד",
+          en: "Heavy equipment operation",
+          ru: "Спецтехника",
+          ar: "معدات ثقيلة",
+        },
+        synonyms: [
+          "מפעיל ציוד כבד",
+          "טרקטור",
+          "מחפר",
+          "באגר",
+          "בובקט",
+          "excavator operator",
+          "bobcat",
+          "экскаваторщик",
+          "باجر",
+        ],
+      },
+      {
+        key: "earthworks.crane",
+        labels: {
+          he: "עגורנאות",
+          en: "Crane operation",
+          ru: "Крановые работы",
+          ar: "رافعات",
+        },
+        synonyms: [
+          "עגורנאי",
+          "מנופאי",
+          "מנוף",
+          "crane operator",
+          "крановщик",
+          "ونش",
+        ],
+      },
+    ],
+  },
+  {
+    key: "scaffolding",
+    labels: {
+      he: "פיגומים",
+      en: "Scaffolding",
+      ru: "Строительные леса",
+      ar: "سقالات",
+    },
+    synonyms: ["פיגומאי", "scaffolder", "монтаж лесов"],
+    specialties: [],
+  },
+  {
+    key: "renovation",
+    labels: { he: "שיפוצים", en: "Renovation", ru: "Ремонт", ar: "ترميم" },
+    synonyms: [
+      "שיפוץ",
+      "שיפוצניק",
+      "קבלן שיפוצים",
+      "handyman",
+      "renovations",
+      "ремонт квартир",
+      "ترميمات",
+    ],
+    specialties: [],
+  },
+];
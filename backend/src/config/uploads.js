@@ -0,0 +1,67 @@
+// config/uploads.js
+// Page purpose: File upload settings — what each kind of upload may contain, and env overrides.
+// Read via uploadConfig() at call time — dotenv loads after module imports in index.js.
+
+const MB = 1024 * 1024;
+
+const IMAGES = ["image/jpeg", "image/png", "image/webp"];
+
+/**
+ * Upload kinds (POST /api/uploads/:kind). Public files are served to anyone;
+ * private ones only to the owner/reviewers or through a short-lived signed URL.
+ * usedBy = the fields that may point at files of this kind.
+ * variants = resized copies generated for images (IMAGE_VARIANTS); every image upload is
+ * re-encoded regardless, to apply its EXIF orientation and drop metadata (GPS location).
+ */
+export const UPLOAD_KINDS = {
+  avatar: {
+    mimeTypes: IMAGES,
+    maxBytes: 5 * MB,
+    visibility: "public",
+    usedBy: "user image.url, profile profilePhotoUrl",
+    variants: true,
+  },
+  portfolio: {
+    mimeTypes: IMAGES,
+    maxBytes: 10 * MB,
+    visibility: "public",
+    usedBy: "portfolio[].url, experience[].images[].url",
+    variants: true,
+  },
+  certificate: {
+    mimeTypes: [...IMAGES, "application/pdf"],
+    maxBytes: 10 * MB,
+    visibility: "private",
+    usedBy: "certificates[].fileUrl",
+  },
+  document: {
+    mimeTypes: [...IMAGES, "application/pdf"],
+    maxBytes: 15 * MB,
+    visibility: "private",
+    usedBy: "documents[], insurance.fileUrl",
+  },
+};
+
+// Resized copies of public images. "cover" crops to exactly width×height (feed cards,
+// avatars); "inside" only shrinks, keeping the aspect ratio (gallery/lightbox).
+export const IMAGE_VARIANTS = {
+  thumb: { width: 160, height: 160, fit: "cover" },
+  card: { width: 480, height: 360, fit: "cover" },
+  full: { width: 1600, height: 1600, fit: "inside" },
+};
+
+export const uploadConfig = () => ({
+  // "local" = disk under UPLOAD_DIR (an S3-compatible adapter can be added alongside)
+  storage: process.env.UPLOAD_STORAGE || "local",
+  dir: process.env.UPLOAD_DIR || "uploads",
+  quotaBytes: Number(process.env.UPLOAD_QUOTA_MB || 200) * MB,
+  signedUrlTtlMinutes: Number(process.env.UPLOAD_SIGNED_URL_TTL_MINUTES || 15),
+  // Unreferenced files younger than this are kept (the form they belong to may not be saved yet)
+  orphanGraceHours: Number(process.env.UPLOAD_ORPHAN_GRACE_HOURS || 24),
+  cleanupIntervalMinutes: Number(
+    process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES || 60
+  ),
+  // Variant encoding: "webp" (default) or "avif" (smaller, slower to encode)
+  variantFormat: process.env.IMAGE_VARIANT_FORMAT === "avif" ? "avif" : "webp",
+  variantQuality: Number(process.env.IMAGE_VARIANT_QUALITY || 80),
+});
@@ -0,0 +1,10 @@
+// config/urls.js
+// Page purpose: Public base URL of this API (API_PUBLIC_URL), used wherever the API hands out
+// absolute links to itself: uploaded files (utils/uploadUrls.js), calendar feeds.
+// Read lazily: dotenv loads after imports in index.js.
+
+export const apiUrl = (pathname = "/") =>
+  new URL(
+    pathname,
+    process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}`
+  ).toString();
@@ -1,16 +1,47 @@
 //* Description: Controller for contractor profile operations
 //* Connects the pre-existing user data with the contractor profile creation and update process.
+//* Mounted by routes/contractors.js (/api/contractors). Every "me" handler acts on the profile
+//* owned by req.user.sub (set by auth); Express 5 forwards async errors to the error handler.
 
+import mongoose from "mongoose";
 import ContractorProfile from "../models/ContractorProfile.js";
 import {
   upsertContractorProfileSchema,
   prefillContractorProfileInput,
 } from "../validators/contractorProfile.js";
 import User from "../models/User.js";
+import {
+  submitCertificateVerification,
+  mergeCertificates,
+  changedCertificateIds,
+  cancelPendingVerifications,
+} from "../services/verification.js";
+import { checkCertificateInRegistry } from "../services/registry.js";
+
+/* ---------- Helpers ---------- */
+
+const findMine = (req) => ContractorProfile.findOne({ userId: req.user.sub });
+
+const notFound = (res) =>
+  res.status(404).json({ error: "Contractor profile not found" });
 
+// Same cap as the Joi .max(30) on the certificates/portfolio arrays.
+const LIST_LIMIT = 30;
+
+/* ---------- Profile ---------- */
+
+// GET /api/contractors/me
+export const getMe = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+  res.json(doc);
+};
+
+// PUT /api/contractors/me — create or replace (prefilled from registration data)
 export const upsertMe = async (req, res) => {
   // Get the freshest user doc (or rely on req.user if it contains full fields)
-  const user = await User.findById(req.user._id).lean();
+  const user = await User.findById(req.user.sub).lean();
+  if (!user) return res.status(404).json({ error: "User not found" });
 
   // 1) Prefill from user registration data
   const prefilled = prefillContractorProfileInput(user, req.body);
@@ -19,13 +50,170 @@ export const upsertMe = async (req, res) => {
   const { value, error } = upsertContractorProfileSchema.validate(prefilled);
   if (error) return res.status(400).json({ error: error.details[0].message });
 
-  // 3) Persist
-  value.userId = req.user._id;
-  const doc = await ContractorProfile.findOneAndUpdate(
-    { userId: req.user._id },
-    { $set: value },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
+  // 3) Persist (load + save so schema validation and hooks run)
+  const existing = await findMine(req);
+  const doc = existing || new ContractorProfile({ userId: req.user.sub });
+  const certificates = mergeCertificates(doc.certificates, value.certificates);
+  const changed = changedCertificateIds(doc.certificates, certificates);
+  doc.set({ ...value, certificates });
+  await doc.save();
+  await cancelPendingVerifications(changed, "Certificate changed");
+
+  res.status(existing ? 200 : 201).json(doc);
+};
+
+// PATCH /api/contractors/me — body already validated by patchContractorProfileSchema
+export const patchMe = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const { certificates, ...fields } = req.body;
+  let changed = [];
+  doc.set(fields);
+  if (certificates) {
+    const merged = mergeCertificates(doc.certificates, certificates);
+    changed = changedCertificateIds(doc.certificates, merged);
+    doc.certificates = merged;
+  }
+  await doc.save();
+  await cancelPendingVerifications(changed, "Certificate changed");
+  res.json(doc);
+};
+
+// DELETE /api/contractors/me
+export const deleteMe = async (req, res) => {
+  const { deletedCount } = await ContractorProfile.deleteOne({
+    userId: req.user.sub,
+  });
+  if (!deletedCount) return notFound(res);
+  res.json({ message: "Contractor profile deleted" });
+};
+
+// GET /api/contractors/:id — public view; hidden when the owner is suspended/deleted
+export const getById = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+
+  // Private business details, and the exact address point (its map pin included)
+  const doc = await ContractorProfile.findById(req.params.id).select(
+    "-utr -documents -address.googleMapsUrl -address.location -address.locationPrecision"
   );
+  if (!doc) return notFound(res);
+
+  const ownerActive = await User.exists({
+    _id: doc.userId,
+    deletedAt: null,
+    suspendedAt: null,
+  });
+  if (!ownerActive) return notFound(res);
 
   res.json(doc);
 };
+
+/* ---------- Sub-resources ---------- */
+
+// Item lists (certificates, portfolio): body already validated by the route.
+const addItem = (field, label) => async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+  if (doc[field].length >= LIST_LIMIT)
+    return res
+      .status(400)
+      .json({ error: `You can add up to ${LIST_LIMIT} ${label} items` });
+
+  doc[field].push(req.body);
+  await doc.save();
+  res.status(201).json(doc[field][doc[field].length - 1]);
+};
+
+const removeItem = (field, label) => async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const item = doc[field].id(req.params.itemId);
+  if (!item) return res.status(404).json({ error: `${label} not found` });
+
+  item.deleteOne();
+  await doc.save();
+  if (field === "certificates")
+    await cancelPendingVerifications([item._id], "Certificate removed");
+  res.json({ message: `${label} removed` });
+};
+
+// POST /api/contractors/me/certificates
+export const addCertificate = addItem("certificates", "certificate");
+
+// PUT /api/contractors/me/certificates/:itemId
+// Editing a certificate invalidates any earlier verification, pending review or registry check.
+export const updateCertificate = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const item = doc.certificates.id(req.params.itemId);
+  if (!item) return res.status(404).json({ error: "Certificate not found" });
+
+  item.set({
+    ...req.body,
+    verified: false,
+    verificationStatus: "none",
+    registryCheck: undefined,
+  });
+  await doc.save();
+  await cancelPendingVerifications([item._id], "Certificate changed");
+  res.json(item);
+};
+
+// DELETE /api/contractors/me/certificates/:itemId
+export const removeCertificate = removeItem("certificates", "Certificate");
+
+// POST /api/contractors/me/certificates/:itemId/verification — queue for admin review
+export const requestCertificateVerification = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const request = await submitCertificateVerification(
+    doc,
+    "contractor",
+    req.params.itemId
+  );
+  res.status(201).json(request);
+};
+
+// POST /api/contractors/me/certificates/:itemId/registry-check  { registry }
+// → the certificate with its registryCheck, plus the profile's (possibly new) badge
+export const checkCertificateRegistry = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const certificate = await checkCertificateInRegistry(
+    doc,
+    req.params.itemId,
+    req.body.registry
+  );
+  res.json({ certificate, badgeLevel: doc.badgeLevel });
+};
+
+// POST /api/contractors/me/portfolio
+export const addPortfolioItem = addItem("portfolio", "portfolio");
+
+// DELETE /api/contractors/me/portfolio/:itemId
+export const removePortfolioItem = removeItem("portfolio", "Portfolio item");
+
+// PUT /api/contractors/me/contact
+export const updateContact = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  doc.contact = req.body;
+  await doc.save();
+  res.json(doc.contact);
+};
+
+// PUT /api/contractors/me/address
+export const updateAddress = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  doc.address = req.body;
+  await doc.save();
+  res.json(doc.address);
+};
@@ -0,0 +1,397 @@
+//* Description: Controller for subcontractor profile operations
+//* Creates the profile from the user's registration data (prefill) and manages its item lists
+//* (availability, experience, certificates, portfolio) one entry at a time.
+//* Writes that touch the availability calendar are refused (409) when they would leave
+//* overlapping or contradictory entries (utils/availability.js).
+//* The calendar can also be synced with calendar apps (services/availabilityCalendar.js).
+//* Mounted by routes/subcontractors.js (/api/subcontractors). "me" handlers act on the profile
+//* owned by req.user.sub; Express 5 forwards async errors to the error handler.
+
+import fs from "fs";
+import os from "os";
+import mongoose from "mongoose";
+import formidable, { errors as formidableErrors } from "formidable";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import {
+  upsertSubContractorProfileSchema,
+  prefillSubContractorProfileInput,
+} from "../validators/subContractorProfile.js";
+import User from "../models/User.js";
+import {
+  submitCertificateVerification,
+  mergeCertificates,
+  changedCertificateIds,
+  cancelPendingVerifications,
+} from "../services/verification.js";
+import { checkCertificateInRegistry } from "../services/registry.js";
+import {
+  rotateCalendarFeed,
+  revokeCalendarFeed,
+  findByFeedToken,
+  availabilityFeed,
+  importAvailability,
+} from "../services/availabilityCalendar.js";
+import {
+  availabilityConflicts,
+  expandAvailability,
+} from "../utils/availability.js";
+
+/* ---------- Helpers ---------- */
+
+const findMine = (req) =>
+  SubContractorProfile.findOne({ userId: req.user.sub });
+
+const notFound = (res) =>
+  res.status(404).json({ error: "Subcontractor profile not found" });
+
+// Per-list caps (same as the .max() on the Joi arrays).
+const LIST_LIMITS = {
+  availability: 60,
+  availabilityRules: 20,
+  availabilityExceptions: 100,
+  experience: 30,
+  certificates: 30,
+  portfolio: 50,
+};
+
+// Largest .ics file accepted by the availability import.
+const MAX_ICS_BYTES = 1024 * 1024;
+
+const CALENDAR_FIELDS = [
+  "availability",
+  "availabilityRules",
+  "availabilityExceptions",
+];
+
+// Saves the profile unless a calendar change left conflicts; then answers 409 instead.
+// → true when saved
+async function saveChecked(doc, res) {
+  if (CALENDAR_FIELDS.some((f) => doc.isModified(f))) {
+    const conflicts = availabilityConflicts(doc);
+    if (conflicts.length) {
+      res.status(409).json({ error: "Availability conflicts", conflicts });
+      return false;
+    }
+  }
+  await doc.save();
+  return true;
+}
+
+// What anyone may see on a public profile. Left out: the street address and its map point,
+// documents, insurance policy details, certificate files, imported calendar UIDs, reasons for
+// time off, calendar feed state and internal bookkeeping (completeness).
+const PUBLIC_FIELDS = [
+  "userId",
+  "displayName",
+  "profilePhotoUrl",
+  "profilePhotoVariants",
+  "shortBio",
+  "primaryTrade",
+  "otherTrades",
+  "skills",
+  "primaryTradeKey",
+  "tradeKeys",
+  "yearsExperience",
+  "experience",
+  "coverageAreas",
+  "address.city",
+  "address.state",
+  "address.country",
+  "serviceRadiusKm",
+  "availability.from",
+  "availability.to",
+  "availability.note",
+  "availabilityRules",
+  "availabilityExceptions.from",
+  "availabilityExceptions.to",
+  "availabilityTimeZone",
+  "observeHolidays",
+  "dayRate",
+  "hourRate",
+  "currency",
+  "vatRegistered",
+  "certificates.title",
+  "certificates.authority",
+  "certificates.credentialId",
+  "certificates.issueDate",
+  "certificates.expiryDate",
+  "certificates.authorityUrl",
+  "certificates.verified",
+  "certificates.registryCheck",
+  "insurance.hasWorkInsurance",
+  "insurance.expiryDate",
+  "tools",
+  "transport",
+  "ownsPPE",
+  "languages",
+  "portfolio",
+  "contact",
+  "ratingAvg",
+  "ratingCount",
+  "isVerified",
+  "badgeLevel",
+  "registryCheckedAt",
+  "createdAt",
+  "updatedAt",
+];
+
+// Enough to expand the calendar (GET /:id/availability)
+const AVAILABILITY_FIELDS = [
+  "userId",
+  ...CALENDAR_FIELDS,
+  "availabilityTimeZone",
+  "observeHolidays",
+];
+
+// Visible profile whose owner is active (public views), with only `fields`; or null.
+async function findPublic(id, fields = PUBLIC_FIELDS) {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const doc = await SubContractorProfile.findOne({
+    _id: id,
+    isVisible: true,
+  }).select(fields.join(" "));
+  if (!doc) return null;
+
+  const ownerActive = await User.exists({
+    _id: doc.userId,
+    deletedAt: null,
+    suspendedAt: null,
+  });
+  return ownerActive ? doc : null;
+}
+
+/* ---------- Profile ---------- */
+
+// GET /api/subcontractors/me
+export const getMe = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+  res.json(doc);
+};
+
+// POST /api/subcontractors/me — create (prefilled from registration data)
+export const createMe = async (req, res) => {
+  if (await SubContractorProfile.exists({ userId: req.user.sub }))
+    return res
+      .status(409)
+      .json({ error: "Subcontractor profile already exists" });
+
+  const user = await User.findById(req.user.sub).lean();
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  // 1) Prefill from user registration data
+  const prefilled = prefillSubContractorProfileInput(user, req.body);
+
+  // 2) Validate
+  const { value, error } = upsertSubContractorProfileSchema.validate(prefilled);
+  if (error) return res.status(400).json({ error: error.details[0].message });
+
+  // 3) Persist
+  const doc = new SubContractorProfile({ ...value, userId: req.user.sub });
+  if (await saveChecked(doc, res)) res.status(201).json(doc);
+};
+
+// PATCH /api/subcontractors/me — body already validated by patchSubContractorProfileSchema
+export const patchMe = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const { certificates, ...fields } = req.body;
+  let changed = [];
+  doc.set(fields);
+  if (certificates) {
+    const merged = mergeCertificates(doc.certificates, certificates);
+    changed = changedCertificateIds(doc.certificates, merged);
+    doc.certificates = merged;
+  }
+  if (!(await saveChecked(doc, res))) return;
+  await cancelPendingVerifications(changed, "Certificate changed");
+  res.json(doc);
+};
+
+// GET /api/subcontractors/:id — public view; hidden profiles and suspended/deleted owners 404
+export const getById = async (req, res) => {
+  const doc = await findPublic(req.params.id);
+  if (!doc) return notFound(res);
+  res.json(doc);
+};
+
+// GET /api/subcontractors/:id/availability?from=&to= — query validated by availabilityQuerySchema
+// → { timeZone, from, to, intervals: [{ from, to }] } concrete free time in the window
+export const getAvailability = async (req, res) => {
+  const doc = await findPublic(req.params.id, AVAILABILITY_FIELDS);
+  if (!doc) return notFound(res);
+
+  const { from, to } = req.validatedQuery;
+  res.json({
+    timeZone: doc.availabilityTimeZone,
+    from,
+    to,
+    intervals: expandAvailability(doc, from, to),
+  });
+};
+
+/* ---------- Item lists ---------- */
+// Bodies are validated by the route (add*Schema). `label` is used in messages.
+
+export const addItem = (field, label) => async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+  if (doc[field].length >= LIST_LIMITS[field])
+    return res.status(400).json({
+      error: `You can add up to ${LIST_LIMITS[field]} ${label} items`,
+    });
+
+  doc[field].push(req.body);
+  if (await saveChecked(doc, res))
+    res.status(201).json(doc[field][doc[field].length - 1]);
+};
+
+// Replaces an item's fields. Certificates lose their verification, pending review and
+// registry check when edited.
+export const updateItem = (field, label) => async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const item = doc[field].id(req.params.itemId);
+  if (!item) return res.status(404).json({ error: `${label} not found` });
+
+  item.set(
+    field === "certificates"
+      ? {
+          ...req.body,
+          verified: false,
+          verificationStatus: "none",
+          registryCheck: undefined,
+        }
+      : req.body
+  );
+  if (!(await saveChecked(doc, res))) return;
+  if (field === "certificates")
+    await cancelPendingVerifications([item._id], "Certificate changed");
+  res.json(item);
+};
+
+export const removeItem = (field, label) => async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const item = doc[field].id(req.params.itemId);
+  if (!item) return res.status(404).json({ error: `${label} not found` });
+
+  item.deleteOne();
+  await doc.save();
+  if (field === "certificates")
+    await cancelPendingVerifications([item._id], "Certificate removed");
+  res.json({ message: `${label} removed` });
+};
+
+// POST /api/subcontractors/me/certificates/:itemId/verification — queue for admin review
+export const requestCertificateVerification = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const request = await submitCertificateVerification(
+    doc,
+    "subcontractor",
+    req.params.itemId
+  );
+  res.status(201).json(request);
+};
+
+// POST /api/subcontractors/me/certificates/:itemId/registry-check  { registry }
+// → the certificate with its registryCheck, plus the profile's (possibly new) badge
+export const checkCertificateRegistry = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const certificate = await checkCertificateInRegistry(
+    doc,
+    req.params.itemId,
+    req.body.registry
+  );
+  res.json({ certificate, badgeLevel: doc.badgeLevel });
+};
+
+/* ---------- Calendar sync ---------- */
+
+// POST /api/subcontractors/me/calendar-feed → 201 { url, createdAt }
+// Creates the secret feed URL, replacing any previous one (shown only in this response).
+export const createCalendarFeed = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+  res.status(201).json(await rotateCalendarFeed(doc));
+};
+
+// DELETE /api/subcontractors/me/calendar-feed — subscribed calendars stop updating
+export const deleteCalendarFeed = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+  if (!doc.calendarFeedCreatedAt)
+    return res.status(404).json({ error: "Calendar feed not enabled" });
+
+  await revokeCalendarFeed(doc);
+  res.json({ message: "Calendar feed disabled" });
+};
+
+// GET /api/subcontractors/calendar/:token.ics — the feed itself (the token is the credential)
+export const getCalendarFeed = async (req, res) => {
+  const doc = await findByFeedToken(req.params.token);
+  if (!doc) return res.status(404).json({ error: "Calendar feed not found" });
+
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": 'inline; filename="availability.ics"',
+    "Cache-Control": "private, max-age=300",
+  });
+  res.send(availabilityFeed(doc));
+};
+
+// POST /api/subcontractors/me/availability/import   (multipart/form-data, field "file": .ics)
+// Flow: parse upload (size capped) -> events become slots (validated like POST /availability,
+// matched by UID on re-import) -> save -> { created, updated, removed, unchanged, skipped }
+export const importAvailabilityCalendar = async (req, res) => {
+  const doc = await findMine(req);
+  if (!doc) return notFound(res);
+
+  const form = formidable({
+    uploadDir: os.tmpdir(),
+    maxFiles: 1,
+    maxFileSize: MAX_ICS_BYTES,
+    allowEmptyFiles: false,
+    maxFields: 10,
+    filter: ({ name }) => name === "file",
+  });
+
+  let files;
+  try {
+    [, files] = await form.parse(req);
+  } catch (err) {
+    const tooBig = [
+      formidableErrors.biggerThanMaxFileSize,
+      formidableErrors.biggerThanTotalMaxFileSize,
+    ].includes(err.code);
+    return tooBig
+      ? res.status(413).json({ error: "Calendar file may be up to 1 MB" })
+      : res.status(err.httpCode || 400).json({ error: err.message });
+  }
+
+  const file = files.file?.[0];
+  if (!file)
+    return res
+      .status(400)
+      .json({ error: 'Send the .ics file in field "file"' });
+
+  let text;
+  try {
+    text = await fs.promises.readFile(file.filepath, "utf8");
+  } finally {
+    await fs.promises.rm(file.filepath, { force: true });
+  }
+  if (!/^BEGIN:VCALENDAR/i.test(text.trimStart()))
+    return res.status(415).json({ error: "Not an iCalendar (.ics) file" });
+
+  const result = importAvailability(doc, text);
+  if (await saveChecked(doc, res)) res.json(result);
+};
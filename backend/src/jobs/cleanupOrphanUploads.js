@@ -0,0 +1,19 @@
+// jobs/cleanupOrphanUploads.js
+// Page purpose: Deletes uploaded files their owner no longer references
+// (see services/uploads.js). Started by index.js once Mongo is connected.
+// Runs at startup, then every UPLOAD_CLEANUP_INTERVAL_MINUTES (default 60).
+
+import { scheduleJob } from "./schedule.js";
+import { cleanupOrphanUploads } from "../services/uploads.js";
+import { uploadConfig } from "../config/uploads.js";
+
+export function startUploadCleanupJob() {
+  return scheduleJob(
+    "upload cleanup",
+    uploadConfig().cleanupIntervalMinutes,
+    async () => {
+      const removed = await cleanupOrphanUploads();
+      if (removed) console.log(`🧹 Removed ${removed} orphaned upload(s)`);
+    }
+  );
+}
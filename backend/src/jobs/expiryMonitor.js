@@ -0,0 +1,21 @@
+// jobs/expiryMonitor.js
+// Page purpose: Runs the credential expiry check (services/expiryMonitor.js) on a schedule.
+// Started by index.js once Mongo is connected; interval from config/expiry.js (default 6h).
+
+import { scheduleJob } from "./schedule.js";
+import { runExpiryCheck } from "../services/expiryMonitor.js";
+import { expiryPolicy } from "../config/expiry.js";
+
+export function startExpiryMonitorJob() {
+  return scheduleJob(
+    "expiry monitor",
+    expiryPolicy().checkIntervalMinutes,
+    async () => {
+      const { notified, lapsed } = await runExpiryCheck();
+      if (notified || lapsed)
+        console.log(
+          `📅 Expiry check: ${notified} reminder(s) sent, ${lapsed} profile(s) lost verification`
+        );
+    }
+  );
+}
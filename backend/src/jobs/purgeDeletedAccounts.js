@@ -0,0 +1,15 @@
+// jobs/purgeDeletedAccounts.js
+// Page purpose: Purges accounts whose deletion grace period is over
+// (see services/accountDeletion.js). Started by index.js once Mongo is connected.
+// Runs at startup, then every ACCOUNT_PURGE_INTERVAL_MINUTES (default 60).
+
+import { scheduleJob } from "./schedule.js";
+import { purgeDueAccounts } from "../services/accountDeletion.js";
+
+export function startAccountPurgeJob() {
+  const minutes = Number(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || 60);
+  return scheduleJob("account purge", minutes, async () => {
+    const purged = await purgeDueAccounts();
+    if (purged) console.log(`🧹 Purged ${purged} deleted account(s)`);
+  });
+}
@@ -0,0 +1,18 @@
+// jobs/schedule.js
+// Page purpose: Minimal in-process scheduler shared by the background jobs in this folder.
+// Runs the task once right away, then every `minutes`. Failures are logged, never thrown,
+// and the timer is unref'd so it never keeps the process alive on its own.
+// Tasks must be idempotent: several app instances may run the same job.
+
+export function scheduleJob(name, minutes, task) {
+  const run = async () => {
+    try {
+      await task();
+    } catch (err) {
+      console.error(`❌ Job "${name}" failed:`, err.message);
+    }
+  };
+
+  run();
+  return setInterval(run, minutes * 60 * 1000).unref();
+}
@@ -1,10 +1,15 @@
 // middleware/auth.js
 // Page purpose: Verifies JWT from either x-auth-token header or Authorization: Bearer ...,
-// attaches the payload to req.user, or returns 401 on failure.
+// checks that the session it belongs to is still active (not logged out / revoked)
+// and records the device as recently seen, checks that the account isn't suspended
+// or deleted by an admin,
+// attaches the payload to req.user, or returns 401/403 on failure.
 
 import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { touchActiveSession } from "../services/sessions.js";
 
-export default function auth(req, res, next) {
+export default async function auth(req, res, next) {
   try {
     // Support both header styles for flexibility
     const bearer = req.get("Authorization");
@@ -15,7 +20,24 @@ export default function auth(req, res, next) {
     if (!token) return res.status(401).json({ error: "Missing token" });
 
     const payload = jwt.verify(token, process.env.JWT_SECRET);
-    // payload contains: { sub, role, email, isBusiness, iat, exp }
+    // payload contains: { sub, sid, role, email, isBusiness, iat, exp }
+
+    // Tokens without a session (pre-rotation tokens) are rejected.
+    if (!payload.sid)
+      return res.status(401).json({ error: "Session has been revoked" });
+
+    const [active, account] = await Promise.all([
+      touchActiveSession(payload.sid, payload.sub, req.ip),
+      User.findById(payload.sub).select("suspendedAt deletedAt").lean(),
+    ]);
+
+    if (!active)
+      return res.status(401).json({ error: "Session has been revoked" });
+    if (!account || account.deletedAt)
+      return res.status(401).json({ error: "Account not found" });
+    if (account.suspendedAt)
+      return res.status(403).json({ error: "Account suspended" });
+
     req.user = payload;
     next();
   } catch (_err) {
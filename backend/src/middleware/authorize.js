@@ -0,0 +1,65 @@
+// middleware/authorize.js
+// Page purpose: Authorization building blocks shared by every router. Mount AFTER auth.
+// - requirePermission(...perms): 403 unless req.user.role grants ALL listed capabilities.
+// - requireOwnership(load, opts): loads a resource, 403 unless req.user owns it
+//   (or holds the bypass permission), and exposes it as req.resource.
+
+import { hasPermission, PERMISSIONS } from "../utils/roles.js";
+
+export const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Missing token" });
+
+    const missing = permissions.filter((p) => !hasPermission(req.user.role, p));
+    if (missing.length) {
+      return res
+        .status(403)
+        .json({ error: "You do not have permission to perform this action" });
+    }
+    next();
+  };
+
+// Compares an owner reference (ObjectId or populated doc) with the current user id.
+export const isOwner = (resource, userId, ownerField = "userId") => {
+  const owner = resource?.[ownerField];
+  const ownerId = owner?._id ?? owner;
+  return !!ownerId && String(ownerId) === String(userId);
+};
+
+/**
+ * load(req) → resource | null  (e.g. (req) => Job.findById(req.params.id))
+ * Options:
+ *  ownerField        field holding the owner's user id (default "userId")
+ *  bypassPermission  capability that skips the ownership check (default admin's manage-any)
+ */
+export const requireOwnership =
+  (
+    load,
+    {
+      ownerField = "userId",
+      bypassPermission = PERMISSIONS.ANY_RESOURCE_MANAGE,
+    } = {}
+  ) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) return res.status(401).json({ error: "Missing token" });
+
+      const resource = await load(req);
+      if (!resource) return res.status(404).json({ error: "Not found" });
+
+      const allowed =
+        isOwner(resource, req.user.sub, ownerField) ||
+        (bypassPermission && hasPermission(req.user.role, bypassPermission));
+      if (!allowed) {
+        return res
+          .status(403)
+          .json({ error: "You do not have access to this resource" });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
@@ -0,0 +1,21 @@
+// middleware/requireVerifiedEmail.js
+// Page purpose: Gate for actions that need a confirmed email address
+// (creating profiles, posting jobs, applying). Mount AFTER auth.
+// Reads the flag from the DB (not the JWT) so verifying takes effect immediately.
+
+import User from "../models/User.js";
+
+export default async function requireVerifiedEmail(req, res, next) {
+  try {
+    const user = await User.findById(req.user?.sub).select("emailVerified");
+    if (!user) return res.status(401).json({ error: "User not found" });
+    if (!user.emailVerified) {
+      return res
+        .status(403)
+        .json({ error: "Please verify your email address first" });
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
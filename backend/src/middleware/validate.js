@@ -0,0 +1,33 @@
+// middleware/validate.js
+// Page purpose: Generic Joi validators for any router (body and query string).
+// Same options + error shape as validateUser, so clients handle one format everywhere.
+// Express 5 exposes req.query as a read-only getter, so the normalized query is
+// attached as req.validatedQuery instead of overwriting req.query.
+
+import { formatJoiErrors } from "../validators/users.validation.js";
+
+const options = {
+  abortEarly: false, // collect all errors
+  stripUnknown: true, // drop unexpected fields
+  convert: true, // coerce "123" -> 123, "true" -> true
+};
+
+const fail = (res, error) =>
+  res.status(400).json({
+    message: "Validation failed",
+    errors: formatJoiErrors(error.details),
+  });
+
+export const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body ?? {}, options);
+  if (error) return fail(res, error);
+  req.body = value;
+  next();
+};
+
+export const validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query, options);
+  if (error) return fail(res, error);
+  req.validatedQuery = value;
+  next();
+};
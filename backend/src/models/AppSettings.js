@@ -0,0 +1,30 @@
+// models/AppSettings.js
+// Page purpose: Admin-controlled, app-wide settings stored as a single document.
+// Read through AppSettings.current() so callers always get defaults for unset fields.
+
+import mongoose from "mongoose";
+import { ROLES } from "../utils/roles.js";
+
+const GLOBAL_KEY = "global";
+
+const appSettingsSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: GLOBAL_KEY, unique: true },
+
+    // Security policy
+    require2FARoles: [{ type: String, enum: ROLES }], // e.g. ["contractor", "admin"]
+  },
+  { timestamps: true }
+);
+
+// Returns the settings doc, creating it with defaults on first use.
+appSettingsSchema.statics.current = function () {
+  return this.findOneAndUpdate(
+    { key: GLOBAL_KEY },
+    { $setOnInsert: { key: GLOBAL_KEY } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const AppSettings = mongoose.model("AppSettings", appSettingsSchema);
+export default AppSettings;
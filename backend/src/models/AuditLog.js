@@ -0,0 +1,28 @@
+// models/AuditLog.js
+// Page purpose: Append-only record of privileged actions (who did what to whom, and why).
+// Written by services/audit.js; never updated or deleted by the app.
+
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: { type: String, required: true, trim: true }, // e.g. "user.suspend"
+    targetType: { type: String, required: true, trim: true }, // e.g. "User"
+    targetId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    reason: { type: String, trim: true, default: "" },
+    changes: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } }
+    ip: { type: String, trim: true, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
@@ -9,11 +9,33 @@
  */
 
 import mongoose from "mongoose";
+import { trackCompleteness } from "../utils/completeness.js";
+import { REGISTRIES, REGISTRY_STATUSES } from "../config/registry.js";
+import { BADGE_LEVELS, trackBadge } from "../utils/badges.js";
+import { trackImageVariants } from "../services/profileImages.js";
+import { trackTradeKeys } from "../utils/taxonomy.js";
+import { TRADE_FIELDS } from "../config/trades.js";
+import { LOCATION_PRECISIONS } from "../config/geocoding.js";
+import { trackLocation } from "../services/geocoding.js";
 
 const { Schema, model } = mongoose;
 
 /* ---------- Embedded Schemas ---------- */
 
+// Result of the last licence registry lookup (services/registry.js); server-managed
+const RegistryCheckSchema = new Schema(
+  {
+    registry: { type: String, enum: Object.keys(REGISTRIES) },
+    source: { type: String }, // adapter that answered ("local", "govil")
+    status: { type: String, enum: REGISTRY_STATUSES },
+    registeredName: { type: String, trim: true },
+    nameMatch: { type: String, enum: ["match", "partial", "mismatch"] },
+    expiryDate: { type: Date }, // as listed in the registry
+    checkedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const CertificateSchema = new Schema(
   {
     title: { type: String, required: true, trim: true }, // e.g., "קבלן בתים פרטיים מורשה"
@@ -24,8 +46,15 @@ const CertificateSchema = new Schema(
     fileUrl: { type: String, trim: true }, // link to uploaded PDF/image
     authorityUrl: { type: String, trim: true }, // e.g., gov.il registry link
     verified: { type: Boolean, default: false }, // admin-verified or AI-verified badge
-  },
-  { _id: false }
+    // Admin review state (history lives in VerificationRequest); editing resets it to "none"
+    verificationStatus: {
+      type: String,
+      enum: ["none", "pending", "approved", "rejected"],
+      default: "none",
+    },
+    registryCheck: RegistryCheckSchema, // last licence registry lookup; reset on edit
+  }
+  // keeps its _id: /api/contractors/me/certificates/:itemId addresses items by id
 );
 
 const jobProfileDescriptionSchema = new Schema( //TODO: make better name for this schema..
@@ -55,26 +84,48 @@ const ContactSchema = new Schema(
   { _id: false }
 );
 
+// GeoJSON point; coordinates are [lng, lat]
+const PointSchema = new Schema(
+  {
+    type: { type: String, enum: ["Point"], required: true },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+// Same shape as User.address (and the Joi address), so prefill from registration round-trips.
 const AddressSchema = new Schema(
   {
-    line1: { type: String, trim: true },
-    line2: { type: String, trim: true },
-    city: { type: String, trim: true },
-    postcode: { type: String, trim: true },
+    state: { type: String, trim: true },
     country: { type: String, trim: true, default: "IL" },
+    city: { type: String, trim: true },
+    street: { type: String, trim: true },
+    houseNumber: { type: Number },
+    zip: { type: Number },
     googleMapsUrl: { type: String, trim: true },
+    // Derived on save from googleMapsUrl or the address (services/geocoding.js); server-managed
+    location: { type: PointSchema, default: undefined },
+    locationPrecision: { type: String, enum: LOCATION_PRECISIONS },
   },
   { _id: false }
 );
 
-const PortfolioImageSchema = new Schema(
+// URLs of an uploaded image's resized copies (services/profileImages.js); server-managed
+const ImageVariantsSchema = new Schema(
   {
-    url: { type: String, required: true, trim: true },
-    caption: { type: String, trim: true },
+    thumb: { type: String, trim: true }, // 160×160
+    card: { type: String, trim: true }, // 480×360, feed cards
+    full: { type: String, trim: true }, // up to 1600px
   },
   { _id: false }
 );
 
+const PortfolioImageSchema = new Schema({
+  url: { type: String, required: true, trim: true },
+  caption: { type: String, trim: true },
+  variants: ImageVariantsSchema,
+}); // keeps its _id (addressed by /api/contractors/me/portfolio/:itemId)
+
 /* ---------- Main Schema ---------- */
 
 const ContractorProfileSchema = new Schema(
@@ -90,6 +141,7 @@ const ContractorProfileSchema = new Schema(
     // Core identity
     displayName: { type: String, required: true, trim: true },
     profilePhotoUrl: { type: String, trim: true },
+    profilePhotoVariants: ImageVariantsSchema,
 
     // Business basics
     companyName: { type: String, trim: true },
@@ -101,6 +153,9 @@ const ContractorProfileSchema = new Schema(
     primaryTrade: { type: String, required: true, trim: true },
     otherTrades: [{ type: String, trim: true }],
     skills: [{ type: String, trim: true }],
+    // Canonical taxonomy keys (config/trades.js) derived on save from the wording above
+    primaryTradeKey: { type: String },
+    tradeKeys: [{ type: String }], // incl. the parent trade of every specialty
 
     // General work coverage
     jobTypes: [{ type: String, trim: true }],
@@ -122,8 +177,10 @@ const ContractorProfileSchema = new Schema(
     ratingAvg: { type: Number, min: 0, max: 5, default: 0 },
     ratingCount: { type: Number, min: 0, default: 0 },
 
-    // Moderation / completeness
+    // Moderation / completeness (isVerified + badgeLevel derived on save: utils/badges.js)
     isVerified: { type: Boolean, default: false },
+    badgeLevel: { type: String, enum: BADGE_LEVELS, default: "self-declared" },
+    registryCheckedAt: { type: Date }, // latest passing certificate registryCheck (derived on save)
     completeness: { type: Number, min: 0, max: 100, default: 0 },
   },
   { timestamps: true }
@@ -138,10 +195,23 @@ ContractorProfileSchema.index({
   services: "text",
   coverageAreas: "text",
 });
+ContractorProfileSchema.index({ tradeKeys: 1 }); // search by canonical trade
+ContractorProfileSchema.index({ "address.location": "2dsphere" }); // radius search
 ContractorProfileSchema.index({ primaryTrade: 1 });
 
+/* ---------- Hooks ---------- */
+// completeness (0-100) is recomputed on every save (weights: config/completeness.js)
+trackCompleteness(ContractorProfileSchema, "contractor");
+// badgeLevel / isVerified are derived from the credentials (utils/badges.js)
+trackBadge(ContractorProfileSchema);
+// profilePhotoVariants / images[].variants follow the image URLs (services/profileImages.js)
+trackImageVariants(ContractorProfileSchema);
+// address.location follows the address (services/geocoding.js)
+trackLocation(ContractorProfileSchema);
+// primaryTradeKey / tradeKeys follow the free-text trade fields (utils/taxonomy.js)
+trackTradeKeys(ContractorProfileSchema, TRADE_FIELDS.contractor);
+
 export default model("ContractorProfile", ContractorProfileSchema);
 
-//TODO: Add pre-save hooks to calculate profile completeness based on filled fields.
 //TODO: Create a separate collection for job postings and link them to contractor profile.
 //TODO: Create a validation schema using Joi in a separate file (validators/contractorProfile.js ).
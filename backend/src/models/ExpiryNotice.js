@@ -0,0 +1,43 @@
+// models/ExpiryNotice.js
+// Page purpose: Remembers which expiry reminders were already sent, so the scheduled
+// check (services/expiryMonitor.js) mails each reminder exactly once.
+// Keyed by the item's current expiryDate: renewing a credential (new date) starts a fresh
+// reminder cycle without any cleanup.
+
+import mongoose from "mongoose";
+
+export const EXPIRY_ITEM_KINDS = ["certificate", "insurance"];
+
+const expiryNoticeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    profileType: {
+      type: String,
+      enum: ["contractor", "subcontractor"],
+      required: true,
+    },
+    profileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    itemKind: { type: String, enum: EXPIRY_ITEM_KINDS, required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId }, // certificate _id (none for insurance)
+    expiryDate: { type: Date, required: true },
+    threshold: { type: Number, required: true }, // reminder window in days (0 = expired)
+  },
+  { timestamps: { createdAt: "sentAt", updatedAt: false } }
+);
+
+expiryNoticeSchema.index(
+  { profileId: 1, itemKind: 1, itemId: 1, expiryDate: 1, threshold: 1 },
+  { unique: true }
+);
+// Dropped a year after the item expired: the scheduled check stops looking at an item well
+// before that (expiredGraceDays), so a notice never disappears while it can still be re-sent.
+expiryNoticeSchema.index(
+  { expiryDate: 1 },
+  { expireAfterSeconds: 365 * 24 * 60 * 60 }
+);
+
+export default mongoose.model("ExpiryNotice", expiryNoticeSchema);
@@ -0,0 +1,42 @@
+// models/LoginAttempt.js
+// Page purpose: Login history (who/when/where/outcome). Drives the progressive
+// backoff in services/loginGuard.js and is shown to users (/me/security) and admins.
+// Keyed by email too, so attempts on unknown emails are throttled exactly like real ones.
+
+import mongoose from "mongoose";
+
+export const LOGIN_OUTCOMES = [
+  "success",
+  "bad-password",
+  "unknown-email",
+  "2fa-failed",
+  "throttled", // rejected by backoff before the password was checked
+  "locked", // admin lock
+  "suspended",
+];
+
+// Outcomes that count toward backoff (throttled ones don't, or delays would never end)
+export const FAILED_OUTCOMES = ["bad-password", "unknown-email", "2fa-failed"];
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for unknown emails
+    email: { type: String, required: true, lowercase: true, trim: true },
+    ip: { type: String, default: "", trim: true },
+    userAgent: { type: String, default: "", trim: true },
+    outcome: { type: String, enum: LOGIN_OUTCOMES, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+loginAttemptSchema.index({ email: 1, ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+// Keep ~6 months of history (Mongo TTL index)
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 180 * 24 * 60 * 60 }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+export default LoginAttempt;
@@ -0,0 +1,66 @@
+// models/Session.js
+// Page purpose: One document per signed-in device (a refresh-token "family").
+// Notes:
+// - Only the SHA-256 hash of the current refresh token is stored (tokenHash).
+// - Every /refresh rotates the token; presenting an older token of the same family
+//   means it was stolen/replayed, so the whole session is revoked (reuse detection).
+//   The token replaced last (previousTokenHash) is still accepted for a few seconds, so two
+//   tabs refreshing at once don't look like reuse.
+// - Access tokens carry the session id (sid) so auth middleware can reject revoked sessions.
+// - Users see their sessions as "devices" (GET /api/users/me/sessions) and can revoke them.
+
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // Current refresh token (hashed). Replaced on every rotation.
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String }, // the one it replaced (reuse grace window)
+    rotatedAt: { type: Date },
+
+    // Device info captured at login (ip/lastSeenAt follow the device afterwards)
+    userAgent: { type: String, default: "", trim: true },
+    deviceLabel: { type: String, default: "", trim: true }, // e.g. "Chrome on Windows"
+    ip: { type: String, default: "", trim: true },
+    lastSeenAt: { type: Date },
+
+    // Lifetime
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "reuse",
+        "password-change",
+        "password-reset",
+        "admin",
+        "expired",
+      ],
+    },
+  },
+  {
+    timestamps: true, // createdAt = sign-in time
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.tokenHash;
+        delete ret.previousTokenHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Let Mongo drop sessions a while after they expire (keeps the collection small).
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -8,11 +8,34 @@
 */
 
 import mongoose from "mongoose";
+import { trackCompleteness } from "../utils/completeness.js";
+import { REGISTRIES, REGISTRY_STATUSES } from "../config/registry.js";
+import { BADGE_LEVELS, trackBadge } from "../utils/badges.js";
+import { trackImageVariants } from "../services/profileImages.js";
+import { trackTradeKeys } from "../utils/taxonomy.js";
+import { TRADE_FIELDS } from "../config/trades.js";
+import { LOCATION_PRECISIONS, RADIUS_KM } from "../config/geocoding.js";
+import { trackLocation } from "../services/geocoding.js";
+import { DEFAULT_TIME_ZONE } from "../config/holidays.js";
 
 const { Schema, model } = mongoose;
 
 /* ---------- Embedded Schemas ---------- */
 
+// Result of the last licence registry lookup (services/registry.js); server-managed
+const RegistryCheckSchema = new Schema(
+  {
+    registry: { type: String, enum: Object.keys(REGISTRIES) },
+    source: { type: String }, // adapter that answered ("local", "govil")
+    status: { type: String, enum: REGISTRY_STATUSES },
+    registeredName: { type: String, trim: true },
+    nameMatch: { type: String, enum: ["match", "partial", "mismatch"] },
+    expiryDate: { type: Date }, // as listed in the registry
+    checkedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const CertificateSchema = new Schema(
   {
     title: { type: String, required: true, trim: true }, // e.g., "Certified Electrician - Level 3"
@@ -23,19 +46,41 @@ const CertificateSchema = new Schema(
     fileUrl: { type: String, trim: true }, // uploaded PDF/image
     authorityUrl: { type: String, trim: true }, // gov/registry link
     verified: { type: Boolean, default: false }, // admin/AI verified
-  },
-  { _id: false }
+    // Admin review state (history lives in VerificationRequest); editing resets it to "none"
+    verificationStatus: {
+      type: String,
+      enum: ["none", "pending", "approved", "rejected"],
+      default: "none",
+    },
+    registryCheck: RegistryCheckSchema, // last licence registry lookup; reset on edit
+  }
+  // list items keep their _id: /api/subcontractors/me/<list>/:itemId addresses them
 );
 
 // Short availability blocks (for quick display in profile cards)
-const AvailabilitySlotSchema = new Schema(
-  {
-    from: { type: Date, required: true },
-    to: { type: Date, required: true },
-    note: { type: String, trim: true }, // e.g., "Available afternoons only"
-  },
-  { _id: false }
-);
+const AvailabilitySlotSchema = new Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  note: { type: String, trim: true }, // e.g., "Available afternoons only"
+  icalUid: { type: String, trim: true }, // UID of the imported calendar event (re-imports update it)
+});
+
+// Weekly pattern, in the profile's availabilityTimeZone (expanded by utils/availability.js)
+const AvailabilityRuleSchema = new Schema({
+  weekdays: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday … 6 = Saturday
+  startTime: { type: String, required: true, trim: true }, // "08:00"
+  endTime: { type: String, required: true, trim: true }, // "17:00"; before startTime = overnight
+  validFrom: { type: Date }, // optional season/contract window
+  validUntil: { type: Date },
+  note: { type: String, trim: true },
+});
+
+// Time off: overrides rules and one-off slots (vacation, reserve duty, booked job…)
+const AvailabilityExceptionSchema = new Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  reason: { type: String, trim: true },
+});
 
 const ContactSchema = new Schema(
   {
@@ -52,42 +97,73 @@ const ContactSchema = new Schema(
   { _id: false }
 );
 
+// GeoJSON point; coordinates are [lng, lat]
+const PointSchema = new Schema(
+  {
+    type: { type: String, enum: ["Point"], required: true },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+// Same shape as User.address (and the Joi address), so prefill from registration round-trips.
 const AddressSchema = new Schema(
   {
-    line1: { type: String, trim: true },
-    line2: { type: String, trim: true },
-    city: { type: String, trim: true },
-    postcode: { type: String, trim: true },
+    state: { type: String, trim: true },
     country: { type: String, trim: true, default: "IL" },
+    city: { type: String, trim: true },
+    street: { type: String, trim: true },
+    houseNumber: { type: Number },
+    zip: { type: Number },
     googleMapsUrl: { type: String, trim: true },
+    // Derived on save from googleMapsUrl or the address (services/geocoding.js); server-managed
+    location: { type: PointSchema, default: undefined },
+    locationPrecision: { type: String, enum: LOCATION_PRECISIONS },
   },
   { _id: false }
 );
 
-const PortfolioImageSchema = new Schema(
+// URLs of an uploaded image's resized copies (services/profileImages.js); server-managed
+const ImageVariantsSchema = new Schema(
   {
-    url: { type: String, required: true, trim: true },
-    caption: { type: String, trim: true },
+    thumb: { type: String, trim: true }, // 160×160
+    card: { type: String, trim: true }, // 480×360, feed cards
+    full: { type: String, trim: true }, // up to 1600px
   },
   { _id: false }
 );
 
-// Project experience line items (for credibility)
-const ExperienceSchema = new Schema(
+const PortfolioImageSchema = new Schema({
+  url: { type: String, required: true, trim: true },
+  caption: { type: String, trim: true },
+  variants: ImageVariantsSchema,
+});
+
+// Work insurance (policy document uploaded like certificates; expiry tracked for reminders)
+const InsuranceSchema = new Schema(
   {
-    projectName: { type: String, trim: true },
-    clientName: { type: String, trim: true },
-    location: { type: String, trim: true },
-    startDate: { type: Date },
-    endDate: { type: Date },
-    description: { type: String, trim: true },
-    tradeRole: { type: String, trim: true }, // e.g., "Electrician", "Tiler"
-    referenceUrl: { type: String, trim: true }, // optional proof link
-    images: [PortfolioImageSchema],
+    hasWorkInsurance: { type: Boolean, default: false },
+    policyNumber: { type: String, trim: true },
+    provider: { type: String, trim: true },
+    expiryDate: { type: Date },
+    fileUrl: { type: String, trim: true },
   },
   { _id: false }
 );
 
+// Project experience line items (for credibility)
+const ExperienceSchema = new Schema({
+  projectName: { type: String, trim: true },
+  clientName: { type: String, trim: true },
+  location: { type: String, trim: true },
+  startDate: { type: Date },
+  endDate: { type: Date },
+  description: { type: String, trim: true },
+  tradeRole: { type: String, trim: true }, // e.g., "Electrician", "Tiler"
+  referenceUrl: { type: String, trim: true }, // optional proof link
+  images: [PortfolioImageSchema],
+});
+
 /* ---------- Main Schema ---------- */
 
 const SubContractorProfileSchema = new Schema(
@@ -103,25 +179,51 @@ const SubContractorProfileSchema = new Schema(
     // Core identity
     displayName: { type: String, required: true, trim: true }, // shown in feed/profile card
     profilePhotoUrl: { type: String, trim: true },
+    profilePhotoVariants: ImageVariantsSchema,
     shortBio: { type: String, trim: true, max_length: 400 }, // quick intro for feed card
 
     // Professional basics
     primaryTrade: { type: String, required: true, trim: true }, // main specialization
     otherTrades: [{ type: String, trim: true }],
     skills: [{ type: String, trim: true }],
+    // Canonical taxonomy keys (config/trades.js) derived on save from the wording above
+    primaryTradeKey: { type: String },
+    tradeKeys: [{ type: String }], // incl. the parent trade of every specialty
 
     // Work logistics
     yearsExperience: { type: Number, min: 0 },
+    experience: [ExperienceSchema], // past projects
     coverageAreas: [{ type: String, trim: true }], // cities/regions serviced
     address: AddressSchema,
+    serviceRadiusKm: { type: Number, min: 1, max: RADIUS_KM.max }, // km they travel from the address
 
     // Availability & rates
     availability: [AvailabilitySlotSchema],
+    availabilityRules: [AvailabilityRuleSchema],
+    availabilityExceptions: [AvailabilityExceptionSchema],
+    availabilityTimeZone: {
+      type: String,
+      trim: true,
+      default: DEFAULT_TIME_ZONE,
+    },
+    observeHolidays: { type: Boolean, default: true }, // rules skip public holidays
+    // Secret iCal feed (services/availabilityCalendar.js): only the token's hash is kept
+    calendarFeedTokenHash: { type: String, select: false },
+    calendarFeedCreatedAt: { type: Date },
     dayRate: { type: Number, min: 0 }, // e.g., NIS per day
     hourRate: { type: Number, min: 0 }, // e.g., NIS per hour
     currency: { type: String, trim: true, default: "ILS" },
     vatRegistered: { type: Boolean, default: false },
 
+    // Compliance / safety
+    certificates: [CertificateSchema],
+    insurance: { type: InsuranceSchema, default: () => ({}) },
+
+    // Equipment
+    tools: [{ type: String, trim: true }], // e.g., "Scaffolding", "Core drill"
+    transport: { type: String, trim: true }, // e.g., "Van", "Truck", "Car"
+    ownsPPE: { type: Boolean, default: true }, // own personal protective equipment
+
     // Languages (communication on site)
     languages: [{ type: String, trim: true }], // e.g., "Hebrew", "English", "Russian"
 
@@ -137,7 +239,9 @@ const SubContractorProfileSchema = new Schema(
     ratingCount: { type: Number, min: 0, default: 0 },
 
     // Profile state
-    isVerified: { type: Boolean, default: false }, // admin/AI verification
+    isVerified: { type: Boolean, default: false }, // derived on save (utils/badges.js)
+    badgeLevel: { type: String, enum: BADGE_LEVELS, default: "self-declared" },
+    registryCheckedAt: { type: Date }, // latest passing certificate registryCheck (derived on save)
     completeness: { type: Number, min: 0, max: 100, default: 0 },
     isVisible: { type: Boolean, default: true }, // hide from search if needed
   },
@@ -153,12 +257,30 @@ SubContractorProfileSchema.index({
   coverageAreas: "text",
   tools: "text",
 });
+SubContractorProfileSchema.index({ tradeKeys: 1 }); // search by canonical trade
+SubContractorProfileSchema.index({ "address.location": "2dsphere" }); // radius search
 SubContractorProfileSchema.index({ primaryTrade: 1, ratingAvg: -1 });
+SubContractorProfileSchema.index({ tools: 1 }); // exact equipment filters
+SubContractorProfileSchema.index({ transport: 1 });
+SubContractorProfileSchema.index(
+  { calendarFeedTokenHash: 1 },
+  { unique: true, sparse: true }
+); // feed lookups by token
+
+/* ---------- Hooks ---------- */
+// completeness (0-100) is recomputed on every save (weights: config/completeness.js)
+trackCompleteness(SubContractorProfileSchema, "subcontractor");
+// badgeLevel / isVerified are derived from the credentials (utils/badges.js)
+trackBadge(SubContractorProfileSchema);
+// profilePhotoVariants / images[].variants follow the image URLs (services/profileImages.js)
+trackImageVariants(SubContractorProfileSchema);
+// address.location follows the address (services/geocoding.js)
+trackLocation(SubContractorProfileSchema);
+// primaryTradeKey / tradeKeys follow the free-text trade fields (utils/taxonomy.js)
+trackTradeKeys(SubContractorProfileSchema, TRADE_FIELDS.subcontractor);
 
 export default model("SubContractorProfile", SubContractorProfileSchema);
 
-// TODO: Add pre-save hook to compute 'completeness' based on filled fields
-//       (e.g., +photo, +primaryTrade, +address, +certs, +portfolio, +contact, +availability).
 // TODO: Create Joi validation in validators/subContractorProfile.js (match shapes above).
 // TODO: Create JobApplications model that references both User and JobPostings.
 // TODO: In feed, render: photo, displayName, primaryTrade, shortBio, ratingAvg, top 1–2 areas, cheapest rate.
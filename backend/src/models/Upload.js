@@ -0,0 +1,60 @@
+// models/Upload.js
+// Page purpose: One doc per uploaded file (routes/uploads.js). The bytes live in the storage
+// adapter under storageKey; profiles/users only hold the file's URL (/api/uploads/:id).
+// Ownership is what quotas and orphan cleanup (services/uploads.js) are computed from.
+
+import mongoose from "mongoose";
+import { UPLOAD_KINDS } from "../config/uploads.js";
+
+// Resized copy of an image (config/uploads.js IMAGE_VARIANTS), served at /:id/variants/:name
+const variantSub = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    storageKey: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+const uploadSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    kind: { type: String, enum: Object.keys(UPLOAD_KINDS), required: true },
+    visibility: { type: String, enum: ["public", "private"], required: true },
+    storage: { type: String, required: true }, // adapter that holds the bytes ("local")
+    storageKey: { type: String, required: true, unique: true },
+    originalName: { type: String, trim: true, default: "" },
+    mimeType: { type: String, required: true }, // sniffed from the content
+    size: { type: Number, required: true }, // bytes
+    sha256: { type: String }, // of the stored (sanitized) file
+    // Images only (services/imageProcessing.js)
+    width: { type: Number },
+    height: { type: Number },
+    variants: [variantSub],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Where the bytes are stored is nobody's business outside the server
+      transform: (_doc, ret) => {
+        delete ret.storage;
+        delete ret.storageKey;
+        delete ret.__v;
+        for (const v of ret.variants || []) delete v.storageKey;
+        return ret;
+      },
+    },
+  }
+);
+
+uploadSchema.index({ createdAt: 1 }); // orphan sweep, oldest first
+
+export default mongoose.model("Upload", uploadSchema);
@@ -4,11 +4,13 @@
 // - Keep DB schema permissive (simple strings/numbers); enforce format in Joi validators.
 // - Passwords are stored as passwordHash (never plaintext) and stripped from JSON responses.
 // - Includes simple brute-force protection fields (failedLoginAttempts, lockUntil).
+// - Password reset / email verification tokens are stored hashed only, with an expiry.
+// - suspendedAt / deletedAt are admin-driven account states enforced by middleware/auth.js.
+// - Self-service deletion is scheduled (grace period) and ends in anonymization, not removal,
+//   so audit log / history references stay valid.
 
 import mongoose from "mongoose";
-
-// Consider centralizing ROLES in a shared constants file to reuse across model + validators.
-const ROLES = ["worker", "subcontractor", "contractor", "admin"];
+import { ROLES } from "../utils/roles.js"; // shared with validators + authorize middleware
 
 // ----- Subdocuments (embedded) -----
 const nameSub = new mongoose.Schema(
@@ -40,6 +42,19 @@ const addressSub = new mongoose.Schema(
   { _id: false }
 );
 
+// TOTP two-factor auth (secrets encrypted, recovery codes hashed — see routes/twoFactor.js)
+const twoFactorSub = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    secretEnc: { type: String }, // active secret (AES-GCM, utils/encryption.js)
+    pendingSecretEnc: { type: String }, // set by /setup until confirmed with a first code
+    recoveryCodeHashes: [{ type: String }], // single-use, SHA-256
+    lastUsedStep: { type: Number, default: -1 }, // blocks replaying a code
+    enabledAt: { type: Date },
+  },
+  { _id: false }
+);
+
 // ----- Main schema -----
 const userSchema = new mongoose.Schema(
   {
@@ -55,6 +70,14 @@ const userSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Email verification (unverified users can log in but gated features are blocked).
+    // Accounts older than this field are grandfathered by scripts/backfillEmailVerified.js.
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    emailVerificationTokenHash: { type: String, index: true, sparse: true },
+    emailVerificationExpires: { type: Date },
+    emailVerificationSentAt: { type: Date }, // throttles resend requests
+
     // Auth
     passwordHash: { type: String, required: true }, // bcrypt hash only
 
@@ -69,6 +92,24 @@ const userSchema = new mongoose.Schema(
     // Brute-force protection
     failedLoginAttempts: { type: Number, default: 0 },
     lockUntil: { type: Date },
+
+    // Two-factor auth (optional for business accounts, can be required per role by admins)
+    twoFactor: { type: twoFactorSub, default: () => ({}) },
+
+    // Admin moderation (who/why is kept in AuditLog)
+    suspendedAt: { type: Date }, // set = auth middleware rejects every request
+    suspendedReason: { type: String, trim: true },
+    deletedAt: { type: Date }, // soft delete: hidden from login/auth, restorable by admins
+
+    // Self-service deletion (DELETE /api/users/me): cancellable until deletionScheduledFor,
+    // then jobs/purgeDeletedAccounts.js anonymizes the account and drops its profiles.
+    deletionRequestedAt: { type: Date },
+    deletionScheduledFor: { type: Date, index: true, sparse: true },
+    anonymizedAt: { type: Date }, // set once personal data is gone (not restorable)
+
+    // Password reset (single-use: hash + expiry cleared once used)
+    passwordResetTokenHash: { type: String, index: true, sparse: true },
+    passwordResetExpires: { type: Date },
   },
   {
     timestamps: true, // createdAt / updatedAt
@@ -76,6 +117,12 @@ const userSchema = new mongoose.Schema(
       // Ensure sensitive/internal fields are never leaked in API responses
       transform: (_doc, ret) => {
         delete ret.passwordHash;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        delete ret.emailVerificationTokenHash;
+        delete ret.emailVerificationExpires;
+        // Expose only whether 2FA is on, never secrets or recovery hashes
+        ret.twoFactor = { enabled: !!ret.twoFactor?.enabled };
         delete ret.__v;
         return ret;
       },
@@ -0,0 +1,68 @@
+// models/VerificationRequest.js
+// Page purpose: Admin review queue for certificates. One doc per submission: a snapshot of
+// the certificate as submitted (what the admin actually looked at), its status, and the
+// full decision history. The certificate itself only carries verified/verificationStatus.
+
+import mongoose from "mongoose";
+
+export const VERIFICATION_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled", // certificate edited/removed before a decision
+];
+
+const decisionSub = new mongoose.Schema(
+  {
+    status: { type: String, enum: VERIFICATION_STATUSES, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null = owner/system
+    reason: { type: String, trim: true, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const verificationRequestSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    profileType: {
+      type: String,
+      enum: ["contractor", "subcontractor"],
+      required: true,
+    },
+    profileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    certificateId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+    // Certificate as submitted
+    certificate: {
+      title: { type: String, trim: true },
+      authority: { type: String, trim: true },
+      credentialId: { type: String, trim: true },
+      issueDate: { type: Date },
+      expiryDate: { type: Date },
+      fileUrl: { type: String, trim: true },
+      authorityUrl: { type: String, trim: true },
+    },
+
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    history: [decisionSub], // every status change, oldest first
+  },
+  { timestamps: true }
+);
+
+verificationRequestSchema.index({ status: 1, createdAt: 1 }); // queue, oldest first
+verificationRequestSchema.index({ certificateId: 1, status: 1 });
+
+export default mongoose.model("VerificationRequest", verificationRequestSchema);
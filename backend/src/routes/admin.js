@@ -0,0 +1,446 @@
+// routes/admin.js
+// Page purpose: Admin-only user management (search, view, role change, lock/unlock,
+// suspend/unsuspend, soft delete/restore), app security settings (2FA policy),
+// login history + the audit log of those actions.
+// Every route requires auth + the user:manage capability; every change is audited.
+
+import { Router } from "express";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import AppSettings from "../models/AppSettings.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import auth from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { validateBody, validateQuery } from "../middleware/validate.js";
+import {
+  listUsersQuerySchema,
+  listAuditLogsQuerySchema,
+  listLoginAttemptsQuerySchema,
+  changeRoleSchema,
+  lockUserSchema,
+  reasonOnlySchema,
+  securitySettingsSchema,
+} from "../validators/admin.validation.js";
+import { PERMISSIONS } from "../utils/roles.js";
+import { recordAudit } from "../services/audit.js";
+import { revokeUserSessions } from "../services/sessions.js";
+
+const router = Router();
+
+router.use(auth, requirePermission(PERMISSIONS.USER_MANAGE));
+
+/** ---------- Helpers ---------- */
+
+// Escape user input before building a RegExp (no regex injection / ReDoS).
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Derived account state shown in lists and detail views.
+const statusOf = (u) => {
+  if (u.deletedAt) return "deleted";
+  if (u.suspendedAt) return "suspended";
+  if (u.lockUntil && u.lockUntil > Date.now()) return "locked";
+  return "active";
+};
+
+const statusFilter = {
+  active: () => ({
+    deletedAt: null,
+    suspendedAt: null,
+    $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }],
+  }),
+  locked: () => ({ deletedAt: null, lockUntil: { $gt: new Date() } }),
+  suspended: () => ({ deletedAt: null, suspendedAt: { $ne: null } }),
+  deleted: () => ({ deletedAt: { $ne: null } }),
+};
+
+const serializeAdminUser = (u) => ({ ...u.toJSON(), status: statusOf(u) });
+
+// Loads :id (404 if missing) and refuses self-targeting for destructive actions.
+const loadTarget = async (req, res, { allowSelf = false } = {}) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id).select("-passwordHash")
+    : null;
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (!allowSelf && user._id.equals(req.user.sub)) {
+    res.status(400).json({ error: "Admins cannot perform this on themselves" });
+    return null;
+  }
+  return user;
+};
+
+/** ---------- USERS ---------- */
+
+// GET /api/admin/users?q=&role=&status=&page=&limit=
+// q matches first/last name, email or phone (case-insensitive, partial).
+router.get(
+  "/users",
+  validateQuery(listUsersQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { q, role, status, page, limit } = req.validatedQuery;
+
+      const filter = status ? statusFilter[status]() : { deletedAt: null };
+      if (role) filter.role = role;
+      if (q) {
+        const rx = new RegExp(escapeRegex(q), "i");
+        filter.$and = [
+          {
+            $or: [
+              { "name.first": rx },
+              { "name.last": rx },
+              { email: rx },
+              { phone: rx },
+            ],
+          },
+        ];
+      }
+
+      const [items, total] = await Promise.all([
+        User.find(filter)
+          .select("-passwordHash")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter),
+      ]);
+
+      res.json({
+        items: items.map(serializeAdminUser),
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /api/admin/users/:id — user + linked contractor/subcontractor profile
+router.get("/users/:id", async (req, res, next) => {
+  try {
+    const user = await loadTarget(req, res, { allowSelf: true });
+    if (!user) return;
+
+    const [contractorProfile, subContractorProfile] = await Promise.all([
+      ContractorProfile.findOne({ userId: user._id }),
+      SubContractorProfile.findOne({ userId: user._id }),
+    ]);
+
+    res.json({
+      user: serializeAdminUser(user),
+      contractorProfile,
+      subContractorProfile,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// PATCH /api/admin/users/:id/role
+// Sessions are revoked so the new role (a JWT claim) applies immediately.
+router.patch(
+  "/users/:id/role",
+  validateBody(changeRoleSchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      const { role, reason } = req.body;
+      const from = user.role;
+      if (from === role)
+        return res.status(400).json({ error: `User is already ${role}` });
+
+      user.role = role;
+      await user.save();
+      await revokeUserSessions(user._id, "admin");
+      await recordAudit(req, {
+        action: "user.role.change",
+        targetId: user._id,
+        reason,
+        changes: { role: { from, to: role } },
+      });
+
+      res.json({ message: "Role updated", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/admin/users/:id/lock  { minutes?, reason } — also signs the user out everywhere
+router.post(
+  "/users/:id/lock",
+  validateBody(lockUserSchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      const { minutes, reason } = req.body;
+      user.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+      await user.save();
+      await revokeUserSessions(user._id, "admin");
+      await recordAudit(req, {
+        action: "user.lock",
+        targetId: user._id,
+        reason,
+        changes: { lockUntil: { to: user.lockUntil } },
+      });
+
+      res.json({ message: "User locked", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/admin/users/:id/unlock  { reason } — also clears the failed-login counter
+router.post(
+  "/users/:id/unlock",
+  validateBody(reasonOnlySchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      const from = {
+        lockUntil: user.lockUntil,
+        failed: user.failedLoginAttempts,
+      };
+      user.lockUntil = undefined;
+      user.failedLoginAttempts = 0;
+      await user.save();
+      await recordAudit(req, {
+        action: "user.unlock",
+        targetId: user._id,
+        reason: req.body.reason,
+        changes: {
+          lockUntil: { from: from.lockUntil, to: null },
+          failedLoginAttempts: { from: from.failed, to: 0 },
+        },
+      });
+
+      res.json({ message: "User unlocked", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/admin/users/:id/suspend  { reason } — auth middleware rejects suspended users
+router.post(
+  "/users/:id/suspend",
+  validateBody(reasonOnlySchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+      if (user.suspendedAt)
+        return res.status(400).json({ error: "User is already suspended" });
+
+      user.suspendedAt = new Date();
+      user.suspendedReason = req.body.reason;
+      // Pending reset links must not work once the suspension is lifted
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      await revokeUserSessions(user._id, "admin");
+      await recordAudit(req, {
+        action: "user.suspend",
+        targetId: user._id,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: "User suspended", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/admin/users/:id/unsuspend  { reason }
+router.post(
+  "/users/:id/unsuspend",
+  validateBody(reasonOnlySchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+      if (!user.suspendedAt)
+        return res.status(400).json({ error: "User is not suspended" });
+
+      user.suspendedAt = undefined;
+      user.suspendedReason = undefined;
+      await user.save();
+      await recordAudit(req, {
+        action: "user.unsuspend",
+        targetId: user._id,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: "User reinstated", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// DELETE /api/admin/users/:id  { reason } — soft delete (data kept, login/auth blocked)
+router.delete(
+  "/users/:id",
+  validateBody(reasonOnlySchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+      if (user.deletedAt)
+        return res.status(400).json({ error: "User is already deleted" });
+
+      user.deletedAt = new Date();
+      await user.save();
+      await revokeUserSessions(user._id, "admin");
+      await recordAudit(req, {
+        action: "user.delete",
+        targetId: user._id,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: "User deleted", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/admin/users/:id/restore  { reason } — undo a soft delete
+router.post(
+  "/users/:id/restore",
+  validateBody(reasonOnlySchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+      if (!user.deletedAt)
+        return res.status(400).json({ error: "User is not deleted" });
+      if (user.anonymizedAt)
+        return res.status(400).json({
+          error: "Account data has been purged and cannot be restored",
+        });
+
+      user.deletedAt = undefined;
+      await user.save();
+      await recordAudit(req, {
+        action: "user.restore",
+        targetId: user._id,
+        reason: req.body.reason,
+      });
+
+      res.json({ message: "User restored", user: serializeAdminUser(user) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- SETTINGS ---------- */
+
+// GET /api/admin/settings
+router.get("/settings", async (_req, res, next) => {
+  try {
+    res.json(await AppSettings.current());
+  } catch (e) {
+    next(e);
+  }
+});
+
+// PATCH /api/admin/settings/security  { require2FARoles, reason }
+// Users in these roles must enroll in 2FA on their next login.
+router.patch(
+  "/settings/security",
+  validateBody(securitySettingsSchema),
+  async (req, res, next) => {
+    try {
+      const settings = await AppSettings.current();
+      const from = [...settings.require2FARoles];
+      settings.require2FARoles = req.body.require2FARoles;
+      await settings.save();
+      await recordAudit(req, {
+        action: "settings.security.update",
+        targetType: "AppSettings",
+        targetId: settings._id,
+        reason: req.body.reason,
+        changes: { require2FARoles: { from, to: settings.require2FARoles } },
+      });
+
+      res.json({ message: "Security settings updated", settings });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- LOGIN HISTORY ---------- */
+
+// GET /api/admin/login-attempts?userId=&email=&ip=&outcome=&page=&limit=
+router.get(
+  "/login-attempts",
+  validateQuery(listLoginAttemptsQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { page, limit, ...filter } = req.validatedQuery;
+
+      const [items, total] = await Promise.all([
+        LoginAttempt.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        LoginAttempt.countDocuments(filter),
+      ]);
+
+      res.json({ items, page, limit, total, pages: Math.ceil(total / limit) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- AUDIT LOG ---------- */
+
+// GET /api/admin/audit-logs?actorId=&targetId=&action=&page=&limit=
+router.get(
+  "/audit-logs",
+  validateQuery(listAuditLogsQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { actorId, targetId, action, page, limit } = req.validatedQuery;
+      const filter = {};
+      if (actorId) filter.actorId = actorId;
+      if (targetId) filter.targetId = targetId;
+      if (action) filter.action = action;
+
+      const [items, total] = await Promise.all([
+        AuditLog.find(filter)
+          .populate("actorId", "name email role")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json({ items, page, limit, total, pages: Math.ceil(total / limit) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,133 @@
+// routes/contractors.js
+// Page purpose: Contractor profile API (mounted at /api/contractors).
+// /me/* acts on the caller's own profile and needs the contractorProfile:write capability;
+// anything that writes profile data also needs a verified email.
+// GET /:id is the public profile view (no auth).
+
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import auth from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import requireVerifiedEmail from "../middleware/requireVerifiedEmail.js";
+import { validateBody } from "../middleware/validate.js";
+import { PERMISSIONS } from "../utils/roles.js";
+import { registryCheckSchema } from "../validators/verification.validation.js";
+import {
+  patchContractorProfileSchema,
+  addCertificateSchema,
+  addPortfolioItemSchema,
+  updateContactSchema,
+  updateAddressSchema,
+} from "../validators/contractorProfile.js";
+import {
+  getMe,
+  upsertMe,
+  patchMe,
+  deleteMe,
+  getById,
+  addCertificate,
+  updateCertificate,
+  removeCertificate,
+  requestCertificateVerification,
+  checkCertificateRegistry,
+  addPortfolioItem,
+  removePortfolioItem,
+  updateContact,
+  updateAddress,
+} from "../controllers/contractorProfile.controller.js";
+
+const router = Router();
+
+// Registry lookups may hit an external service: 20 per hour per IP.
+const registryLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(
+  "/me",
+  auth,
+  requirePermission(PERMISSIONS.CONTRACTOR_PROFILE_WRITE)
+);
+
+/** ---------- MY PROFILE ---------- */
+
+// GET /api/contractors/me
+router.get("/me", getMe);
+
+// PUT /api/contractors/me
+// Flow: prefill from registration data -> validate (full schema) -> create or replace
+router.put("/me", requireVerifiedEmail, upsertMe);
+
+// PATCH /api/contractors/me — partial update, omitted fields untouched
+router.patch(
+  "/me",
+  requireVerifiedEmail,
+  validateBody(patchContractorProfileSchema),
+  patchMe
+);
+
+// DELETE /api/contractors/me
+router.delete("/me", deleteMe);
+
+/** ---------- CERTIFICATES / PORTFOLIO ---------- */
+
+router.post(
+  "/me/certificates",
+  requireVerifiedEmail,
+  validateBody(addCertificateSchema),
+  addCertificate
+);
+router.put(
+  "/me/certificates/:itemId",
+  requireVerifiedEmail,
+  validateBody(addCertificateSchema),
+  updateCertificate
+);
+router.delete("/me/certificates/:itemId", removeCertificate);
+// Needs the document uploaded (fileUrl); an admin approves/rejects it
+router.post(
+  "/me/certificates/:itemId/verification",
+  requireVerifiedEmail,
+  requestCertificateVerification
+);
+// Confirms credentialId against an official licence registry (gov.il / local fixtures)
+router.post(
+  "/me/certificates/:itemId/registry-check",
+  requireVerifiedEmail,
+  registryLimiter,
+  validateBody(registryCheckSchema),
+  checkCertificateRegistry
+);
+
+router.post(
+  "/me/portfolio",
+  requireVerifiedEmail,
+  validateBody(addPortfolioItemSchema),
+  addPortfolioItem
+);
+router.delete("/me/portfolio/:itemId", removePortfolioItem);
+
+/** ---------- CONTACT / ADDRESS ---------- */
+
+router.put(
+  "/me/contact",
+  requireVerifiedEmail,
+  validateBody(updateContactSchema),
+  updateContact
+);
+router.put(
+  "/me/address",
+  requireVerifiedEmail,
+  validateBody(updateAddressSchema),
+  updateAddress
+);
+
+/** ---------- PUBLIC ---------- */
+
+// GET /api/contractors/:id (profile id)
+router.get("/:id", getById);
+
+export default router;
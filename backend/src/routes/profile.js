@@ -0,0 +1,94 @@
+// routes/profile.js
+// Page purpose: Role-agnostic views of "my profile" (mounted at /api/profile), for screens
+// that don't care whether the user is a contractor or a subcontractor.
+// Currently: the completeness score + "complete your profile" checklist, upcoming
+// credential expiries (certificates / insurance), and the user's verification requests.
+
+import { Router } from "express";
+import auth from "../middleware/auth.js";
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { validateQuery } from "../middleware/validate.js";
+import { expiriesQuerySchema } from "../validators/profile.validation.js";
+import { computeCompleteness } from "../utils/completeness.js";
+import { upcomingExpiriesFor } from "../services/expiryMonitor.js";
+import VerificationRequest from "../models/VerificationRequest.js";
+import { expiryPolicy } from "../config/expiry.js";
+
+const router = Router();
+
+// Which profile collection belongs to which role (other roles: whichever profile exists).
+const PROFILE_MODELS = {
+  contractor: ContractorProfile,
+  subcontractor: SubContractorProfile,
+};
+
+/** ---------- COMPLETENESS ---------- */
+
+// GET /api/profile/me/completeness
+// → { profileType, exists, score, missing: [{ key, label, weight }] } (biggest gain first)
+// Without a profile yet, score is 0 and every item of the role's checklist is missing.
+router.get("/me/completeness", auth, async (req, res, next) => {
+  try {
+    let profileType = PROFILE_MODELS[req.user.role] ? req.user.role : null;
+    let profile = profileType
+      ? await PROFILE_MODELS[profileType].findOne({ userId: req.user.sub })
+      : null;
+
+    if (!profileType) {
+      for (const [type, Model] of Object.entries(PROFILE_MODELS)) {
+        profile = await Model.findOne({ userId: req.user.sub });
+        if (profile) {
+          profileType = type;
+          break;
+        }
+      }
+    }
+    if (!profileType)
+      return res
+        .status(404)
+        .json({ error: "Your account type has no profile" });
+
+    // Computed live: the stored value may predate a weights change
+    const { score, missing } = computeCompleteness(profile, profileType);
+    res.json({ profileType, exists: !!profile, score, missing });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/** ---------- EXPIRIES ---------- */
+
+// GET /api/profile/me/expiries?days=90
+// Certificates / insurance expiring within `days`, already-expired ones included, soonest first.
+router.get(
+  "/me/expiries",
+  auth,
+  validateQuery(expiriesQuerySchema),
+  async (req, res, next) => {
+    try {
+      const days = req.validatedQuery.days ?? expiryPolicy().upcomingDays;
+      const items = await upcomingExpiriesFor(req.user.sub, days);
+      res.json({ days, items });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- VERIFICATIONS ---------- */
+
+// GET /api/profile/me/verifications — the user's certificate review requests, newest first
+router.get("/me/verifications", auth, async (req, res, next) => {
+  try {
+    const items = await VerificationRequest.find({ userId: req.user.sub })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .select("-history.by -reviewedBy"); // reviewers stay anonymous to owners
+    res.json(items);
+  } catch (e) {
+    next(e);
+  }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+// routes/search.js
+// Page purpose: Public profile directory search (mounted at /api/search), no auth needed —
+// it lists the same profiles the public profile pages show, as result cards.
+// Query, filters, sorting, cursor pagination and facet counts: services/profileSearch.js.
+
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import { validateQuery } from "../middleware/validate.js";
+import {
+  searchContractorsQuerySchema,
+  searchSubcontractorsQuerySchema,
+} from "../validators/search.validation.js";
+import { searchProfiles } from "../services/profileSearch.js";
+
+const router = Router();
+
+// 300 searches per 15 minutes per IP (typing-ahead included).
+const searchLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(searchLimiter);
+
+// → { items, nextCursor, sort, limit, total, facets, countsApproximate, origin }
+// near = "lat,lng" or a city/town (unknown place → 400); items then carry distanceKm and
+// origin = { lat, lng, label, radiusKm }.
+// Pass nextCursor back as ?cursor= for the next page. facets = counts for the filter chips:
+// { primaryTrade, coverageAreas, languages*: [{ value, count }], isVerified: [{ value, count }],
+//   rating, dayRate*, hourRate*: [{ min, max, count }] }   (* subcontractors only)
+const search = (type) => async (req, res, next) => {
+  try {
+    res.json(await searchProfiles(type, req.validatedQuery));
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** ---------- SEARCH ---------- */
+
+// GET /api/search/subcontractors?q=&trade=&area=&language=&minRating=&verified=
+//     &maxDayRate=&maxHourRate=&vatRegistered=&availableFrom=&availableTo=&near=&radiusKm=
+//     &sort=relevance|rating|newest|dayRate|hourRate|distance&limit=&cursor=
+router.get(
+  "/subcontractors",
+  validateQuery(searchSubcontractorsQuerySchema),
+  search("subcontractor")
+);
+
+// GET /api/search/contractors?q=&trade=&area=&minRating=&verified=&near=&radiusKm=
+//     &sort=relevance|rating|newest|distance&limit=&cursor=
+router.get(
+  "/contractors",
+  validateQuery(searchContractorsQuerySchema),
+  search("contractor")
+);
+
+export default router;
@@ -0,0 +1,85 @@
+// routes/sessions.js
+// Page purpose: Lets the current user see where they are signed in and sign devices out
+// (mounted under /api/users/me/sessions by routes/users.js).
+// Each Session doc is one signed-in device; revoking it kills its refresh token, and
+// auth middleware rejects its access tokens on the next request.
+
+import { Router } from "express";
+import { isValidObjectId } from "mongoose";
+import Session from "../models/Session.js";
+import auth from "../middleware/auth.js";
+import {
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+} from "../services/sessions.js";
+
+const router = Router();
+
+router.use(auth);
+
+/** ---------- Helpers ---------- */
+
+// Only what the devices list needs; `current` marks the session making this request.
+const serializeSession = (session, currentId) => ({
+  id: session._id,
+  deviceLabel: session.deviceLabel || "Unknown device",
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentId,
+});
+
+/** ---------- LIST ---------- */
+
+// GET /api/users/me/sessions
+router.get("/", async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user.sub);
+    res.json(sessions.map((s) => serializeSession(s, req.user.sid)));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/** ---------- SIGN OUT ---------- */
+
+// DELETE /api/users/me/sessions — signs out every device except this one
+router.delete("/", async (req, res, next) => {
+  try {
+    await revokeUserSessions(req.user.sub, "logout", {
+      exceptId: req.user.sid,
+    });
+    res.json({ message: "Signed out of all other devices" });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// DELETE /api/users/me/sessions/:id
+// Flow: must be one of the caller's live sessions (404 otherwise, never reveals others')
+// -> revoke. Revoking the current session is allowed and works like logout.
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const owned =
+      isValidObjectId(id) &&
+      (await Session.exists({
+        _id: id,
+        userId: req.user.sub,
+        revokedAt: null,
+      }));
+    if (!owned) return res.status(404).json({ error: "Session not found" });
+
+    await revokeSession(id, "logout");
+    res.json({
+      message: "Device signed out",
+      current: id === req.user.sid,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+export default router;
@@ -0,0 +1,199 @@
+// routes/subcontractors.js
+// Page purpose: Subcontractor profile API (mounted at /api/subcontractors).
+// /me/* acts on the caller's own profile and needs the subcontractorProfile:write capability;
+// anything that writes profile data also needs a verified email.
+// GET /:id is the public profile view (no auth, only profiles with isVisible);
+// GET /:id/availability expands its calendar into free intervals.
+// Calendar sync: /me/calendar-feed (secret .ics URL) and /me/availability/import (.ics upload).
+
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import auth from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import requireVerifiedEmail from "../middleware/requireVerifiedEmail.js";
+import { validateBody, validateQuery } from "../middleware/validate.js";
+import { PERMISSIONS } from "../utils/roles.js";
+import { registryCheckSchema } from "../validators/verification.validation.js";
+import {
+  patchSubContractorProfileSchema,
+  addAvailabilitySlotSchema,
+  addAvailabilityRuleSchema,
+  addAvailabilityExceptionSchema,
+  availabilityQuerySchema,
+  addExperienceItemSchema,
+  addCertificateSchema,
+  addPortfolioItemSchema,
+} from "../validators/subContractorProfile.js";
+import {
+  getMe,
+  createMe,
+  patchMe,
+  getById,
+  getAvailability,
+  addItem,
+  updateItem,
+  removeItem,
+  requestCertificateVerification,
+  checkCertificateRegistry,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeed,
+  importAvailabilityCalendar,
+} from "../controllers/subContractorProfile.controller.js";
+
+const router = Router();
+
+// Registry lookups may hit an external service: 20 per hour per IP.
+const registryLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Calendar imports: 30 per hour per IP.
+const importLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.use(
+  "/me",
+  auth,
+  requirePermission(PERMISSIONS.SUBCONTRACTOR_PROFILE_WRITE)
+);
+
+/** ---------- MY PROFILE ---------- */
+
+// GET /api/subcontractors/me
+router.get("/me", getMe);
+
+// POST /api/subcontractors/me
+// Flow: prefill from registration data -> validate (full schema) -> create (409 if one exists)
+router.post("/me", requireVerifiedEmail, createMe);
+
+// PATCH /api/subcontractors/me — partial update, omitted fields untouched
+router.patch(
+  "/me",
+  requireVerifiedEmail,
+  validateBody(patchSubContractorProfileSchema),
+  patchMe
+);
+
+/** ---------- ITEM LISTS ---------- */
+// POST   /api/subcontractors/me/<list>
+// PUT    /api/subcontractors/me/<list>/:itemId
+// DELETE /api/subcontractors/me/<list>/:itemId
+// Availability lists answer 409 { error, conflicts } on overlapping/contradictory entries.
+
+const itemLists = [
+  // [url segment, profile field, noun (limit message), label, body schema]
+  [
+    "availability",
+    "availability",
+    "availability",
+    "Availability slot",
+    addAvailabilitySlotSchema,
+  ],
+  [
+    "availability-rules",
+    "availabilityRules",
+    "weekly availability",
+    "Availability rule",
+    addAvailabilityRuleSchema,
+  ],
+  [
+    "time-off",
+    "availabilityExceptions",
+    "time off",
+    "Time off",
+    addAvailabilityExceptionSchema,
+  ],
+  [
+    "experience",
+    "experience",
+    "experience",
+    "Experience item",
+    addExperienceItemSchema,
+  ],
+  [
+    "certificates",
+    "certificates",
+    "certificate",
+    "Certificate",
+    addCertificateSchema,
+  ],
+  [
+    "portfolio",
+    "portfolio",
+    "portfolio",
+    "Portfolio item",
+    addPortfolioItemSchema,
+  ],
+];
+
+for (const [path, field, noun, label, schema] of itemLists) {
+  router.post(
+    `/me/${path}`,
+    requireVerifiedEmail,
+    validateBody(schema),
+    addItem(field, noun)
+  );
+  router.put(
+    `/me/${path}/:itemId`,
+    requireVerifiedEmail,
+    validateBody(schema),
+    updateItem(field, label)
+  );
+  router.delete(`/me/${path}/:itemId`, removeItem(field, label));
+}
+
+// POST /api/subcontractors/me/certificates/:itemId/verification — queue for admin review
+router.post(
+  "/me/certificates/:itemId/verification",
+  requireVerifiedEmail,
+  requestCertificateVerification
+);
+
+// POST /api/subcontractors/me/certificates/:itemId/registry-check  { registry }
+router.post(
+  "/me/certificates/:itemId/registry-check",
+  requireVerifiedEmail,
+  registryLimiter,
+  validateBody(registryCheckSchema),
+  checkCertificateRegistry
+);
+
+/** ---------- CALENDAR SYNC ---------- */
+
+// POST   /api/subcontractors/me/calendar-feed → 201 { url, createdAt } (replaces the old URL)
+// DELETE /api/subcontractors/me/calendar-feed
+router.post("/me/calendar-feed", createCalendarFeed);
+router.delete("/me/calendar-feed", deleteCalendarFeed);
+
+// POST /api/subcontractors/me/availability/import   (multipart/form-data, field "file")
+router.post(
+  "/me/availability/import",
+  requireVerifiedEmail,
+  importLimiter,
+  importAvailabilityCalendar
+);
+
+/** ---------- PUBLIC ---------- */
+
+// GET /api/subcontractors/calendar/:token.ics — subscribed to by calendar apps (declared before /:id)
+router.get("/calendar/:token.ics", getCalendarFeed);
+
+// GET /api/subcontractors/:id (profile id)
+router.get("/:id", getById);
+
+// GET /api/subcontractors/:id/availability?from=&to=  (defaults: now → +30 days, max 92)
+router.get(
+  "/:id/availability",
+  validateQuery(availabilityQuerySchema),
+  getAvailability
+);
+
+export default router;
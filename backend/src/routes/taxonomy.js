@@ -0,0 +1,26 @@
+// routes/taxonomy.js
+// Page purpose: Canonical trade taxonomy (mounted at /api/taxonomy), public, for trade
+// pickers and autocomplete on profile and search forms. Data: config/trades.js;
+// matching: utils/taxonomy.js. Profiles keep free text; keys are derived on save.
+
+import { Router } from "express";
+import { validateQuery } from "../middleware/validate.js";
+import { tradesQuerySchema } from "../validators/taxonomy.validation.js";
+import { tradeTree, suggestTrades } from "../utils/taxonomy.js";
+
+const router = Router();
+
+/** ---------- TRADES ---------- */
+
+// GET /api/taxonomy/trades?lang=he
+// → [{ key, label, labels, specialties: [{ key, label, labels }] }]
+// GET /api/taxonomy/trades?q=חשמ&lang=he&limit=10   (q matches any language)
+// → [{ key, label, parentKey, parentLabel, matched }] best matches first
+router.get("/trades", validateQuery(tradesQuerySchema), (req, res) => {
+  const { q, lang, limit } = req.validatedQuery;
+  // Static data: cacheable by browsers and proxies
+  res.set("Cache-Control", "public, max-age=3600");
+  res.json(q ? suggestTrades(q, { lang, limit }) : tradeTree(lang));
+});
+
+export default router;
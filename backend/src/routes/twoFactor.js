@@ -0,0 +1,226 @@
+// routes/twoFactor.js
+// Page purpose: TOTP 2FA enrollment and management for the current user
+// (mounted under /api/users/me/2fa by routes/users.js).
+// setup/confirm also accept a `setupToken` from /login, so users whose role requires
+// 2FA can enroll before they ever receive a session.
+
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import auth from "../middleware/auth.js";
+import { validateBody } from "../middleware/validate.js";
+import {
+  twoFactorSetupSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+} from "../validators/twoFactor.validation.js";
+import { generateTotpSecret, otpauthUri, verifyTotp } from "../utils/totp.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import { canUseTwoFactor } from "../utils/roles.js";
+import {
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../services/twoFactor.js";
+import { issueAuthTokens } from "../services/sessions.js";
+import { recordLoginAttempt } from "../services/loginGuard.js";
+
+const router = Router();
+
+// Codes are only 6 digits: keep guessing expensive (20 attempts / 10 min per IP).
+router.use(
+  rateLimit({
+    windowMs: 10 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+);
+
+/** ---------- Helpers ---------- */
+
+// Regular session auth, or the limited setup token handed out by /login.
+const authOrSetupToken = (req, res, next) => {
+  if (!req.body?.setupToken) return auth(req, res, next);
+
+  const sub = verifyChallengeToken(req.body.setupToken, "2fa-setup");
+  if (!sub)
+    return res.status(401).json({ error: "Invalid or expired setup token" });
+  req.user = { sub, viaSetupToken: true };
+  next();
+};
+
+const loadUser = (req) =>
+  User.findOne({ _id: req.user.sub, deletedAt: null, suspendedAt: null });
+
+/** ---------- STATUS ---------- */
+
+// GET /api/users/me/2fa
+router.get("/", auth, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      eligible: canUseTwoFactor(user),
+      required: await isTwoFactorRequired(user),
+      recoveryCodesLeft: user.twoFactor?.recoveryCodeHashes?.length || 0,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/** ---------- ENROLLMENT ---------- */
+
+// POST /api/users/me/2fa/setup
+// Flow: eligibility -> new pending secret (replaces any earlier unconfirmed one) -> otpauth URI
+router.post(
+  "/setup",
+  validateBody(twoFactorSetupSchema),
+  authOrSetupToken,
+  async (req, res, next) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (!canUseTwoFactor(user))
+        return res.status(403).json({
+          error: "Two-factor auth is available for business accounts",
+        });
+      if (user.twoFactor.enabled)
+        return res
+          .status(400)
+          .json({ error: "Two-factor auth is already enabled" });
+
+      const secret = generateTotpSecret();
+      user.twoFactor.pendingSecretEnc = encrypt(secret);
+      await user.save();
+
+      res.json({
+        secret, // for manual entry
+        otpauthUri: otpauthUri({ secret, label: user.email }),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/users/me/2fa/confirm  { code, setupToken? }
+// Flow: verify first code against pending secret -> enable -> return recovery codes once.
+// When enrolling via setupToken, the response also opens the session login was holding back.
+router.post(
+  "/confirm",
+  validateBody(twoFactorCodeSchema),
+  authOrSetupToken,
+  async (req, res, next) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      const tf = user.twoFactor;
+      if (tf.enabled)
+        return res
+          .status(400)
+          .json({ error: "Two-factor auth is already enabled" });
+      if (!tf.pendingSecretEnc)
+        return res.status(400).json({ error: "Start setup first" });
+
+      const step = verifyTotp(decrypt(tf.pendingSecretEnc), req.body.code);
+      if (step === null)
+        return res.status(400).json({ error: "Invalid authentication code" });
+
+      const { codes, hashes } = generateRecoveryCodes();
+      tf.enabled = true;
+      tf.secretEnc = tf.pendingSecretEnc;
+      tf.pendingSecretEnc = undefined;
+      tf.recoveryCodeHashes = hashes;
+      tf.lastUsedStep = step;
+      tf.enabledAt = new Date();
+      await user.save();
+
+      const body = {
+        message: "Two-factor auth enabled. Store your recovery codes safely",
+        recoveryCodes: codes,
+      };
+      if (req.user.viaSetupToken) {
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        await recordLoginAttempt(req, {
+          email: user.email,
+          userId: user._id,
+          outcome: "success",
+        });
+        res.setHeader("x-auth-token", token);
+        Object.assign(body, { token, refreshToken });
+      }
+      res.json(body);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- MANAGEMENT ---------- */
+
+// POST /api/users/me/2fa/recovery-codes  { code } — replaces all recovery codes
+router.post(
+  "/recovery-codes",
+  auth,
+  validateBody(twoFactorCodeSchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (!verifySecondFactor(user, { code: req.body.code }))
+        return res.status(400).json({ error: "Invalid authentication code" });
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor.recoveryCodeHashes = hashes;
+      await user.save();
+
+      res.json({ recoveryCodes: codes });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/users/me/2fa/disable  { password, code | recoveryCode }
+// Not allowed while an admin policy requires 2FA for the user's role.
+router.post(
+  "/disable",
+  auth,
+  validateBody(disableTwoFactorSchema),
+  async (req, res, next) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (!user.twoFactor.enabled)
+        return res
+          .status(400)
+          .json({ error: "Two-factor auth is not enabled" });
+      if (await isTwoFactorRequired(user))
+        return res
+          .status(403)
+          .json({ error: "Two-factor auth is required for your role" });
+
+      const { password, code, recoveryCode } = req.body;
+      const ok = await bcrypt.compare(password, user.passwordHash);
+      if (!ok || !verifySecondFactor(user, { code, recoveryCode }))
+        return res
+          .status(400)
+          .json({ error: "Invalid password or authentication code" });
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+
+      res.json({ message: "Two-factor auth disabled" });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+export default router;
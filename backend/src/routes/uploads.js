@@ -0,0 +1,228 @@
+// routes/uploads.js
+// Page purpose: File uploads (mounted at /api/uploads). Files go in as multipart/form-data
+// (one file, field "file"); the response's `url` is what gets stored on the user/profile
+// (image.url, profilePhotoUrl, portfolio[].url, certificates[].fileUrl, documents[]).
+// Kinds, limits and visibility: config/uploads.js. Storage, quotas, cleanup: services/uploads.js.
+// Images also get resized variants (thumb/card/full), each with its own URL.
+
+import { Router } from "express";
+import os from "os";
+import mongoose from "mongoose";
+import rateLimit from "express-rate-limit";
+import formidable, { errors as formidableErrors } from "formidable";
+import Upload from "../models/Upload.js";
+import auth from "../middleware/auth.js";
+import { hasPermission, PERMISSIONS } from "../utils/roles.js";
+import { UPLOAD_KINDS, uploadConfig } from "../config/uploads.js";
+import { fileUrl, variantUrl } from "../utils/uploadUrls.js";
+import {
+  storageAdapter,
+  signedUrl,
+  hasValidSignature,
+  usedBytes,
+  uploadLimitFor,
+  storeUpload,
+  referencedUploadIds,
+  deleteUpload,
+} from "../services/uploads.js";
+
+const router = Router();
+
+// 60 uploads per hour per IP.
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/** ---------- Helpers ---------- */
+
+const MB = 1024 * 1024;
+const toMb = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+const notFound = (res) => res.status(404).json({ error: "File not found" });
+
+const loadUpload = (id) =>
+  mongoose.isValidObjectId(id) ? Upload.findById(id) : null;
+
+const serialize = (upload) => {
+  const json = upload.toJSON();
+  return {
+    ...json,
+    url: fileUrl(upload),
+    variants: json.variants.map((v) => ({
+      ...v,
+      url: variantUrl(upload, v.name),
+    })),
+  };
+};
+
+// Owners see their own private files; reviewers see everyone's (verification queue).
+const canRead = (upload, user) =>
+  String(upload.ownerId) === String(user.sub) ||
+  hasPermission(user.role, PERMISSIONS.PROFILE_VERIFY);
+
+// `file` = the upload itself or one of its variants (same storageKey/mimeType/size fields)
+function streamFile(res, upload, file = upload) {
+  res.set({
+    "Content-Type": file.mimeType,
+    "Content-Length": String(file.size),
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control":
+      upload.visibility === "public"
+        ? "public, max-age=86400"
+        : "private, no-store",
+  });
+  const stream = storageAdapter(upload.storage).read(file.storageKey);
+  stream.on("error", (err) => {
+    console.error("❌ Upload read failed:", err.message);
+    if (!res.headersSent) notFound(res);
+    else res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+/** ---------- MY FILES ---------- */
+
+// GET /api/uploads → { items (newest first), usedBytes, quotaBytes }
+router.get("/", auth, async (req, res, next) => {
+  try {
+    const [items, used] = await Promise.all([
+      Upload.find({ ownerId: req.user.sub }).sort({ createdAt: -1 }),
+      usedBytes(req.user.sub),
+    ]);
+    res.json({
+      items: items.map(serialize),
+      usedBytes: used,
+      quotaBytes: uploadConfig().quotaBytes,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /api/uploads/:kind   (multipart/form-data, field "file")
+// Flow: kind + quota check -> parse to a temp file (size capped) -> sniff real type
+// -> images: fix orientation, strip metadata, make variants -> quota re-check -> move into
+// storage -> record owner (rolled back with 413 if parallel uploads overran the quota)
+// -> 201 { ...upload, url, variants: [{ name, url, width, height, ... }] }
+router.post("/:kind", auth, uploadLimiter, async (req, res, next) => {
+  try {
+    const { kind } = req.params;
+    if (!UPLOAD_KINDS[kind])
+      return res.status(404).json({
+        error: `Unknown upload kind; use one of: ${Object.keys(UPLOAD_KINDS).join(", ")}`,
+      });
+
+    const { maxBytes, left } = await uploadLimitFor(req.user.sub, kind);
+    if (maxBytes <= 0)
+      return res.status(413).json({ error: "Your upload quota is full" });
+
+    const form = formidable({
+      uploadDir: os.tmpdir(),
+      maxFiles: 1,
+      maxFileSize: maxBytes,
+      allowEmptyFiles: false,
+      maxFields: 10,
+      filter: ({ name }) => name === "file",
+    });
+
+    let files;
+    try {
+      [, files] = await form.parse(req);
+    } catch (err) {
+      const tooBig = [
+        formidableErrors.biggerThanMaxFileSize,
+        formidableErrors.biggerThanTotalMaxFileSize,
+      ].includes(err.code);
+      if (!tooBig)
+        return res.status(err.httpCode || 400).json({ error: err.message });
+      return res.status(413).json({
+        error:
+          maxBytes < UPLOAD_KINDS[kind].maxBytes
+            ? `File is too large: ${toMb(left)} left of your upload quota`
+            : `File is too large: ${kind} files may be up to ${toMb(maxBytes)}`,
+      });
+    }
+
+    const file = files.file?.[0];
+    if (!file)
+      return res.status(400).json({ error: 'Send the file in field "file"' });
+
+    const upload = await storeUpload(req.user.sub, kind, file);
+    res.status(201).json(serialize(upload));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /api/uploads/:id/signed-url → { url, expiresAt }
+// Short-lived link to a private file, e.g. to open an insurance policy in a new tab.
+router.get("/:id/signed-url", auth, async (req, res, next) => {
+  try {
+    const upload = await loadUpload(req.params.id);
+    if (!upload || !canRead(upload, req.user)) return notFound(res);
+    res.json(signedUrl(upload));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// DELETE /api/uploads/:id — only once nothing on the user/profile points at it anymore
+router.delete("/:id", auth, async (req, res, next) => {
+  try {
+    const upload = await loadUpload(req.params.id);
+    if (!upload || String(upload.ownerId) !== String(req.user.sub))
+      return notFound(res);
+
+    const inUse = await referencedUploadIds(req.user.sub);
+    if (inUse.has(String(upload._id)))
+      return res.status(409).json({
+        error: "This file is still used by your profile; remove it there first",
+      });
+
+    await deleteUpload(upload);
+    res.json({ message: "File deleted" });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/** ---------- DOWNLOAD ---------- */
+
+// Public files: anyone. Private files: a valid signature, or the owner / a reviewer's token.
+const download = (pickFile) => async (req, res, next) => {
+  try {
+    const upload = await loadUpload(req.params.id);
+    const file = upload && pickFile(upload, req.params);
+    if (!file) return notFound(res);
+
+    if (
+      upload.visibility === "public" ||
+      hasValidSignature(upload._id, req.query)
+    )
+      return streamFile(res, upload, file);
+
+    auth(req, res, () => {
+      if (!canRead(upload, req.user)) return notFound(res);
+      streamFile(res, upload, file);
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+// GET /api/uploads/:id[?expires=&sig=]
+router.get(
+  "/:id",
+  download((upload) => upload)
+);
+
+// GET /api/uploads/:id/variants/:name   (thumb | card | full)
+router.get(
+  "/:id/variants/:name",
+  download((upload, { name }) => upload.variants.find((v) => v.name === name))
+);
+
+export default router;
@@ -1,38 +1,70 @@
 // routes/users.js
-// Page purpose: Defines user-facing auth endpoints (register, login, me).
+// Page purpose: Defines user-facing auth endpoints (register, login, refresh, logout,
+// forgot/reset password, email verification, me + self-service update/password,
+// personal data export + scheduled account deletion)
+// and mounts the 2FA and active-sessions sub-routers.
 // Secures inputs with Joi, limits requests to reduce brute force,
-// signs JWTs on success, and implements simple lockout on repeated failures.
+// issues short-lived JWTs + rotating refresh tokens on success,
+// and applies progressive login backoff backed by a login history.
 
 import { Router } from "express";
 import rateLimit from "express-rate-limit";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import {
   validateUser,
   registerSchema,
   loginSchema,
+  refreshSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  updateSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
 } from "../validators/users.validation.js";
 import auth from "../middleware/auth.js";
+import { roleForRegistration } from "../utils/roles.js";
+import { twoFactorLoginSchema } from "../validators/twoFactor.validation.js";
+import {
+  signChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  verifySecondFactor,
+} from "../services/twoFactor.js";
+import twoFactorRouter from "./twoFactor.js";
+import sessionsRouter from "./sessions.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  formatWait,
+  knownIpsFor,
+} from "../services/loginGuard.js";
+import {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeByRefreshToken,
+  signAccessToken,
+  revokeUserSessions,
+  revokeSession,
+} from "../services/sessions.js";
+import { sendMail, appUrl } from "../services/mailer.js";
+import {
+  startEmailVerification,
+  resendWaitSeconds,
+} from "../services/emailVerification.js";
+import {
+  buildPersonalDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} from "../services/accountDeletion.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
 
 const router = Router();
 
 /** ---------- Helpers ---------- */
 
-// Small helper to sign the JWT with essential claims.
-// sub = subject (user id), plus role/email/isBusiness for quick authz checks on the client.
-const signToken = (user) =>
-  jwt.sign(
-    {
-      sub: user._id.toString(),
-      role: user.role,
-      email: user.email,
-      isBusiness: user.isBusiness,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" } // refresh cadence: 7 days
-  );
-
 // Ensure we never leak sensitive fields and keep response consistent.
 const serializeUser = (u) => ({
   id: u._id,
@@ -41,18 +73,36 @@ const serializeUser = (u) => ({
   email: u.email,
   isBusiness: u.isBusiness,
   role: u.role,
+  emailVerified: !!u.emailVerified,
+  deletionScheduledFor: u.deletionScheduledFor || null,
   image: u.image,
   address: u.address,
 });
 //? Maybe return a more minimal payload on login/register? For now, full profile minus passwordHash.
 
+// Open a session (one per device), log the successful login, return tokens + sanitized user.
+const sendSession = async (req, res, user) => {
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+  await recordLoginAttempt(req, {
+    email: user.email,
+    userId: user._id,
+    outcome: "success",
+  });
+  res.setHeader("x-auth-token", token);
+  return res.json({ token, refreshToken, user: serializeUser(user) });
+};
+
 // Normalize email (trim + lowercase) in a single, reusable function.
 const normalizeEmail = (e) =>
   String(e || "")
     .trim()
     .toLowerCase();
 
-/** Rate limit register/login to reduce brute force */
+// Reset links are valid for RESET_TOKEN_TTL_MINUTES (default 30), read lazily after dotenv.
+const resetTokenTtlMs = () =>
+  Number(process.env.RESET_TOKEN_TTL_MINUTES || 30) * 60 * 1000;
+
+/** Rate limit register/login/refresh to reduce brute force */
 // 50 attempts per 10 minutes per IP (adjust as needed).
 const authLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 min
@@ -63,7 +113,8 @@ const authLimiter = rateLimit({
 
 /** ---------- REGISTER ---------- */
 // POST /api/users/register
-// Flow: validate -> check duplicate email -> hash password -> create user -> sign token -> return (header + body)
+// Flow: validate -> check duplicate email -> hash password -> create user (unverified)
+// -> email verification link -> sign token -> return (header + body)
 router.post(
   "/register",
   authLimiter,
@@ -83,8 +134,8 @@ router.post(
       const salt = await bcrypt.genSalt(10);
       const passwordHash = await bcrypt.hash(password, salt);
 
-      // Optional: role mapping from isBusiness (kept as comment for future rules)
-      // const role = isBusiness ? "contractor" : "worker";
+      // Role is derived from the account type (see utils/roles.js)
+      const role = roleForRegistration(isBusiness);
 
       // Create the user document
       const user = await User.create({
@@ -95,16 +146,21 @@ router.post(
         image,
         address,
         isBusiness,
-        // role,
+        role,
       });
 
-      // Sign a JWT and return it in both header and body for convenience
-      const token = signToken(user);
+      // Unverified users can log in, but gated features wait for this link
+      await startEmailVerification(user);
+
+      // Open a session: access JWT (header + body) and a refresh token (body only)
+      const { token, refreshToken } = await issueAuthTokens(user, req);
       res.setHeader("x-auth-token", token);
       return res.status(201).json({
-        message: "Registered successfully",
+        message:
+          "Registered successfully. Check your email to verify your address",
         user: serializeUser(user),
         token,
+        refreshToken,
       });
     } catch (e) {
       // Handle duplicate-key at DB level too (race conditions)
@@ -118,7 +174,8 @@ router.post(
 
 /** ---------- LOGIN ---------- */
 // POST /api/users/login
-// Flow: validate -> find user -> check lockout -> verify password -> update counters -> sign token
+// Flow: validate -> backoff check -> find user -> admin lock -> verify password
+// -> record attempt -> 2FA challenge (if enrolled/required) or open session
 router.post(
   "/login",
   authLimiter,
@@ -129,11 +186,33 @@ router.post(
       const { password } = req.body;
 
       const invalid = "Invalid email or password"; // generic to prevent user enumeration
-      const user = await User.findOne({ email });
-      if (!user) return res.status(400).json({ error: invalid });
+      const user = await User.findOne({ email, deletedAt: null }); // soft-deleted = unknown
+      const attempt = (outcome) =>
+        recordLoginAttempt(req, { email, userId: user?._id, outcome });
+
+      // Progressive backoff (account+IP, and account-wide for unknown IPs).
+      // Applied before revealing anything, so unknown emails behave the same.
+      const gate = await checkLoginAllowed({
+        email,
+        ip: req.ip,
+        userId: user?._id,
+      });
+      if (!gate.allowed) {
+        await attempt("throttled");
+        res.setHeader("Retry-After", String(gate.retryAfterSeconds));
+        return res.status(429).json({
+          error: `Too many failed attempts. Try again in ${formatWait(gate.retryAfterSeconds)}`,
+        });
+      }
 
-      // Lockout: if lockUntil is in the future, inform how many minutes remain
+      if (!user) {
+        await attempt("unknown-email");
+        return res.status(400).json({ error: invalid });
+      }
+
+      // Manual lock set by an admin: inform how many minutes remain
       if (user.lockUntil && user.lockUntil > Date.now()) {
+        await attempt("locked");
         const mins = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
         return res
           .status(403)
@@ -143,40 +222,331 @@ router.post(
       // Compare provided password with stored hash
       const ok = await bcrypt.compare(password, user.passwordHash);
       if (!ok) {
-        // Increment fail counter and lock after 3 failed attempts
+        // Counter is informational (admin view); delays come from the login history
         user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
-        if (user.failedLoginAttempts >= 3) {
-          user.lockUntil = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24h lock
-        }
         await user.save();
-
-        // If we just locked, return a clear message
-        if (user.lockUntil && user.lockUntil > Date.now()) {
-          return res.status(403).json({
-            error:
-              "Account locked for 24 hours due to multiple failed login attempts",
-          });
-        }
+        await attempt("bad-password");
         return res.status(400).json({ error: invalid });
       }
 
-      // On success: reset counters + remove lock
+      // Suspension is only revealed to someone who knows the password
+      if (user.suspendedAt) {
+        await attempt("suspended");
+        return res.status(403).json({ error: "Account suspended" });
+      }
+
+      // On success: reset counter + drop an expired lock
       if (user.failedLoginAttempts || user.lockUntil) {
         user.failedLoginAttempts = 0;
         user.lockUntil = undefined;
         await user.save();
       }
 
-      // Issue JWT and return sanitized user
-      const token = signToken(user);
+      // Second factor: enrolled users get a short challenge token instead of a session;
+      // users whose role requires 2FA (admin policy) must enroll first.
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user, "2fa-login"),
+        });
+      }
+      if (await isTwoFactorRequired(user)) {
+        return res.json({
+          twoFactorSetupRequired: true,
+          setupToken: signChallengeToken(user, "2fa-setup"),
+        });
+      }
+
+      return sendSession(req, res, user);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/users/login/2fa
+// Flow: validate -> verify challenge token -> verify TOTP or recovery code -> open session
+router.post(
+  "/login/2fa",
+  authLimiter,
+  validateUser(twoFactorLoginSchema),
+  async (req, res, next) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const userId = verifyChallengeToken(challengeToken, "2fa-login");
+      if (!userId)
+        return res
+          .status(401)
+          .json({ error: "Login challenge expired. Please log in again" });
+
+      const user = await User.findOne({
+        _id: userId,
+        deletedAt: null,
+        suspendedAt: null,
+      });
+      if (!user)
+        return res.status(401).json({ error: "Account is not active" });
+
+      // Code guesses share the password backoff for this account + IP
+      const gate = await checkLoginAllowed({
+        email: user.email,
+        ip: req.ip,
+        userId: user._id,
+      });
+      if (!gate.allowed) {
+        res.setHeader("Retry-After", String(gate.retryAfterSeconds));
+        return res.status(429).json({
+          error: `Too many failed attempts. Try again in ${formatWait(gate.retryAfterSeconds)}`,
+        });
+      }
+
+      if (!verifySecondFactor(user, { code, recoveryCode })) {
+        await recordLoginAttempt(req, {
+          email: user.email,
+          userId: user._id,
+          outcome: "2fa-failed",
+        });
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
+      await user.save(); // persists replay step / consumed recovery code
+
+      return sendSession(req, res, user);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- REFRESH ---------- */
+// POST /api/users/refresh
+// Flow: validate -> rotate refresh token (reuse kills the session) -> sign fresh access token
+router.post(
+  "/refresh",
+  authLimiter,
+  validateUser(refreshSchema),
+  async (req, res, next) => {
+    try {
+      const { userId, sessionId, refreshToken } = await rotateRefreshToken(
+        req.body.refreshToken,
+        req
+      );
+
+      // Re-read the user so role/email changes (and a lock) are reflected
+      const user = await User.findById(userId);
+      if (
+        !user ||
+        user.deletedAt ||
+        user.suspendedAt ||
+        (user.lockUntil && user.lockUntil > Date.now())
+      ) {
+        await revokeSession(sessionId, "admin");
+        return res.status(401).json({ error: "Account is not active" });
+      }
+
+      const token = signAccessToken(user, sessionId);
       res.setHeader("x-auth-token", token);
-      return res.json({ token, user: serializeUser(user) });
+      return res.json({ token, refreshToken });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- LOGOUT ---------- */
+// POST /api/users/logout
+// Revokes the session behind the refresh token, so its access tokens stop working too.
+// Always 200 (idempotent) so clients can clear local state regardless.
+router.post("/logout", validateUser(refreshSchema), async (req, res, next) => {
+  try {
+    await revokeByRefreshToken(req.body.refreshToken, "logout");
+    return res.json({ message: "Logged out" });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/** ---------- FORGOT PASSWORD ---------- */
+// POST /api/users/forgot-password
+// Flow: validate -> (if user exists) store hashed single-use token + expiry -> email link
+// Always answers the same way so the endpoint can't be used to probe for registered emails.
+router.post(
+  "/forgot-password",
+  authLimiter,
+  validateUser(forgotPasswordSchema),
+  async (req, res, next) => {
+    try {
+      const email = normalizeEmail(req.body.email);
+      const generic = {
+        message: "If that email is registered, a reset link has been sent",
+      };
+
+      const user = await User.findOne({ email, deletedAt: null });
+      if (!user) return res.json(generic);
+
+      // New request replaces any previous token (only the latest link works)
+      const token = generateToken();
+      user.passwordResetTokenHash = hashToken(token);
+      user.passwordResetExpires = new Date(Date.now() + resetTokenTtlMs());
+      await user.save();
+
+      const link = appUrl(`/reset-password?token=${token}`);
+      const minutes = Math.round(resetTokenTtlMs() / 60000);
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Reset your BuildLink password",
+          text: `Hi ${user.name?.first || ""},\n\nUse this link to choose a new password (valid for ${minutes} minutes):\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+        });
+      } catch (mailErr) {
+        // Don't reveal delivery problems to the caller (would leak that the email exists)
+        console.error("❌ Reset email failed:", mailErr.message);
+      }
+
+      return res.json(generic);
     } catch (e) {
       next(e);
     }
   }
 );
 
+/** ---------- RESET PASSWORD ---------- */
+// POST /api/users/reset-password
+// Flow: validate -> burn the unexpired token in one atomic update (active accounts only)
+// -> rehash password -> clear lockout -> revoke every session (a stolen session shouldn't
+// survive a reset)
+router.post(
+  "/reset-password",
+  authLimiter,
+  validateUser(resetPasswordSchema),
+  async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      // Single use even under concurrency: only one request can unset the token
+      const user = await User.findOneAndUpdate(
+        {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpires: { $gt: new Date() },
+          deletedAt: null,
+          suspendedAt: null,
+        },
+        { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+        { new: true }
+      );
+      if (!user)
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired reset token" });
+
+      const salt = await bcrypt.genSalt(10);
+      user.passwordHash = await bcrypt.hash(newPassword, salt);
+      // Unlock the account
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      await revokeUserSessions(user._id, "password-reset");
+
+      return res.json({ message: "Password has been reset. Please log in" });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- EMAIL VERIFICATION ---------- */
+// POST /api/users/verify-email
+// Flow: validate -> find unexpired token -> mark verified -> burn token
+router.post(
+  "/verify-email",
+  authLimiter,
+  validateUser(verifyEmailSchema),
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({
+        emailVerificationTokenHash: hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() },
+      });
+      if (!user)
+        return res
+          .status(400)
+          .json({ error: "Invalid or expired verification token" });
+
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.emailVerificationTokenHash = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+
+      return res.json({
+        message: "Email verified",
+        user: serializeUser(user),
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/users/verify-email/resend
+// Protected: sends a fresh link to the logged-in user's address.
+// Throttled per IP (authLimiter) and per account (cooldown between sends).
+router.post(
+  "/verify-email/resend",
+  authLimiter,
+  auth,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.sub);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (user.emailVerified)
+        return res.status(400).json({ error: "Email is already verified" });
+
+      const wait = resendWaitSeconds(user);
+      if (wait > 0) {
+        res.setHeader("Retry-After", String(wait));
+        return res.status(429).json({
+          error: `Please wait ${wait} second(s) before requesting another email`,
+        });
+      }
+
+      await startEmailVerification(user);
+      return res.json({ message: "Verification email sent" });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// /api/users/me/2fa/* — TOTP enrollment & management (routes/twoFactor.js)
+router.use("/me/2fa", twoFactorRouter);
+// /api/users/me/sessions/* — signed-in devices (routes/sessions.js)
+router.use("/me/sessions", sessionsRouter);
+
+// GET /api/users/me/security
+// Login history for the current user (newest first) + IPs treated as known devices.
+router.get("/me/security", auth, async (req, res, next) => {
+  try {
+    const [recentAttempts, knownIps] = await Promise.all([
+      LoginAttempt.find({ userId: req.user.sub })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .select("-__v -userId"),
+      knownIpsFor(req.user.sub),
+    ]);
+
+    const lastSuccess = recentAttempts.find((a) => a.outcome === "success");
+    res.json({
+      lastLoginAt: lastSuccess?.createdAt || null,
+      knownIps,
+      recentAttempts,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
 // GET /api/users/me
 // Protected route: returns the current user based on JWT (Authorization: Bearer ... or x-auth-token)
 router.get("/me", auth, async (req, res, next) => {
@@ -189,4 +559,169 @@ router.get("/me", auth, async (req, res, next) => {
   }
 });
 
+// PATCH /api/users/me
+// Flow: validate (role is forbidden) -> unique email check -> merge partial name/address
+// -> save -> re-verify if email changed -> fresh access token (email/role claims)
+router.patch(
+  "/me",
+  auth,
+  validateUser(updateSchema),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.sub);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const { name, address, email, ...rest } = req.body;
+
+      const newEmail = email ? normalizeEmail(email) : null;
+      const emailChanged = newEmail && newEmail !== user.email;
+      if (emailChanged) {
+        const taken = await User.exists({
+          email: newEmail,
+          _id: { $ne: user._id },
+        });
+        if (taken)
+          return res.status(409).json({ error: "Email already registered" });
+        user.email = newEmail;
+      }
+
+      // Partial nested updates: keep fields the client didn't send
+      if (name) user.name = { ...user.name.toObject(), ...name };
+      if (address) user.address = { ...user.address.toObject(), ...address };
+      user.set(rest); // phone, image
+
+      await user.save();
+
+      // New address must be confirmed before gated features unlock again
+      if (emailChanged) await startEmailVerification(user);
+
+      const token = signAccessToken(user, req.user.sid);
+      res.setHeader("x-auth-token", token);
+      return res.json({
+        message: emailChanged
+          ? "Profile updated. Check your email to verify the new address"
+          : "Profile updated",
+        user: serializeUser(user),
+        token,
+      });
+    } catch (e) {
+      // Same race guard as register: another account grabbed the email meanwhile
+      if (e?.code === 11000 && e?.keyPattern?.email) {
+        return res.status(409).json({ error: "Email already registered" });
+      }
+      next(e);
+    }
+  }
+);
+
+// POST /api/users/me/password
+// Flow: validate -> verify current password -> rehash -> sign out every other device
+router.post(
+  "/me/password",
+  authLimiter,
+  auth,
+  validateUser(changePasswordSchema),
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user.sub);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const ok = await bcrypt.compare(currentPassword, user.passwordHash);
+      if (!ok)
+        return res.status(400).json({ error: "Current password is incorrect" });
+
+      const salt = await bcrypt.genSalt(10);
+      user.passwordHash = await bcrypt.hash(newPassword, salt);
+      // Any outstanding reset link is now pointless
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+
+      // Keep this device signed in, revoke the rest
+      await revokeUserSessions(user._id, "password-change", {
+        exceptId: req.user.sid,
+      });
+
+      return res.json({
+        message: "Password changed. Other devices have been signed out",
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+/** ---------- PRIVACY ---------- */
+
+// GET /api/users/me/export
+// Downloadable JSON archive: user doc + both profiles + sessions + login history.
+router.get("/me/export", authLimiter, auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.sub);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const data = await buildPersonalDataExport(user);
+    const day = new Date().toISOString().slice(0, 10);
+    res.attachment(`buildlink-export-${day}.json`);
+    res.type("application/json");
+    res.send(JSON.stringify(data, null, 2));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// DELETE /api/users/me  { password }
+// Flow: verify password -> schedule deletion after the grace period (email notice)
+// -> sign out every other device. This device stays signed in so the user can cancel.
+router.delete(
+  "/me",
+  authLimiter,
+  auth,
+  validateUser(deleteAccountSchema),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.sub);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (user.deletionScheduledFor)
+        return res.status(400).json({
+          error: "Account deletion is already scheduled",
+          deletionScheduledFor: user.deletionScheduledFor,
+        });
+
+      const ok = await bcrypt.compare(req.body.password, user.passwordHash);
+      if (!ok) return res.status(400).json({ error: "Password is incorrect" });
+
+      await scheduleAccountDeletion(user);
+      await revokeUserSessions(user._id, "logout", { exceptId: req.user.sid });
+
+      return res.json({
+        message:
+          "Account scheduled for deletion. Log in and cancel before then to keep it",
+        deletionScheduledFor: user.deletionScheduledFor,
+      });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// POST /api/users/me/deletion/cancel — keeps the account (only during the grace period)
+router.post("/me/deletion/cancel", auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.sub);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.deletionScheduledFor)
+      return res
+        .status(400)
+        .json({ error: "Account deletion is not scheduled" });
+
+    await cancelAccountDeletion(user);
+    res.json({ message: "Account deletion cancelled" });
+  } catch (e) {
+    next(e);
+  }
+});
+
 export default router;
@@ -0,0 +1,149 @@
+// routes/verifications.js
+// Page purpose: Admin review queue for certificates (mounted at /api/admin/verifications,
+// before the /api/admin router so it is gated by profile:verify rather than user:manage).
+// Owners submit via /api/contractors|subcontractors/me/certificates/:itemId/verification.
+// Every decision is stored on the request (history) and in the audit log.
+// GET /registry lets reviewers look a licence up directly while deciding.
+
+import { Router } from "express";
+import mongoose from "mongoose";
+import VerificationRequest from "../models/VerificationRequest.js";
+import auth from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { validateBody, validateQuery } from "../middleware/validate.js";
+import {
+  listVerificationsQuerySchema,
+  approveVerificationSchema,
+  rejectVerificationSchema,
+  registryLookupQuerySchema,
+} from "../validators/verification.validation.js";
+import { PERMISSIONS } from "../utils/roles.js";
+import { recordAudit } from "../services/audit.js";
+import { decideVerification } from "../services/verification.js";
+import { lookupLicence } from "../services/registry.js";
+
+const router = Router();
+
+router.use(auth, requirePermission(PERMISSIONS.PROFILE_VERIFY));
+
+/** ---------- Helpers ---------- */
+
+const OWNER_FIELDS = "name email role";
+
+const loadRequest = (id) =>
+  mongoose.isValidObjectId(id)
+    ? VerificationRequest.findById(id).populate("userId", OWNER_FIELDS)
+    : null;
+
+// Shared by approve/reject: 404 / 400 (already decided) / 409 (stale) handling + audit.
+const decide = (approve) => async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request)
+      return res.status(404).json({ error: "Verification request not found" });
+    if (request.status !== "pending")
+      return res
+        .status(400)
+        .json({ error: `Request is already ${request.status}` });
+
+    const reason = req.body.reason || "";
+    const { cancelled } = await decideVerification(request, {
+      approve,
+      reason,
+      adminId: req.user.sub,
+    });
+    await recordAudit(req, {
+      action: cancelled
+        ? "verification.cancel"
+        : `verification.${approve ? "approve" : "reject"}`,
+      targetType: "VerificationRequest",
+      targetId: request._id,
+      reason,
+    });
+
+    if (cancelled)
+      return res.status(409).json({
+        error:
+          "The certificate changed after it was submitted; the request was cancelled",
+        request,
+      });
+    res.json({ message: `Certificate ${request.status}`, request });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** ---------- QUEUE ---------- */
+
+// GET /api/admin/verifications?status=pending&profileType=&page=&limit=
+// Pending requests oldest first (FIFO queue); decided ones newest first.
+router.get(
+  "/",
+  validateQuery(listVerificationsQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { status, profileType, page, limit } = req.validatedQuery;
+      const filter = { status };
+      if (profileType) filter.profileType = profileType;
+
+      const [items, total] = await Promise.all([
+        VerificationRequest.find(filter)
+          .populate("userId", OWNER_FIELDS)
+          .sort({ createdAt: status === "pending" ? 1 : -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        VerificationRequest.countDocuments(filter),
+      ]);
+
+      res.json({ items, page, limit, total, pages: Math.ceil(total / limit) });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /api/admin/verifications/registry?registry=contractors&credentialId=12345
+// → { source, found, registeredName?, status?, expiryDate? } (declared before /:id)
+router.get(
+  "/registry",
+  validateQuery(registryLookupQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { registry, credentialId } = req.validatedQuery;
+      res.json(await lookupLicence(registry, credentialId));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// GET /api/admin/verifications/:id
+router.get("/:id", async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request)
+      return res.status(404).json({ error: "Verification request not found" });
+    await request.populate("history.by", "name email");
+    res.json(request);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/** ---------- DECISIONS ---------- */
+
+// POST /api/admin/verifications/:id/approve  { reason? }
+router.post(
+  "/:id/approve",
+  validateBody(approveVerificationSchema),
+  decide(true)
+);
+
+// POST /api/admin/verifications/:id/reject  { reason }
+router.post(
+  "/:id/reject",
+  validateBody(rejectVerificationSchema),
+  decide(false)
+);
+
+export default router;
@@ -0,0 +1,27 @@
+// scripts/backfillEmailVerified.js
+// Page purpose: One-off migration for accounts registered before email verification existed.
+// Their documents have no emailVerified field at all, so the schema default (false) would lock
+// them out of every verified-only action; they signed up under the old rules, so they're
+// grandfathered in as verified. Accounts registered since then always store the field
+// (false until they click the link) and are left untouched, as are anonymized accounts.
+// Run once when deploying email verification: ENV_FILE=.env node src/scripts/backfillEmailVerified.js
+
+import User from "../models/User.js";
+import { connectDB, disconnectDB } from "../config/db.js";
+
+async function run() {
+  await connectDB();
+
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  console.log(`✅ Marked ${modifiedCount} pre-existing user(s) as verified`);
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Backfill failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
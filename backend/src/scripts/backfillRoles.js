@@ -0,0 +1,31 @@
+// scripts/backfillRoles.js
+// Page purpose: One-off fix for accounts registered before roles were assigned at signup.
+// Every such user kept the schema default "worker"; derive the real role from isBusiness
+// exactly like registration does. Admins and already-assigned roles are left untouched.
+// Run: ENV_FILE=.env node src/scripts/backfillRoles.js
+
+import User from "../models/User.js";
+import { connectDB, disconnectDB } from "../config/db.js";
+import { roleForRegistration } from "../utils/roles.js";
+
+async function run() {
+  await connectDB();
+
+  for (const isBusiness of [true, false]) {
+    const role = roleForRegistration(isBusiness);
+    const { modifiedCount } = await User.updateMany(
+      { role: { $in: ["worker", null] }, isBusiness },
+      { $set: { role } }
+    );
+    console.log(
+      `✅ isBusiness=${isBusiness} → ${role}: ${modifiedCount} user(s)`
+    );
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Backfill failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,52 @@
+// scripts/checkSchemaConsistency.js
+// Page purpose: Fails (exit code 1) when a Joi upsert schema and the Mongoose model it feeds
+// have drifted apart — e.g. the validator accepts a field the model silently drops,
+// or an index references a field the model doesn't have.
+// Needs no database. Run: npm run check:schemas (npm test runs it first, so drift fails the build)
+// When adding a profile model/validator pair, add it to PAIRS below.
+
+import { compareSchemas } from "../utils/schemaConsistency.js";
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { upsertContractorProfileSchema } from "../validators/contractorProfile.js";
+import { upsertSubContractorProfileSchema } from "../validators/subContractorProfile.js";
+
+const PAIRS = [
+  {
+    name: "ContractorProfile",
+    joi: upsertContractorProfileSchema,
+    model: ContractorProfile,
+  },
+  {
+    name: "SubContractorProfile",
+    joi: upsertSubContractorProfileSchema,
+    model: SubContractorProfile,
+  },
+];
+
+let failed = false;
+
+for (const { name, joi, model } of PAIRS) {
+  const { missingInModel, missingInValidator, unknownIndexFields } =
+    compareSchemas(joi, model.schema);
+
+  if (
+    !missingInModel.length &&
+    !missingInValidator.length &&
+    !unknownIndexFields.length
+  ) {
+    console.log(`✅ ${name}: validator and model match`);
+    continue;
+  }
+
+  failed = true;
+  console.error(`❌ ${name}: validator and model diverge`);
+  for (const f of missingInModel)
+    console.error(`   - ${f}: accepted by Joi, missing from the model`);
+  for (const f of missingInValidator)
+    console.error(`   - ${f}: in the model, unknown to the validator`);
+  for (const f of unknownIndexFields)
+    console.error(`   - ${f}: indexed, but not a field of the model`);
+}
+
+process.exitCode = failed ? 1 : 0;
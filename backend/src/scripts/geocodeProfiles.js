@@ -0,0 +1,86 @@
+// scripts/geocodeProfiles.js
+// Page purpose: Fills address.location / address.locationPrecision (services/geocoding.js) for
+// profiles saved before the pre-save hook existed, after a geocoder outage, and again after
+// adding localities to the gazetteer. Prints the most common cities that found no point, so
+// they can be added to services/geocoderAdapters/localities.json.
+// Run: ENV_FILE=.env node src/scripts/geocodeProfiles.js [--dry-run]
+
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { connectDB, disconnectDB } from "../config/db.js";
+import { locateAddress } from "../services/geocoding.js";
+import { normalizeTerm } from "../utils/text.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const UNMATCHED_SHOWN = 30;
+
+const samePoint = (address, found) =>
+  address.locationPrecision === found?.locationPrecision &&
+  JSON.stringify(address.location?.coordinates) ===
+    JSON.stringify(found?.location.coordinates);
+
+async function run() {
+  await connectDB();
+  const unmatched = new Map(); // normalized city → { example, count }
+
+  for (const Model of [ContractorProfile, SubContractorProfile]) {
+    let updated = 0;
+
+    for await (const doc of Model.find({ address: { $exists: true } })
+      .select("address")
+      .lean()
+      .cursor()) {
+      const found = await locateAddress(doc.address);
+      if (!found && doc.address.city) {
+        const norm = normalizeTerm(doc.address.city);
+        const entry = unmatched.get(norm) || {
+          example: doc.address.city,
+          count: 0,
+        };
+        entry.count++;
+        unmatched.set(norm, entry);
+      }
+
+      if (samePoint(doc.address, found)) continue;
+      updated++;
+      if (DRY_RUN) continue;
+
+      // updateOne: derived fields only, no need to re-validate or bump updatedAt
+      await Model.updateOne(
+        { _id: doc._id },
+        found
+          ? {
+              $set: {
+                "address.location": found.location,
+                "address.locationPrecision": found.locationPrecision,
+              },
+            }
+          : {
+              $unset: {
+                "address.location": 1,
+                "address.locationPrecision": 1,
+              },
+            },
+        { timestamps: false }
+      );
+    }
+    console.log(
+      `✅ ${Model.modelName}: ${updated} profile(s) ${DRY_RUN ? "would be " : ""}updated`
+    );
+  }
+
+  const top = [...unmatched.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, UNMATCHED_SHOWN);
+  if (top.length) {
+    console.log(`\nMost common cities with no point (add to the gazetteer):`);
+    for (const { example, count } of top) console.log(`  ${count}× ${example}`);
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Geocoding backfill failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,84 @@
+// scripts/migrateTradeKeys.js
+// Page purpose: Maps the existing free-text trade fields of every profile onto the trade
+// taxonomy (config/trades.js) — fills primaryTradeKey / tradeKeys for profiles saved before
+// the pre-save hook existed, and again after adding keys or synonyms to the taxonomy.
+// The user's wording is left as it is. Prints the most common values that matched nothing,
+// so they can be added as synonyms.
+// Run: ENV_FILE=.env node src/scripts/migrateTradeKeys.js [--dry-run]
+
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { connectDB, disconnectDB } from "../config/db.js";
+import { TRADE_FIELDS } from "../config/trades.js";
+import { tradeKeysOf, resolveTerms } from "../utils/taxonomy.js";
+import { normalizeTerm } from "../utils/text.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const UNMATCHED_SHOWN = 30;
+
+const sameKeys = (doc, keys) =>
+  doc.primaryTradeKey === keys.primaryTradeKey &&
+  JSON.stringify(doc.tradeKeys || []) === JSON.stringify(keys.tradeKeys);
+
+async function run() {
+  await connectDB();
+  const unmatched = new Map(); // normalized value → { example, count }
+
+  for (const [type, Model] of [
+    ["contractor", ContractorProfile],
+    ["subcontractor", SubContractorProfile],
+  ]) {
+    const fields = TRADE_FIELDS[type];
+    let updated = 0;
+
+    for await (const doc of Model.find()
+      .select(["primaryTradeKey", "tradeKeys", ...fields])
+      .lean()
+      .cursor()) {
+      for (const value of fields.flatMap((f) => [doc[f]].flat()))
+        if (value && !resolveTerms(value).length) {
+          const norm = normalizeTerm(value);
+          const entry = unmatched.get(norm) || { example: value, count: 0 };
+          entry.count++;
+          unmatched.set(norm, entry);
+        }
+
+      const keys = tradeKeysOf(doc, fields);
+      if (sameKeys(doc, keys)) continue;
+      updated++;
+      if (DRY_RUN) continue;
+
+      // updateOne: derived fields only, no need to re-validate or bump updatedAt
+      await Model.updateOne(
+        { _id: doc._id },
+        keys.primaryTradeKey
+          ? { $set: keys }
+          : {
+              $set: { tradeKeys: keys.tradeKeys },
+              $unset: { primaryTradeKey: 1 },
+            },
+        { timestamps: false }
+      );
+    }
+    console.log(
+      `✅ ${Model.modelName}: ${updated} profile(s) ${DRY_RUN ? "would be " : ""}updated`
+    );
+  }
+
+  const top = [...unmatched.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, UNMATCHED_SHOWN);
+  if (top.length) {
+    console.log(
+      `\nMost common values with no taxonomy match (add as synonyms):`
+    );
+    for (const { example, count } of top) console.log(`  ${count}× ${example}`);
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Trade key migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,40 @@
+// scripts/recomputeCompleteness.js
+// Page purpose: Refreshes the stored `completeness` of every profile — needed once for
+// profiles saved before the pre-save hook existed (all stuck at 0), and after changing
+// the weights in config/completeness.js.
+// Run: ENV_FILE=.env node src/scripts/recomputeCompleteness.js
+
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { connectDB, disconnectDB } from "../config/db.js";
+import { computeCompleteness } from "../utils/completeness.js";
+
+async function run() {
+  await connectDB();
+
+  for (const [role, Model] of [
+    ["contractor", ContractorProfile],
+    ["subcontractor", SubContractorProfile],
+  ]) {
+    let updated = 0;
+    for await (const doc of Model.find().lean().cursor()) {
+      const { score } = computeCompleteness(doc, role);
+      if (score === doc.completeness) continue;
+      // updateOne: no need to re-validate or bump updatedAt for a derived field
+      await Model.updateOne(
+        { _id: doc._id },
+        { $set: { completeness: score } },
+        { timestamps: false }
+      );
+      updated++;
+    }
+    console.log(`✅ ${Model.modelName}: ${updated} profile(s) updated`);
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("❌ Recompute failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,156 @@
+// services/accountDeletion.js
+// Page purpose: Privacy requests — personal data export and self-service account deletion.
+// Deletion is two-phase: DELETE /api/users/me only schedules it (cancellable during a grace
+// period); once due, jobs/purgeDeletedAccounts.js calls purgeAccount(), which drops the
+// profiles, uploaded files, verification requests, sessions and login history and anonymizes the User doc in place.
+// The doc itself is kept (deletedAt + anonymizedAt) so AuditLog references stay valid.
+
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import VerificationRequest from "../models/VerificationRequest.js";
+import Upload from "../models/Upload.js";
+import { deleteUploadsOf } from "./uploads.js";
+import { fileUrl } from "../utils/uploadUrls.js";
+import { sendMail, appUrl } from "./mailer.js";
+
+// Read lazily (dotenv loads after imports in index.js).
+const graceDays = () => Number(process.env.DELETION_GRACE_DAYS || 14);
+
+/** ---------- Export ---------- */
+
+// Everything we hold about a user, in one JSON-serializable object.
+// Secrets (password/2FA/token hashes) are stripped by the models' toJSON transforms.
+export async function buildPersonalDataExport(user) {
+  const [
+    contractorProfile,
+    subContractorProfile,
+    sessions,
+    loginHistory,
+    verificationRequests,
+    uploads,
+  ] = await Promise.all([
+    ContractorProfile.findOne({ userId: user._id }),
+    SubContractorProfile.findOne({ userId: user._id }),
+    Session.find({ userId: user._id }).sort({ createdAt: -1 }),
+    LoginAttempt.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .select("-__v -userId"),
+    VerificationRequest.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .select("-__v -userId -history.by -reviewedBy"),
+    Upload.find({ ownerId: user._id }).sort({ createdAt: -1 }),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    user: user.toJSON(),
+    contractorProfile: contractorProfile?.toJSON() || null,
+    subContractorProfile: subContractorProfile?.toJSON() || null,
+    sessions: sessions.map((s) => s.toJSON()),
+    loginHistory,
+    verificationRequests,
+    uploads: uploads.map((u) => ({ ...u.toJSON(), url: fileUrl(u) })),
+  };
+}
+
+/** ---------- Scheduling ---------- */
+
+/**
+ * Marks the account for deletion after the grace period and emails the user.
+ * Saves the user document. Mail failures are logged, not thrown.
+ */
+export async function scheduleAccountDeletion(user) {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + graceDays() * 24 * 60 * 60 * 1000
+  );
+  // Reset links sent before the request stop working (a new one can still be asked for)
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Your BuildLink account is scheduled for deletion",
+      text: `Hi ${user.name?.first || ""},\n\nYour account and profile data will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}.\n\nChanged your mind? Log in before then and cancel the deletion from your profile:\n${appUrl("/my-profile")}`,
+    });
+  } catch (mailErr) {
+    console.error("❌ Deletion notice email failed:", mailErr.message);
+  }
+}
+
+export async function cancelAccountDeletion(user) {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+}
+
+/** ---------- Purge ---------- */
+
+// Irreversibly removes personal data. Uses updateOne: the anonymized values would fail
+// the schema's required/format rules, and nothing about this doc needs validating anymore.
+export async function purgeAccount(user) {
+  const userId = user._id;
+
+  await deleteUploadsOf(userId); // files first: needs the Upload docs to find them
+  await Promise.all([
+    ContractorProfile.deleteMany({ userId }),
+    SubContractorProfile.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    VerificationRequest.deleteMany({ userId }),
+    LoginAttempt.deleteMany({ $or: [{ userId }, { email: user.email }] }),
+  ]);
+
+  const now = new Date();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: { first: "Deleted", middle: "", last: "User" },
+        // Unique placeholder frees the real address for a future registration
+        email: `deleted-${userId}@deleted.invalid`,
+        phone: "",
+        passwordHash: "!", // never matches a bcrypt hash
+        image: { url: "", alt: "" },
+        address: {
+          state: "",
+          country: "",
+          city: "",
+          street: "",
+          houseNumber: 0,
+          zip: 0,
+        },
+        twoFactor: { enabled: false },
+        emailVerified: false,
+        deletedAt: user.deletedAt || now,
+        anonymizedAt: now,
+      },
+      $unset: {
+        deletionScheduledFor: "",
+        suspendedReason: "",
+        lockUntil: "",
+        emailVerifiedAt: "",
+        emailVerificationTokenHash: "",
+        emailVerificationExpires: "",
+        emailVerificationSentAt: "",
+        passwordResetTokenHash: "",
+        passwordResetExpires: "",
+      },
+    }
+  );
+}
+
+// Purges every account whose grace period is over. Returns how many were purged.
+export async function purgeDueAccounts(now = new Date()) {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: now },
+    anonymizedAt: null,
+  }).select("_id email deletedAt");
+
+  for (const user of due) await purgeAccount(user);
+  return due.length;
+}
@@ -0,0 +1,22 @@
+// services/audit.js
+// Page purpose: One helper every privileged route calls to leave an audit trail.
+
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * recordAudit(req, { action, targetType, targetId, reason, changes })
+ * The actor is always the authenticated user (req.user.sub); ip comes from the request.
+ */
+export const recordAudit = (
+  req,
+  { action, targetType = "User", targetId, reason = "", changes }
+) =>
+  AuditLog.create({
+    actorId: req.user.sub,
+    action,
+    targetType,
+    targetId,
+    reason,
+    changes,
+    ip: req.ip || "",
+  });
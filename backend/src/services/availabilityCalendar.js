@@ -0,0 +1,279 @@
+// services/availabilityCalendar.js
+// Page purpose: Sync a subcontractor's availability with Google/Outlook/Apple calendars.
+// - Feed: a secret per-profile URL (`/api/subcontractors/calendar/<token>.ics`) that calendar
+//   apps subscribe to. Only the token's hash is stored; the URL is shown once when created.
+//   It publishes one-off slots (free), time off (busy) and weekly rules (RRULE, holidays as EXDATE).
+// - Import: an uploaded .ics becomes one-off availability slots. Imported slots keep the
+//   event's UID, so importing the same calendar again updates them instead of adding copies.
+// Booked jobs aren't published yet: jobs/applications have no model in this codebase; until
+// they do, subcontractors record bookings as time off, which the feed shows as busy.
+
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import User from "../models/User.js";
+import { addAvailabilitySlotSchema } from "../validators/subContractorProfile.js";
+import { apiUrl } from "../config/urls.js";
+import {
+  HOLIDAYS,
+  DEFAULT_HOLIDAY_CALENDAR,
+  DEFAULT_TIME_ZONE,
+} from "../config/holidays.js";
+import {
+  localDay,
+  zonedTime,
+  addDays,
+  weekdayOf,
+  availabilityConflicts,
+} from "../utils/availability.js";
+import {
+  buildCalendar,
+  parseCalendar,
+  utcStamp,
+  localStamp,
+} from "../utils/ical.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// Suffix of the UIDs we publish; events carrying it are our own feed coming back.
+const UID_DOMAIN = "@availability.buildlink";
+
+// Feed window: entries that ended more than this long ago are left out.
+const FEED_PAST_DAYS = 30;
+
+// Same cap as LIST_LIMITS.availability / the Joi array.
+const MAX_SLOTS = 60;
+
+const BYDAY = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/** ---------- Feed URL ---------- */
+
+const feedUrl = (token) => apiUrl(`/api/subcontractors/calendar/${token}.ics`);
+
+// Creates (or replaces) the profile's feed token; any previous URL stops working.
+// → { url, createdAt } — the only time the URL is available
+export async function rotateCalendarFeed(profile) {
+  const token = generateToken();
+  profile.calendarFeedTokenHash = hashToken(token);
+  profile.calendarFeedCreatedAt = new Date();
+  await profile.save();
+  return { url: feedUrl(token), createdAt: profile.calendarFeedCreatedAt };
+}
+
+// The hash isn't loaded with the profile (select: false), so it is unset directly.
+export async function revokeCalendarFeed(profile) {
+  await SubContractorProfile.updateOne(
+    { _id: profile._id },
+    { $unset: { calendarFeedTokenHash: 1, calendarFeedCreatedAt: 1 } }
+  );
+  profile.calendarFeedCreatedAt = undefined;
+}
+
+// Profile behind a feed token whose owner is active, or null.
+export async function findByFeedToken(token) {
+  if (!/^[a-f0-9]{64}$/.test(token)) return null;
+  const profile = await SubContractorProfile.findOne({
+    calendarFeedTokenHash: hashToken(token),
+  });
+  if (!profile) return null;
+
+  const ownerActive = await User.exists({
+    _id: profile.userId,
+    deletedAt: null,
+    suspendedAt: null,
+  });
+  return ownerActive ? profile : null;
+}
+
+/** ---------- Export ---------- */
+
+const slotNote = (prefix, text) => (text ? `${prefix}: ${text}` : prefix);
+
+// Weekly rule → one recurring event starting on its first matching day in the window.
+function ruleEvent(rule, timeZone, since, holidays) {
+  if (rule.validUntil && rule.validUntil < since) return null;
+
+  let day = localDay(
+    rule.validFrom && rule.validFrom > since ? rule.validFrom : since,
+    timeZone
+  );
+  while (!rule.weekdays.includes(weekdayOf(day))) day = addDays(day, 1);
+
+  const overnight = rule.endTime <= rule.startTime;
+  const parts = [
+    "FREQ=WEEKLY",
+    `BYDAY=${[...rule.weekdays]
+      .sort()
+      .map((d) => BYDAY[d])
+      .join(",")}`,
+  ];
+  if (rule.validUntil) {
+    // RRULE UNTIL is in UTC when DTSTART has a TZID; the rule runs through its last day
+    const lastDay = localDay(rule.validUntil, timeZone);
+    const until = zonedTime(addDays(lastDay, 1), "00:00", timeZone);
+    parts.push(`UNTIL=${utcStamp(new Date(until.getTime() - 1000))}`);
+  }
+
+  const exdates = Object.keys(holidays)
+    .filter(
+      (d) =>
+        d >= day &&
+        rule.weekdays.includes(weekdayOf(d)) &&
+        (!rule.validUntil || d <= localDay(rule.validUntil, timeZone))
+    )
+    .map((d) => ({ local: localStamp(d, rule.startTime), timeZone }));
+
+  return {
+    uid: `rule-${rule._id}${UID_DOMAIN}`,
+    start: { local: localStamp(day, rule.startTime), timeZone },
+    end: {
+      local: localStamp(overnight ? addDays(day, 1) : day, rule.endTime),
+      timeZone,
+    },
+    rrule: parts.join(";"),
+    exdates,
+    summary: slotNote("Available", rule.note),
+  };
+}
+
+// → text/calendar body for the profile's feed
+export function availabilityFeed(profile, now = new Date()) {
+  const since = new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+  const timeZone = profile.availabilityTimeZone || DEFAULT_TIME_ZONE;
+  const holidays = profile.observeHolidays
+    ? HOLIDAYS[DEFAULT_HOLIDAY_CALENDAR] || {}
+    : {};
+  const current = (item) => item.to > since;
+
+  const events = [
+    ...profile.availability.filter(current).map((slot) => ({
+      uid: `slot-${slot._id}${UID_DOMAIN}`,
+      start: slot.from,
+      end: slot.to,
+      summary: slotNote("Available", slot.note),
+    })),
+    ...profile.availabilityExceptions.filter(current).map((off) => ({
+      uid: `off-${off._id}${UID_DOMAIN}`,
+      start: off.from,
+      end: off.to,
+      summary: slotNote("Busy", off.reason),
+      busy: true,
+    })),
+    ...profile.availabilityRules
+      .map((rule) => ruleEvent(rule, timeZone, since, holidays))
+      .filter(Boolean),
+  ];
+
+  return buildCalendar({
+    name: `${profile.displayName} – availability`,
+    events,
+    now,
+  });
+}
+
+/** ---------- Import ---------- */
+
+const sameSlot = (slot, value) =>
+  slot.from.getTime() === value.from.getTime() &&
+  slot.to.getTime() === value.to.getTime() &&
+  (slot.note || "") === (value.note || "");
+
+// Event → validated slot value, or { reason } when it can't become one.
+function slotFromEvent(event, now) {
+  if (event.recurring)
+    return {
+      reason: "Recurring events aren't imported; add a weekly rule instead",
+    };
+  if (!event.start || !event.end)
+    return { reason: "Event has no readable start/end" };
+  if (event.end <= now) return { reason: "Event is already over" };
+
+  const { value, error } = addAvailabilitySlotSchema.validate({
+    from: event.start.toISOString(),
+    to: event.end.toISOString(),
+    note: event.summary.slice(0, 200),
+  });
+  if (error)
+    return { reason: error.details[0].context?.message || error.message };
+  return { value };
+}
+
+/**
+ * Applies an .ics file to profile.availability (not saved). Per event, by UID:
+ * - new → slot added; already imported → slot updated; STATUS:CANCELLED → slot removed
+ * - skipped (with a reason): no UID, our own feed, recurring, over, invalid, list full,
+ *   or it would conflict with the rest of the calendar (utils/availability.js)
+ * → { created, updated, removed, unchanged, skipped: [{ uid, summary, reason }] }
+ */
+export function importAvailability(profile, text, now = new Date()) {
+  const timeZone = profile.availabilityTimeZone || DEFAULT_TIME_ZONE;
+  const result = {
+    created: 0,
+    updated: 0,
+    removed: 0,
+    unchanged: 0,
+    skipped: [],
+  };
+  const seen = new Set();
+
+  for (const event of parseCalendar(text, { timeZone })) {
+    const skip = (reason) =>
+      result.skipped.push({ uid: event.uid, summary: event.summary, reason });
+
+    if (!event.uid) {
+      skip("Event has no UID");
+      continue;
+    }
+    if (event.uid.endsWith(UID_DOMAIN)) {
+      skip("Event comes from this profile's own feed");
+      continue;
+    }
+    if (seen.has(event.uid)) {
+      skip("Duplicate UID in this file");
+      continue;
+    }
+    seen.add(event.uid);
+
+    const existing = profile.availability.find((s) => s.icalUid === event.uid);
+    if (event.status === "CANCELLED") {
+      if (!existing) skip("Event is cancelled");
+      else {
+        existing.deleteOne();
+        result.removed++;
+      }
+      continue;
+    }
+
+    const { value, reason } = slotFromEvent(event, now);
+    if (reason) {
+      skip(reason);
+      continue;
+    }
+    if (existing && sameSlot(existing, value)) {
+      result.unchanged++;
+      continue;
+    }
+    if (!existing && profile.availability.length >= MAX_SLOTS) {
+      skip(`You can add up to ${MAX_SLOTS} availability items`);
+      continue;
+    }
+
+    // Apply, then undo if the calendar no longer adds up
+    const previous = existing && {
+      from: existing.from,
+      to: existing.to,
+      note: existing.note,
+    };
+    let slot = existing;
+    if (existing) existing.set(value);
+    else {
+      profile.availability.push({ ...value, icalUid: event.uid });
+      slot = profile.availability[profile.availability.length - 1];
+    }
+
+    const [conflict] = availabilityConflicts(profile);
+    if (conflict) {
+      if (previous) existing.set(previous);
+      else slot.deleteOne();
+      skip(conflict);
+    } else result[existing ? "updated" : "created"]++;
+  }
+  return result;
+}
@@ -0,0 +1,45 @@
+// services/emailVerification.js
+// Page purpose: Issues email-verification tokens (hashed + expiring) and mails the link.
+// Used on register, on "resend", and whenever a user changes their email address.
+
+import { sendMail, appUrl } from "./mailer.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// Read lazily (dotenv loads after imports in index.js).
+const verifyTtlMs = () =>
+  Number(process.env.VERIFY_TOKEN_TTL_HOURS || 48) * 60 * 60 * 1000;
+const resendCooldownMs = () =>
+  Number(process.env.VERIFY_RESEND_COOLDOWN_SECONDS || 60) * 1000;
+
+// Seconds left before another verification email may be sent (0 = allowed now).
+export const resendWaitSeconds = (user) => {
+  if (!user.emailVerificationSentAt) return 0;
+  const left =
+    user.emailVerificationSentAt.getTime() + resendCooldownMs() - Date.now();
+  return left > 0 ? Math.ceil(left / 1000) : 0;
+};
+
+/**
+ * Marks the user's current email as unverified, stores a fresh token hash and sends the link.
+ * Saves the user document. Mail failures are logged, not thrown (user can hit "resend").
+ */
+export async function startEmailVerification(user) {
+  const token = generateToken();
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + verifyTtlMs());
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  const link = appUrl(`/verify-email?token=${token}`);
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Verify your BuildLink email address",
+      text: `Hi ${user.name?.first || ""},\n\nPlease confirm this is your email address:\n${link}\n\nUntil it's verified you can log in, but you won't be able to create a profile, post jobs or apply.`,
+    });
+  } catch (mailErr) {
+    console.error("❌ Verification email failed:", mailErr.message);
+  }
+}
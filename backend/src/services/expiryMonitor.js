@@ -0,0 +1,231 @@
+// services/expiryMonitor.js
+// Page purpose: Watches dated credentials — certificates on both profile types and the
+// subcontractor's work insurance — and reacts as they approach and pass their expiryDate:
+// - once an item enters a reminder window (config/expiry.js, default 30/7/0 days) the owner
+//   gets one email for that window (ExpiryNotice remembers what was sent);
+// - once a verified certificate lapses its `verified` flag is cleared; the profile's
+//   badgeLevel / isVerified are re-derived on save (utils/badges.js), which also drops
+//   isVerified when the work insurance lapses;
+// - once an item has been expired for longer than expiredGraceDays it is no longer scanned
+//   or reminded about (its verification, if any, is still cleared).
+// Run on a schedule by jobs/expiryMonitor.js; also powers GET /api/profile/me/expiries.
+
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import ExpiryNotice from "../models/ExpiryNotice.js";
+import User from "../models/User.js";
+import { expiryPolicy } from "../config/expiry.js";
+import { sendMail, appUrl } from "./mailer.js";
+import { badgeFor } from "../utils/badges.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROFILE_MODELS = {
+  contractor: ContractorProfile,
+  subcontractor: SubContractorProfile,
+};
+
+/** ---------- Helpers ---------- */
+
+// Every dated credential on a profile, in one shape.
+export function credentialsOf(profile) {
+  const out = (profile.certificates || [])
+    .filter((c) => c.expiryDate)
+    .map((c) => ({
+      kind: "certificate",
+      itemId: c._id,
+      title: c.title,
+      expiryDate: c.expiryDate,
+      verified: !!c.verified,
+    }));
+
+  const ins = profile.insurance;
+  if (ins?.hasWorkInsurance && ins.expiryDate) {
+    out.push({
+      kind: "insurance",
+      itemId: null,
+      title: ins.provider
+        ? `Work insurance (${ins.provider})`
+        : "Work insurance",
+      expiryDate: ins.expiryDate,
+      verified: false,
+    });
+  }
+  return out;
+}
+
+// Whole days until expiry (0 = expires today, negative = already expired).
+const daysLeft = (date, now) => Math.ceil((new Date(date) - now) / DAY_MS);
+
+// Smallest reminder window the item is inside of (null = not due for any reminder yet).
+const windowFor = (days, windows) => windows.find((w) => days <= w) ?? null;
+
+const describe = (c) =>
+  c.days <= 0
+    ? `${c.title}: expired on ${new Date(c.expiryDate).toDateString()}`
+    : `${c.title}: expires in ${c.days} day(s), on ${new Date(c.expiryDate).toDateString()}`;
+
+// Clears the verification of a lapsed certificate (renewal needs a new review).
+// Returns true if anything changed.
+function lapse(profile, cred) {
+  if (cred.kind !== "certificate") return false;
+  const cert = profile.certificates.id(cred.itemId);
+  if (!cert?.verified) return false;
+  cert.verified = false;
+  cert.verificationStatus = "none";
+  return true;
+}
+
+// Records a reminder; false if it was already sent (another run/instance got there first).
+async function claimNotice(notice) {
+  try {
+    await ExpiryNotice.create(notice);
+    return true;
+  } catch (e) {
+    if (e?.code === 11000) return false;
+    throw e;
+  }
+}
+
+async function notifyOwner(profile, items) {
+  const user = await User.findOne({ _id: profile.userId, deletedAt: null })
+    .select("email name")
+    .lean();
+  if (!user) return;
+
+  const lines = items.map((c) => `- ${describe(c)}`).join("\n");
+  try {
+    await sendMail({
+      to: user.email,
+      subject: items.some((c) => c.days <= 0)
+        ? "A credential on your BuildLink profile has expired"
+        : "Credentials on your BuildLink profile are expiring soon",
+      text: `Hi ${user.name?.first || ""},\n\n${lines}\n\nUpload the renewed documents to keep your profile verified:\n${appUrl("/my-profile")}`,
+    });
+  } catch (mailErr) {
+    console.error("❌ Expiry reminder email failed:", mailErr.message);
+  }
+}
+
+/** ---------- Scheduled check ---------- */
+
+async function checkProfile(profile, profileType, now, windows, graceDays) {
+  const due = [];
+  let changed = false;
+
+  for (const cred of credentialsOf(profile)) {
+    const days = daysLeft(cred.expiryDate, now);
+    const window = windowFor(days, windows);
+    if (window === null) continue;
+
+    if (days <= 0) changed = lapse(profile, cred) || changed;
+    // Long expired: nothing left to remind about
+    if (days < -graceDays) continue;
+
+    // A more urgent reminder already went out (e.g. the job was down for a while)
+    const key = {
+      profileId: profile._id,
+      itemKind: cred.kind,
+      itemId: cred.itemId,
+      expiryDate: cred.expiryDate,
+    };
+    if (await ExpiryNotice.exists({ ...key, threshold: { $lte: window } }))
+      continue;
+
+    const claimed = await claimNotice({
+      ...key,
+      userId: profile.userId,
+      profileType,
+      threshold: window,
+    });
+    if (claimed) due.push({ ...cred, days });
+  }
+
+  // Badge may drop even with no flag change (insurance lapsed, or time passed)
+  const badge = badgeFor(profile, now);
+  if (
+    badge.isVerified !== profile.isVerified ||
+    badge.badgeLevel !== profile.badgeLevel
+  )
+    changed = true;
+
+  if (changed) await profile.save();
+  if (due.length) await notifyOwner(profile, due);
+  return { notified: due.length, lapsed: changed };
+}
+
+// Profiles with something worth a look: an item between the expired grace period and the
+// largest reminder window, or verification that outlived its expiry. Items expired for
+// longer aren't scanned again (otherwise every profile with an old lapsed item would be).
+function expiryScanFilter(Model, now, windows, graceDays) {
+  const dueRange = {
+    $gt: new Date(now.getTime() - (graceDays + 1) * DAY_MS),
+    $lte: new Date(now.getTime() + Math.max(...windows) * DAY_MS),
+  };
+  const filter = {
+    $or: [
+      { "certificates.expiryDate": dueRange },
+      {
+        certificates: {
+          $elemMatch: { verified: true, expiryDate: { $lte: now } },
+        },
+      },
+    ],
+  };
+  if (Model.schema.path("insurance.expiryDate"))
+    filter.$or.push(
+      { "insurance.expiryDate": dueRange },
+      { isVerified: true, "insurance.expiryDate": { $lte: now } }
+    );
+  return filter;
+}
+
+// One pass over every profile with something inside the largest reminder window.
+// → { notified, lapsed } counts (items reminded / profiles whose verification was cleared)
+export async function runExpiryCheck(now = new Date()) {
+  const { reminderDays: windows, expiredGraceDays } = expiryPolicy();
+  const totals = { notified: 0, lapsed: 0 };
+
+  for (const [profileType, Model] of Object.entries(PROFILE_MODELS)) {
+    const filter = expiryScanFilter(Model, now, windows, expiredGraceDays);
+
+    for await (const profile of Model.find(filter).cursor()) {
+      const { notified, lapsed } = await checkProfile(
+        profile,
+        profileType,
+        now,
+        windows,
+        expiredGraceDays
+      );
+      totals.notified += notified;
+      if (lapsed) totals.lapsed++;
+    }
+  }
+  return totals;
+}
+
+/** ---------- Read side ---------- */
+
+// A user's credentials expiring within `days` (already expired ones included), soonest first.
+export async function upcomingExpiriesFor(userId, days, now = new Date()) {
+  const horizon = now.getTime() + days * DAY_MS;
+  const items = [];
+
+  for (const [profileType, Model] of Object.entries(PROFILE_MODELS)) {
+    const profile = await Model.findOne({ userId }).lean();
+    if (!profile) continue;
+
+    for (const cred of credentialsOf(profile)) {
+      if (new Date(cred.expiryDate).getTime() > horizon) continue;
+      const left = daysLeft(cred.expiryDate, now);
+      items.push({
+        profileType,
+        ...cred,
+        daysLeft: left,
+        status: left <= 0 ? "expired" : "expiring",
+      });
+    }
+  }
+
+  return items.sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+}
@@ -0,0 +1,68 @@
+// services/geocoderAdapters/offline.js
+// Page purpose: Gazetteer-backed geocoder — no network. Knows Israeli localities by their
+// Hebrew/English names and common spellings (localities.json, or GEOCODER_GAZETTEER_PATH)
+// and answers with the locality's centre, so every hit has precision "locality".
+// Streets aren't resolved; the city is matched as whole words, longest name first
+// ("Modiin Illit" → Modi'in Illit, "Haifa, Israel" → Haifa).
+
+import { readFileSync } from "node:fs";
+import { geocodingConfig } from "../../config/geocoding.js";
+import { normalizeTerm } from "../../utils/text.js";
+
+let cache = null;
+
+// normalized name → locality, loaded once. A name listed under two localities is a data mistake.
+function index() {
+  if (cache) return cache;
+  const path =
+    geocodingConfig().gazetteerPath ||
+    new URL("./localities.json", import.meta.url);
+  const byName = new Map();
+  for (const locality of JSON.parse(readFileSync(path, "utf8")))
+    for (const name of [
+      ...Object.values(locality.names),
+      ...(locality.aliases || []),
+    ]) {
+      const key = normalizeTerm(name);
+      const other = byName.get(key);
+      if (other && other !== locality)
+        throw new Error(
+          `Gazetteer: "${name}" is listed under both ${other.names.en} and ${locality.names.en}`
+        );
+      byName.set(key, locality);
+    }
+  const maxWords = Math.max(
+    ...[...byName.keys()].map((k) => k.split(" ").length)
+  );
+  cache = { byName, maxWords };
+  return cache;
+}
+
+// First locality named in the text (whole words, longest name at each position), or null.
+function findLocality(text) {
+  const { byName, maxWords } = index();
+  const words = normalizeTerm(text).split(" ").filter(Boolean);
+  for (let i = 0; i < words.length; i++)
+    for (let n = Math.min(maxWords, words.length - i); n > 0; n--) {
+      const hit = byName.get(words.slice(i, i + n).join(" "));
+      if (hit) return hit;
+    }
+  return null;
+}
+
+export default {
+  name: "offline",
+
+  async geocode({ city, country }) {
+    if (country && !/^(il|isr|israel|ישראל)$/i.test(country.trim()))
+      return null;
+    const hit = city && findLocality(city);
+    if (!hit) return null;
+    return {
+      lat: hit.lat,
+      lng: hit.lng,
+      precision: "locality",
+      label: hit.names.en,
+    };
+  },
+};
@@ -0,0 +1,147 @@
+// services/geocoding.js
+// Page purpose: Turns places into coordinates for radius search (services/profileSearch.js).
+// - Profile addresses get a GeoJSON point on every address change (trackLocation): the pin of
+//   their googleMapsUrl when it carries one, else the geocoded address.
+// - Search's `near` accepts "lat,lng" or a place name.
+// The stored point is private: public profile views leave it out and search only reveals
+// coarse distances (services/profileSearch.js).
+// Adapters live in services/geocoderAdapters/ and share one interface:
+//   { name, geocode({ city, street, houseNumber, country }) → null | { lat, lng, precision, label } }
+// where precision is "street" or "locality" (config/geocoding.js) and null means "unknown place".
+// Jobs aren't geocoded: they have no model in this codebase yet; their site address should
+// reuse locateAddress() and the same { location, locationPrecision } shape once they do.
+
+import { geocodingConfig } from "../config/geocoding.js";
+import offlineAdapter from "./geocoderAdapters/offline.js";
+
+const ADAPTERS = { offline: offlineAdapter };
+
+// Error with an HTTP status, picked up by the global error handler in index.js.
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+export function geocoderAdapter() {
+  const { adapter } = geocodingConfig();
+  const found = ADAPTERS[adapter];
+  if (!found) throw new Error(`Unknown GEOCODER_ADAPTER "${adapter}"`);
+  return found;
+}
+
+/** ---------- Coordinates ---------- */
+
+const validLatLng = (lat, lng) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 &&
+  Math.abs(lng) <= 180;
+
+// "32.08, 34.78" → { lat, lng }, or null
+export function parseLatLng(text) {
+  const m = /^\s*(-?\d{1,3}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/.exec(
+    text
+  );
+  if (!m) return null;
+  const [lat, lng] = [Number(m[1]), Number(m[2])];
+  return validLatLng(lat, lng) ? { lat, lng } : null;
+}
+
+// Google Maps URL formats that carry coordinates, most exact first:
+// place data (!3d<lat>!4d<lng>), query/destination parameters, then the map centre (@lat,lng).
+const MAPS_URL_PATTERNS = [
+  /!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/,
+  /[?&](?:q|query|ll|destination|center)=(-?\d+\.\d+),\s*(-?\d+\.\d+)/,
+  /@(-?\d+\.\d+),(-?\d+\.\d+)/,
+];
+
+// Pin of a Google Maps link → { lat, lng }, or null (e.g. short maps.app.goo.gl links).
+export function pinFromMapsUrl(url) {
+  if (!url) return null;
+  let text;
+  try {
+    text = decodeURIComponent(url);
+  } catch {
+    text = url;
+  }
+  for (const pattern of MAPS_URL_PATTERNS) {
+    const m = pattern.exec(text);
+    if (m && validLatLng(Number(m[1]), Number(m[2])))
+      return { lat: Number(m[1]), lng: Number(m[2]) };
+  }
+  return null;
+}
+
+export const toPoint = ({ lat, lng }) => ({
+  type: "Point",
+  coordinates: [lng, lat], // GeoJSON order
+});
+
+/** ---------- Geocoding ---------- */
+
+// Adapter lookup → hit or null. Adapter/network failures become a 502 so callers can tell
+// them from an unknown place.
+export async function geocode(address) {
+  const adapter = geocoderAdapter();
+  try {
+    return await adapter.geocode(address);
+  } catch (e) {
+    console.error(`❌ Geocoding (${adapter.name}) failed:`, e.message);
+    throw httpError(
+      502,
+      "The geocoding service is unavailable, try again later"
+    );
+  }
+}
+
+/**
+ * Point for a stored address → { location (GeoJSON Point), locationPrecision } or null.
+ * A pin in googleMapsUrl wins over geocoding the street/city text.
+ */
+export async function locateAddress(address) {
+  const pin = pinFromMapsUrl(address?.googleMapsUrl);
+  if (pin) return { location: toPoint(pin), locationPrecision: "pin" };
+  if (!address?.city) return null;
+
+  const hit = await geocode({
+    city: address.city,
+    street: address.street,
+    houseNumber: address.houseNumber,
+    country: address.country,
+  });
+  return hit
+    ? { location: toPoint(hit), locationPrecision: hit.precision }
+    : null;
+}
+
+// Search origin for `near` → { lat, lng, label }. Unknown places are a 400.
+export async function resolvePlace(text) {
+  const coords = parseLatLng(text);
+  if (coords) return { ...coords, label: null };
+
+  const hit = await geocode({ city: text });
+  if (!hit)
+    throw httpError(
+      400,
+      `Unknown place "${text}" — use a city or town name, or "lat,lng"`
+    );
+  return { lat: hit.lat, lng: hit.lng, label: hit.label };
+}
+
+/** ---------- Hook ---------- */
+
+// Pre-save hook: keeps address.location / address.locationPrecision in sync with the address.
+// A failing geocoder doesn't block the save; the point is cleared and scripts/geocodeProfiles.js
+// fills it in later.
+export function trackLocation(schema) {
+  schema.pre("save", async function () {
+    if (!this.address || !(this.isNew || this.isModified("address"))) return;
+
+    let found = null;
+    try {
+      found = await locateAddress(this.address);
+    } catch (e) {
+      console.error("❌ Address not geocoded:", e.message);
+    }
+    this.address.location = found?.location;
+    this.address.locationPrecision = found?.locationPrecision;
+  });
+}
@@ -0,0 +1,52 @@
+// services/imageProcessing.js
+// Page purpose: Image pipeline for uploads (services/uploads.js), built on sharp.
+// - sanitizeImage: applies the EXIF orientation to the pixels and re-encodes in the same
+//   format. sharp writes no metadata unless asked to, so EXIF (GPS location, camera serial…)
+//   is gone from what we store and serve.
+// - imageVariants: resized copies (config/uploads.js IMAGE_VARIANTS) in webp/avif, so feed
+//   cards and galleries don't download full-size phone photos.
+
+import sharp from "sharp";
+import { IMAGE_VARIANTS, uploadConfig } from "../config/uploads.js";
+
+// Re-encoders for the formats uploads accept (utils/fileSniff.js)
+const ENCODERS = {
+  "image/jpeg": (img) => img.jpeg({ quality: 90, mozjpeg: true }),
+  "image/png": (img) => img.png(),
+  "image/webp": (img) => img.webp({ quality: 90 }),
+};
+
+// Decoding errors (truncated/corrupt files) should fail the upload, not produce grey images.
+const open = (input) => sharp(input, { failOn: "error" });
+
+/** → { buffer, width, height } — upright, metadata-free, same format as the input */
+export async function sanitizeImage(input, mimeType) {
+  const encode = ENCODERS[mimeType];
+  if (!encode) throw new Error(`Cannot process ${mimeType} images`);
+
+  const { data, info } = await encode(open(input).rotate()).toBuffer({
+    resolveWithObject: true,
+  });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+/** → [{ name, buffer, mimeType, width, height }] for an already sanitized image */
+export async function imageVariants(input) {
+  const { variantFormat, variantQuality } = uploadConfig();
+
+  const out = [];
+  for (const [name, { width, height, fit }] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await open(input)
+      .resize({ width, height, fit, withoutEnlargement: true })
+      [variantFormat]({ quality: variantQuality })
+      .toBuffer({ resolveWithObject: true });
+    out.push({
+      name,
+      buffer: data,
+      mimeType: `image/${variantFormat}`,
+      width: info.width,
+      height: info.height,
+    });
+  }
+  return out;
+}
@@ -0,0 +1,109 @@
+// services/loginGuard.js
+// Page purpose: Progressive login backoff + login history, replacing the flat 24h lockout.
+// Two independent throttles (policy in config/security.js):
+// 1) account + IP: after a few failures from one IP, that IP waits base * 2^n (capped).
+// 2) account-wide, unknown IPs only: many failures from IPs the user never signed in from
+//    slow down every unknown IP — but IPs with a recent successful login are unaffected,
+//    so an attacker elsewhere can't lock the real owner out.
+
+import LoginAttempt, { FAILED_OUTCOMES } from "../models/LoginAttempt.js";
+import { loginPolicy } from "../config/security.js";
+
+const MINUTE = 60 * 1000;
+
+// Delay (ms) after `failures` consecutive failures with `threshold` free attempts.
+const backoffMs = (failures, threshold, policy) => {
+  if (failures < threshold) return 0;
+  const delay = policy.backoffBaseSeconds * 1000 * 2 ** (failures - threshold);
+  return Math.min(delay, policy.backoffMaxMinutes * MINUTE);
+};
+
+// Failures (newest first) matching `filter` since `since`.
+const recentFailures = (filter, since) =>
+  LoginAttempt.find({
+    ...filter,
+    outcome: { $in: FAILED_OUTCOMES },
+    createdAt: { $gt: since },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .limit(100)
+    .lean();
+
+// Remaining wait (ms) given failures + threshold, measured from the latest failure.
+const waitFor = (failures, threshold, policy) => {
+  if (!failures.length) return 0;
+  const until =
+    failures[0].createdAt.getTime() +
+    backoffMs(failures.length, threshold, policy);
+  return Math.max(0, until - Date.now());
+};
+
+/** IPs this user successfully logged in from recently ("known devices"). */
+export async function knownIpsFor(userId) {
+  if (!userId) return [];
+  const { knownIpDays } = loginPolicy();
+  return LoginAttempt.distinct("ip", {
+    userId,
+    outcome: "success",
+    createdAt: { $gt: new Date(Date.now() - knownIpDays * 24 * 60 * MINUTE) },
+  });
+}
+
+/**
+ * Decides whether a login attempt for `email` from `ip` may proceed.
+ * Returns { allowed: true } or { allowed: false, retryAfterSeconds }.
+ */
+export async function checkLoginAllowed({ email, ip, userId }) {
+  const policy = loginPolicy();
+  const windowStart = new Date(
+    Date.now() - policy.failureWindowMinutes * MINUTE
+  );
+
+  // 1) account + IP — count failures since the last success from this IP
+  const lastPairSuccess = await LoginAttempt.findOne({
+    email,
+    ip,
+    outcome: "success",
+    createdAt: { $gt: windowStart },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+  const pairSince = lastPairSuccess?.createdAt || windowStart;
+  const pairFailures = await recentFailures({ email, ip }, pairSince);
+  let wait = waitFor(pairFailures, policy.pairThreshold, policy);
+
+  // 2) account-wide — only applied to IPs that aren't known devices
+  const knownIps = await knownIpsFor(userId);
+  if (!knownIps.includes(ip)) {
+    const unknownFailures = await recentFailures(
+      { email, ip: { $nin: knownIps } },
+      windowStart
+    );
+    wait = Math.max(
+      wait,
+      waitFor(unknownFailures, policy.accountThreshold, policy)
+    );
+  }
+
+  return wait > 0
+    ? { allowed: false, retryAfterSeconds: Math.ceil(wait / 1000) }
+    : { allowed: true };
+}
+
+/** Appends one entry to the login history. */
+export const recordLoginAttempt = (req, { email, userId, outcome }) =>
+  LoginAttempt.create({
+    email,
+    userId,
+    outcome,
+    ip: req.ip || "",
+    userAgent: req.get("User-Agent") || "",
+  });
+
+// Human-friendly "30 second(s)" / "4 minute(s)" for error messages.
+export const formatWait = (seconds) =>
+  seconds < 120
+    ? `${seconds} second(s)`
+    : `${Math.ceil(seconds / 60)} minute(s)`;
@@ -0,0 +1,69 @@
+// services/mailer.js
+// Page purpose: Pluggable outgoing-mail service. Routes call sendMail() and never care how
+// the message is delivered. Built-in transports (pick with MAIL_TRANSPORT):
+// - "console" (default): prints the message to stdout — handy in local dev.
+// - "file": writes each message as JSON into MAIL_DIR (default ./mail) for inspection.
+// A real provider (SMTP, SES, ...) can be plugged in with setMailTransport({ send }).
+
+import fs from "fs";
+import path from "path";
+
+/** ---------- Built-in transports ---------- */
+
+const consoleTransport = {
+  name: "console",
+  async send(msg) {
+    console.log(
+      `📧 Mail to ${msg.to} — ${msg.subject}\n${msg.text}\n${"-".repeat(40)}`
+    );
+  },
+};
+
+const fileTransport = {
+  name: "file",
+  async send(msg) {
+    const dir = path.resolve(process.env.MAIL_DIR || "mail");
+    await fs.promises.mkdir(dir, { recursive: true });
+    const safeTo = String(msg.to).replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(msg, null, 2));
+  },
+};
+
+const builtIn = { console: consoleTransport, file: fileTransport };
+
+/** ---------- Transport selection ---------- */
+
+let customTransport = null;
+
+// Plug in any object exposing `async send({ to, from, subject, text, html })`.
+export function setMailTransport(transport) {
+  if (transport && typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  customTransport = transport;
+}
+
+// Read env lazily (dotenv is loaded after module imports in index.js).
+const activeTransport = () =>
+  customTransport ||
+  builtIn[process.env.MAIL_TRANSPORT || "console"] ||
+  consoleTransport;
+
+/** ---------- Public API ---------- */
+
+export async function sendMail({ to, subject, text, html }) {
+  const msg = {
+    from: process.env.MAIL_FROM || "BuildLink <no-reply@buildlink.local>",
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString(),
+  };
+  await activeTransport().send(msg);
+}
+
+// Frontend base URL used to build links inside emails.
+export const appUrl = (pathname = "/") =>
+  new URL(pathname, process.env.APP_URL || "http://localhost:5173").toString();
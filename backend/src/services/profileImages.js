@@ -0,0 +1,55 @@
+// services/profileImages.js
+// Page purpose: Keeps the variant URLs (thumb/card/full, see config/uploads.js) next to the
+// images a profile shows — profilePhotoUrl → profilePhotoVariants, and every portfolio /
+// experience image's url → variants — so feed cards can ask for a small image.
+// Only our own uploads (utils/uploadUrls.js) owned by the profile owner have variants;
+// external URLs get none, and clients fall back to the plain url.
+
+import Upload from "../models/Upload.js";
+import { uploadIdFromUrl, variantUrl } from "../utils/uploadUrls.js";
+
+// Image subdocs whose url is new or changed since the last save: [doc, urlPath, variantsPath]
+function changedImages(profile) {
+  const targets = [];
+  if (profile.isNew || profile.isModified("profilePhotoUrl"))
+    targets.push([profile, "profilePhotoUrl", "profilePhotoVariants"]);
+
+  const images = [
+    ...(profile.portfolio || []),
+    ...(profile.experience || []).flatMap((e) => e.images || []),
+  ];
+  for (const img of images)
+    if (img.isNew || img.isModified("url"))
+      targets.push([img, "url", "variants"]);
+  return targets;
+}
+
+// Registers the pre-save hook on a profile schema.
+export function trackImageVariants(schema) {
+  schema.pre("save", async function () {
+    const targets = changedImages(this);
+    if (!targets.length) return;
+
+    const ids = targets
+      .map(([doc, urlPath]) => uploadIdFromUrl(doc.get(urlPath)))
+      .filter(Boolean);
+    const uploads = ids.length
+      ? await Upload.find({ _id: { $in: ids }, ownerId: this.userId })
+          .select("variants.name")
+          .lean()
+      : [];
+    const byId = new Map(uploads.map((u) => [String(u._id), u]));
+
+    for (const [doc, urlPath, variantsPath] of targets) {
+      const upload = byId.get(uploadIdFromUrl(doc.get(urlPath)));
+      doc.set(
+        variantsPath,
+        upload?.variants?.length
+          ? Object.fromEntries(
+              upload.variants.map((v) => [v.name, variantUrl(upload, v.name)])
+            )
+          : undefined
+      );
+    }
+  });
+}
@@ -0,0 +1,511 @@
+// services/profileSearch.js
+// Page purpose: Profile directory search (routes/search.js) for both profile types.
+// One aggregation per page: text index ($text) + filters -> active owners only -> $facet of
+// { sorted page after the keyset cursor, facet counts for filter chips (config/search.js) }.
+// Hidden profiles (isVisible: false) and suspended/deleted owners never show.
+// Cursors are opaque (base64url EJSON of the last item's sort values + _id), so pages stay
+// stable while profiles are added or edited.
+// "Available between" is prefiltered in Mongo (a slot or weekly rule touching the window)
+// and then checked exactly with utils/availability.js (time off, holidays, time zones).
+// "Near" keeps profiles whose address point (services/geocoding.js) lies within the radius;
+// subcontractors who declared a serviceRadiusKm must also have the place within it. It uses
+// $geoWithin plus a computed distance: $geoNear has to open the pipeline and can't follow $text.
+// Both the distance and the radius test use the point snapped to a coarse grid (see below).
+
+import mongoose from "mongoose";
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { expandAvailability } from "../utils/availability.js";
+import { SEARCH_FACETS, AVAILABILITY_SCAN_FACTOR } from "../config/search.js";
+import { isTradeKey, resolveTerm, tradeLabel } from "../utils/taxonomy.js";
+import { resolvePlace } from "./geocoding.js";
+import { RADIUS_KM } from "../config/geocoding.js";
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Error with an HTTP status, picked up by the global error handler in index.js.
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+// Escape user input before building a RegExp (no regex injection / ReDoS).
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-value, case-insensitive match ("haifa" finds "Haifa", not "Haifa Bay").
+const exactly = (text) => new RegExp(`^${escapeRegex(text)}$`, "i");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sorts on "sortRate" list profiles without that rate last.
+const NO_RATE = Number.MAX_VALUE;
+
+const EARTH_RADIUS_KM = 6371;
+
+// Address points are private (street-level or a map pin). Distances are measured from the
+// point snapped to a 0.01° grid (~1.1 km north–south, ~0.9 km east–west in Israel) and shown
+// in whole km, so searching from many chosen `near` points can't narrow it down further.
+const LOCATION_GRID_DECIMALS = 2;
+// Farthest a snapped point lies from the real one (half a cell diagonal), rounded up
+const GRID_SLACK_KM = 1;
+
+/** ---------- Per-type setup ---------- */
+
+// Fields shown on a search result card (no contact details, documents or calendars).
+const CARD_FIELDS = {
+  contractor: [
+    "displayName",
+    "companyName",
+    "profilePhotoUrl",
+    "profilePhotoVariants",
+    "primaryTrade",
+    "primaryTradeKey",
+    "otherTrades",
+    "skills",
+    "services",
+    "coverageAreas",
+    "yearsExperience",
+    "ratingAvg",
+    "ratingCount",
+    "isVerified",
+    "badgeLevel",
+    "createdAt",
+  ],
+  subcontractor: [
+    "displayName",
+    "profilePhotoUrl",
+    "profilePhotoVariants",
+    "shortBio",
+    "primaryTrade",
+    "primaryTradeKey",
+    "otherTrades",
+    "skills",
+    "coverageAreas",
+    "languages",
+    "serviceRadiusKm",
+    "yearsExperience",
+    "dayRate",
+    "hourRate",
+    "currency",
+    "vatRegistered",
+    "ratingAvg",
+    "ratingCount",
+    "isVerified",
+    "badgeLevel",
+    "createdAt",
+  ],
+};
+
+// What the exact availability check needs on top of the card.
+const CALENDAR_FIELDS = [
+  "availability",
+  "availabilityRules",
+  "availabilityExceptions",
+  "availabilityTimeZone",
+  "observeHolidays",
+];
+
+const MODELS = {
+  contractor: ContractorProfile,
+  subcontractor: SubContractorProfile,
+};
+
+// sort option → [[field, direction]] (_id is always added as the tie-breaker)
+const SORTS = {
+  relevance: [["score", -1]],
+  rating: [
+    ["ratingAvg", -1],
+    ["ratingCount", -1],
+  ],
+  newest: [["createdAt", -1]],
+  dayRate: [["sortRate", 1]],
+  hourRate: [["sortRate", 1]],
+  distance: [["distanceKm", 1]],
+};
+
+/** ---------- Filters ---------- */
+
+// Mongo-side necessary condition for "free at some point in [from, to)".
+function availabilityPrefilter(from, to) {
+  return {
+    $or: [
+      {
+        availability: {
+          $elemMatch: { from: { $lt: to }, to: { $gt: from } },
+        },
+      },
+      {
+        availabilityRules: {
+          $elemMatch: {
+            $and: [
+              { $or: [{ validFrom: null }, { validFrom: { $lt: to } }] },
+              // validUntil is a day in the profile's zone: allow a day of slack
+              {
+                $or: [
+                  { validUntil: null },
+                  { validUntil: { $gte: new Date(from.getTime() - DAY_MS) } },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    ],
+  };
+}
+
+// Validated query (validators/search.validation.js) + resolved `near` → $match for the first stage
+function searchFilter(query, origin) {
+  const and = [{ isVisible: { $ne: false } }];
+
+  if (query.trade) {
+    // A taxonomy key or any wording of it ("חשמלאי" finds "Electrician"); the free-text
+    // match still covers values the taxonomy doesn't know
+    const key = isTradeKey(query.trade)
+      ? query.trade
+      : resolveTerm(query.trade);
+    const trade = exactly(query.trade);
+    and.push({
+      $or: [
+        ...(key ? [{ tradeKeys: key }] : []),
+        { primaryTrade: trade },
+        { otherTrades: trade },
+      ],
+    });
+  }
+  if (query.area) and.push({ coverageAreas: exactly(query.area) });
+  if (query.language) and.push({ languages: exactly(query.language) });
+  if (query.minRating != null)
+    and.push({ ratingAvg: { $gte: query.minRating } });
+  if (query.verified) and.push({ isVerified: true });
+  if (query.maxDayRate != null)
+    and.push({ dayRate: { $lte: query.maxDayRate } });
+  if (query.maxHourRate != null)
+    and.push({ hourRate: { $lte: query.maxHourRate } });
+  if (query.vatRegistered != null)
+    and.push({ vatRegistered: query.vatRegistered });
+  if (query.availableFrom)
+    and.push(availabilityPrefilter(query.availableFrom, query.availableTo));
+  if (origin)
+    and.push({
+      "address.location": {
+        $geoWithin: {
+          $centerSphere: [
+            [origin.lng, origin.lat],
+            // prefilter only: the radius itself is applied to the snapped distance
+            (origin.radiusKm + GRID_SLACK_KM) / EARTH_RADIUS_KM,
+          ],
+        },
+      },
+    });
+
+  const match = { $and: and };
+  // $text has to sit at the top level of the pipeline's first $match
+  if (query.q) match.$text = { $search: query.q };
+  return match;
+}
+
+/** ---------- Cursor ---------- */
+
+const sortKeys = (sort) => [...SORTS[sort], ["_id", SORTS[sort][0][1]]];
+
+const encodeCursor = (sort, doc) =>
+  Buffer.from(
+    EJSON.stringify({ sort, values: sortKeys(sort).map(([f]) => doc[f]) })
+  ).toString("base64url");
+
+function decodeCursor(sort, cursor) {
+  let parsed;
+  try {
+    parsed = EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    parsed = null;
+  }
+  if (
+    parsed?.sort !== sort ||
+    !Array.isArray(parsed.values) ||
+    parsed.values.length !== sortKeys(sort).length
+  )
+    throw httpError(400, "Invalid cursor for this search");
+  return parsed.values;
+}
+
+// Items strictly after the cursor in sort order:
+// k1 beyond v1, or k1 = v1 and k2 beyond v2, …
+function afterCursor(sort, values) {
+  const keys = sortKeys(sort);
+  return {
+    $or: keys.map(([field, dir], i) => ({
+      ...Object.fromEntries(keys.slice(0, i).map(([f], j) => [f, values[j]])),
+      [field]: { [dir < 0 ? "$lt" : "$gt"]: values[i] },
+    })),
+  };
+}
+
+/** ---------- Distance ---------- */
+
+// Great-circle distance (haversine) from the origin to the snapped address point, in km.
+function distanceExpr({ lat, lng }) {
+  const coord = (i) => ({
+    $round: [
+      { $arrayElemAt: ["$address.location.coordinates", i] },
+      LOCATION_GRID_DECIMALS,
+    ],
+  });
+  const rad = (deg) => ({ $degreesToRadians: deg });
+  const halfSinSquared = (delta) => ({
+    $pow: [{ $sin: { $divide: [rad(delta), 2] } }, 2],
+  });
+  const a = {
+    $add: [
+      halfSinSquared({ $subtract: [coord(1), lat] }),
+      {
+        $multiply: [
+          Math.cos((lat * Math.PI) / 180),
+          { $cos: rad(coord(1)) },
+          halfSinSquared({ $subtract: [coord(0), lng] }),
+        ],
+      },
+    ],
+  };
+  return {
+    $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, a] } } }],
+  };
+}
+
+// distanceKm for every match within the radius; subcontractors also need the place within
+// their own radius.
+const distanceStages = (type, origin) => [
+  { $addFields: { distanceKm: distanceExpr(origin) } },
+  { $match: { distanceKm: { $lte: origin.radiusKm } } },
+  ...(type === "subcontractor"
+    ? [
+        {
+          $match: {
+            $or: [
+              { serviceRadiusKm: null },
+              { $expr: { $lte: ["$distanceKm", "$serviceRadiusKm"] } },
+            ],
+          },
+        },
+      ]
+    : []),
+];
+
+/** ---------- Search ---------- */
+
+// Matching profiles (+ their text score when searching by text, distance when near a place).
+function matchStages(type, query, origin) {
+  return [
+    { $match: searchFilter(query, origin) },
+    ...(query.q ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    ...(origin ? distanceStages(type, origin) : []),
+    // Owner must still be active (same rule as the public profile views)
+    {
+      $lookup: {
+        from: "users",
+        localField: "userId",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          { $match: { deletedAt: null, suspendedAt: null } },
+          { $project: { _id: 1 } },
+        ],
+      },
+    },
+    { $match: { "owner.0": { $exists: true } } },
+  ];
+}
+
+function resultStages(type, query) {
+  const { sort } = query;
+  const byRate = sort === "dayRate" || sort === "hourRate";
+  const fields = [
+    ...CARD_FIELDS[type],
+    ...(query.q ? ["score"] : []),
+    ...(query.near ? ["distanceKm"] : []),
+    ...(byRate ? ["sortRate"] : []),
+    ...(query.availableFrom ? CALENDAR_FIELDS : []),
+  ];
+
+  return [
+    ...(byRate
+      ? [{ $addFields: { sortRate: { $ifNull: [`$${sort}`, NO_RATE] } } }]
+      : []),
+    ...(query.cursor
+      ? [{ $match: afterCursor(sort, decodeCursor(sort, query.cursor)) }]
+      : []),
+    { $sort: Object.fromEntries(sortKeys(sort)) },
+    { $project: Object.fromEntries(fields.map((f) => [f, 1])) },
+  ];
+}
+
+const toCard = ({ sortRate, ...doc }, calendar) => {
+  if (calendar) for (const f of CALENDAR_FIELDS) delete doc[f];
+  if (doc.distanceKm != null) doc.distanceKm = Math.round(doc.distanceKm);
+  return doc;
+};
+
+/** ---------- Facets ---------- */
+
+// Most common values of an array field, case-insensitive like the filters.
+const valueFacet = (field) => [
+  { $unwind: `$${field}` },
+  { $match: { [field]: { $type: "string", $ne: "" } } },
+  {
+    $group: {
+      _id: { $toLower: `$${field}` },
+      value: { $first: `$${field}` },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: SEARCH_FACETS.valueLimit },
+  { $project: { _id: 0, value: 1, count: 1 } },
+];
+
+// Counts per range; boundaries are lower bounds, the last range is open-ended.
+const bucketFacet = (field, lowerBounds, extraMatch = {}) => [
+  { $match: { [field]: { $type: "number" }, ...extraMatch } },
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries: lowerBounds,
+      default: "open",
+      output: { count: { $sum: 1 } },
+    },
+  },
+];
+
+// Primary trades grouped by taxonomy key (any wording), free text otherwise.
+const primaryTradeFacet = [
+  {
+    $group: {
+      _id: { $ifNull: ["$primaryTradeKey", { $toLower: "$primaryTrade" }] },
+      key: { $first: "$primaryTradeKey" },
+      value: { $first: "$primaryTrade" },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: SEARCH_FACETS.valueLimit },
+  { $project: { _id: 0, key: 1, value: 1, count: 1 } },
+];
+
+// Pipelines run side by side with the results in the same $facet stage.
+function facetStages(type) {
+  const facets = {
+    total: [{ $count: "count" }],
+    primaryTrade: primaryTradeFacet,
+    coverageAreas: valueFacet("coverageAreas"),
+    isVerified: [{ $group: { _id: "$isVerified", count: { $sum: 1 } } }],
+    rating: bucketFacet("ratingAvg", SEARCH_FACETS.ratingBuckets, {
+      ratingCount: { $gt: 0 },
+    }),
+  };
+  if (type === "subcontractor")
+    Object.assign(facets, {
+      languages: valueFacet("languages"),
+      dayRate: bucketFacet("dayRate", SEARCH_FACETS.dayRateBuckets),
+      hourRate: bucketFacet("hourRate", SEARCH_FACETS.hourRateBuckets),
+    });
+  return facets;
+}
+
+// $bucket rows → [{ min, max (null = open-ended), count }] for every range, zeros included.
+// $bucket has no bucket starting at the last bound: those values land in its "open" default.
+function rangeCounts(rows, lowerBounds) {
+  const counts = new Map(rows.map((r) => [r._id, r.count]));
+  return lowerBounds.map((min, i) => {
+    const last = i === lowerBounds.length - 1;
+    return {
+      min,
+      max: last ? null : lowerBounds[i + 1],
+      count: last ? counts.get("open") || 0 : counts.get(min) || 0,
+    };
+  });
+}
+
+function shapeFacets(type, raw) {
+  const verified = new Map(
+    raw.isVerified.map((r) => [r._id === true, r.count])
+  );
+  const facets = {
+    // [{ key?, value, count }]: value is the canonical English label when there's a key
+    primaryTrade: raw.primaryTrade.map(({ key, value, count }) =>
+      key ? { key, value: tradeLabel(key), count } : { value, count }
+    ),
+    coverageAreas: raw.coverageAreas,
+    isVerified: [true, false].map((value) => ({
+      value,
+      count: verified.get(value) || 0,
+    })),
+    rating: rangeCounts(raw.rating, SEARCH_FACETS.ratingBuckets),
+  };
+  if (type === "subcontractor")
+    Object.assign(facets, {
+      languages: raw.languages,
+      dayRate: rangeCounts(raw.dayRate, SEARCH_FACETS.dayRateBuckets),
+      hourRate: rangeCounts(raw.hourRate, SEARCH_FACETS.hourRateBuckets),
+    });
+  return facets;
+}
+
+/** ---------- Search ---------- */
+
+/**
+ * One page of search results plus facet counts, in a single aggregation.
+ * type: "contractor" | "subcontractor"; query: validated by validators/search.validation.js
+ * → { items, nextCursor (null on the last page), sort, limit, total, facets, countsApproximate,
+ *     origin (with `near`: { lat, lng, label, radiusKm }, else null) }
+ * Items carry distanceKm (whole km) with `near`; profiles without an address point don't match.
+ * total/facets count every match (not just this page) and ignore the cursor. With an
+ * availability window they count the Mongo prefilter, so countsApproximate is true.
+ */
+export async function searchProfiles(type, query) {
+  const { limit, sort, availableFrom, availableTo } = query;
+  const scan = availableFrom ? limit * AVAILABILITY_SCAN_FACTOR : limit + 1;
+  const origin = query.near
+    ? {
+        ...(await resolvePlace(query.near)),
+        radiusKm: query.radiusKm ?? RADIUS_KM.default,
+      }
+    : null;
+
+  const [result] = await MODELS[type].aggregate([
+    ...matchStages(type, query, origin),
+    {
+      $facet: {
+        items: [...resultStages(type, query), { $limit: scan }],
+        ...facetStages(type),
+      },
+    },
+  ]);
+
+  // Walk the candidates in order; stop once the page is full. The cursor points at the
+  // last candidate looked at, so skipped ones aren't read again.
+  const items = [];
+  let lastSeen = -1;
+  for (const doc of result.items) {
+    if (items.length === limit) break;
+    lastSeen++;
+    if (
+      availableFrom &&
+      !expandAvailability(doc, availableFrom, availableTo).length
+    )
+      continue;
+    items.push(toCard(doc, !!availableFrom));
+  }
+  const hasMore =
+    lastSeen < result.items.length - 1 ||
+    (!!availableFrom && result.items.length === scan);
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(sort, result.items[lastSeen]) : null,
+    sort,
+    limit,
+    total: result.total[0]?.count || 0,
+    facets: shapeFacets(type, result),
+    countsApproximate: !!availableFrom,
+    origin,
+  };
+}
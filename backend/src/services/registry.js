@@ -0,0 +1,78 @@
+// services/registry.js
+// Page purpose: Checks a certificate's credentialId against an official licence registry
+// (config/registry.js) and records the outcome on the certificate (registryCheck).
+// Adapters live in services/registryAdapters/ and share one interface:
+//   { name, lookup(registry, credentialId) → null | { registeredName, status, expiryDate } }
+// where status is one of REGISTRY_STATUSES (config/registry.js) other than "not-found",
+// and null means "no such licence".
+// A passing check lifts the profile to the registry-checked badge (utils/badges.js).
+
+import { registryConfig } from "../config/registry.js";
+import { bestNameMatch } from "../utils/nameMatch.js";
+import localAdapter from "./registryAdapters/local.js";
+import govilAdapter from "./registryAdapters/govil.js";
+
+const ADAPTERS = { local: localAdapter, govil: govilAdapter };
+
+// Error with an HTTP status, picked up by the global error handler in index.js.
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+export function registryAdapter() {
+  const { adapter } = registryConfig();
+  const found = ADAPTERS[adapter];
+  if (!found) throw new Error(`Unknown REGISTRY_ADAPTER "${adapter}"`);
+  return found;
+}
+
+// Raw lookup → { source, found, registeredName?, status?, expiryDate? }.
+// Adapter/network failures become a 502 so callers can tell them from "not found".
+export async function lookupLicence(registry, credentialId) {
+  const adapter = registryAdapter();
+  try {
+    const hit = await adapter.lookup(registry, credentialId.trim());
+    return { source: adapter.name, found: !!hit, ...hit };
+  } catch (e) {
+    console.error(`❌ Registry lookup (${adapter.name}) failed:`, e.message);
+    throw httpError(
+      502,
+      "The licence registry is unavailable, try again later"
+    );
+  }
+}
+
+/**
+ * Looks up the certificate's credentialId and stores the outcome as cert.registryCheck
+ * (registry, status, registeredName, nameMatch, expiryDate, checkedAt, source).
+ * Saves the profile; returns the certificate subdoc.
+ */
+export async function checkCertificateInRegistry(
+  profile,
+  certificateId,
+  registry
+) {
+  const cert = profile.certificates.id(certificateId);
+  if (!cert) throw httpError(404, "Certificate not found");
+  if (!cert.credentialId)
+    throw httpError(400, "Add the licence number (credentialId) first");
+
+  const hit = await lookupLicence(registry, cert.credentialId);
+  const { found } = hit;
+
+  cert.registryCheck = {
+    registry,
+    source: hit.source,
+    status: found ? hit.status : "not-found",
+    registeredName: found ? hit.registeredName : "",
+    nameMatch: found
+      ? bestNameMatch(hit.registeredName, [
+          profile.displayName,
+          profile.companyName,
+        ])
+      : "mismatch",
+    expiryDate: found ? hit.expiryDate : null,
+    checkedAt: new Date(),
+  };
+  await profile.save();
+  return cert;
+}
@@ -0,0 +1,76 @@
+// services/registryAdapters/govil.js
+// Page purpose: Registry adapter for the public gov.il datasets (CKAN datastore_search API
+// on data.gov.il). Each registry is one dataset resource, configured in config/registry.js.
+// COLUMNS maps our fields to the dataset's column names — re-check them against the dataset
+// schema whenever the ministry republishes it.
+
+import { registryConfig } from "../../config/registry.js";
+
+const API = "https://data.gov.il/api/3/action/datastore_search";
+
+const COLUMNS = {
+  contractors: {
+    id: "MISPAR_KABLAN",
+    name: "SHEM_YESHUT",
+    status: "STATUS",
+    expiry: "TAARICH_TOKEF",
+  },
+  electricians: {
+    id: "MISPAR_RISHAYON",
+    name: "SHEM",
+    status: "STATUS",
+    expiry: "TOKEF_RISHAYON",
+  },
+};
+
+// Free-text statuses in the datasets → our status values (unknown text = "active" only if empty)
+const STATUS_WORDS = [
+  ["revoked", /בוטל|revoked|cancel/i],
+  ["suspended", /מושעה|השעי|suspend/i],
+  ["expired", /פג|expired/i],
+];
+
+const toStatus = (text) =>
+  STATUS_WORDS.find(([, re]) => re.test(text || ""))?.[0] ?? "active";
+
+const toDate = (value) => {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : null;
+};
+
+export default {
+  name: "govil",
+
+  async lookup(registry, credentialId) {
+    const { govilResources, timeoutMs } = registryConfig();
+    const resourceId = govilResources[registry];
+    const cols = COLUMNS[registry];
+    if (!resourceId || !cols)
+      throw new Error(`No gov.il dataset configured for "${registry}"`);
+
+    const url = new URL(API);
+    url.searchParams.set("resource_id", resourceId);
+    url.searchParams.set(
+      "filters",
+      JSON.stringify({ [cols.id]: credentialId })
+    );
+    url.searchParams.set("limit", "1");
+
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`data.gov.il responded ${res.status}`);
+    const body = await res.json();
+    if (!body.success) throw new Error("data.gov.il query failed");
+
+    const row = body.result?.records?.[0];
+    if (!row) return null;
+    const expiryDate = toDate(row[cols.expiry]);
+    return {
+      registeredName: String(row[cols.name] || "").trim(),
+      status:
+        expiryDate && expiryDate <= new Date()
+          ? "expired"
+          : toStatus(row[cols.status]),
+      expiryDate,
+    };
+  },
+};
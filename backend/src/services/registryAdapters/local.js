@@ -0,0 +1,34 @@
+// services/registryAdapters/local.js
+// Page purpose: Fixture-backed registry adapter for development and tests — no network.
+// Entries come from fixtures.json (or REGISTRY_FIXTURES_PATH) and are loaded once.
+
+import { readFileSync } from "node:fs";
+import { registryConfig } from "../../config/registry.js";
+
+let cache = null;
+
+function entries() {
+  if (!cache) {
+    const path =
+      registryConfig().fixturesPath ||
+      new URL("./fixtures.json", import.meta.url);
+    cache = JSON.parse(readFileSync(path, "utf8"));
+  }
+  return cache;
+}
+
+export default {
+  name: "local",
+
+  async lookup(registry, credentialId) {
+    const hit = entries().find(
+      (e) => e.registry === registry && e.credentialId === credentialId
+    );
+    if (!hit) return null;
+    return {
+      registeredName: hit.registeredName,
+      status: hit.status,
+      expiryDate: hit.expiryDate ? new Date(hit.expiryDate) : null,
+    };
+  },
+};
@@ -0,0 +1,202 @@
+// services/sessions.js
+// Page purpose: Issues short-lived access JWTs + rotating refresh tokens backed by Session docs.
+// Refresh token format: "<sessionId>.<random secret>" — the id finds the session, the secret
+// must hash to the session's current tokenHash. A valid id with a stale secret = reuse.
+// Rotation is a single conditional update on the expected hash, so two requests presenting
+// the same token can't both rotate it; the loser is let through only within the grace window.
+
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import { generateToken, hashToken, safeEqual } from "../utils/tokens.js";
+import { describeUserAgent } from "../utils/userAgent.js";
+
+/** ---------- Config (read lazily: dotenv loads after imports) ---------- */
+const accessTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTtlMs = () =>
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+// How long the secret replaced last still rotates (parallel refreshes from several tabs)
+const reuseGraceMs = () =>
+  Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 30) * 1000;
+
+// Error with an HTTP status, picked up by the global error handler in index.js.
+const authError = (message) =>
+  Object.assign(new Error(message), { status: 401 });
+
+/** ---------- Access token ---------- */
+// sub = user id, sid = session id (checked by auth middleware on every request),
+// plus role/email/isBusiness for quick authz checks on the client.
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      sub: user._id.toString(),
+      sid: sessionId.toString(),
+      role: user.role,
+      email: user.email,
+      isBusiness: user.isBusiness,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTtl() }
+  );
+
+/** ---------- Refresh token helpers ---------- */
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!/^[a-f0-9]{24}$/i.test(sessionId || "") || !secret) return null;
+  return { sessionId, secret };
+};
+
+/** ---------- Public API ---------- */
+
+// Creates a new session (one per device sign-in) and returns both tokens.
+export async function issueAuthTokens(user, req) {
+  const secret = generateToken();
+  const userAgent = req.get("User-Agent") || "";
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    userAgent,
+    deviceLabel: describeUserAgent(userAgent),
+    ip: req.ip || "",
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTtlMs()),
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: buildRefreshToken(session._id, secret),
+    session,
+  };
+}
+
+// Replaces the secret if the session's current hash is still `expectedHash` (atomic).
+// → { userId, sessionId, refreshToken } or null when it changed, was revoked or expired.
+async function swapSecret(sessionId, expectedHash, req) {
+  const secret = generateToken();
+  const now = new Date();
+  const $set = {
+    tokenHash: hashToken(secret),
+    previousTokenHash: expectedHash,
+    rotatedAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + refreshTtlMs()), // sliding window
+  };
+  if (req?.ip) $set.ip = req.ip;
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: expectedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set },
+    { new: true }
+  );
+  return (
+    session && {
+      userId: session.userId,
+      sessionId: session._id,
+      refreshToken: buildRefreshToken(session._id, secret),
+    }
+  );
+}
+
+// Rotates a refresh token. Returns the new pair + the session's userId.
+// Throws 401 for unknown/expired/revoked tokens; revokes the family on reuse.
+export async function rotateRefreshToken(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw authError("Invalid refresh token");
+  const presented = hashToken(parsed.secret);
+
+  const rotated = await swapSecret(parsed.sessionId, presented, req);
+  if (rotated) return rotated;
+
+  // Not rotated: find out why from the session's current state
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt)
+    throw authError("Session has been revoked");
+  if (session.expiresAt <= Date.now()) {
+    await revokeSession(session._id, "expired");
+    throw authError("Session expired");
+  }
+
+  // Another request (e.g. a second tab) rotated this very token a moment ago
+  const justReplaced =
+    !!session.previousTokenHash &&
+    safeEqual(presented, session.previousTokenHash) &&
+    Date.now() - session.rotatedAt.getTime() < reuseGraceMs();
+  if (justReplaced) {
+    const again = await swapSecret(session._id, session.tokenHash, req);
+    if (again) return again;
+    throw authError("Session was refreshed elsewhere, try again");
+  }
+
+  // Stale secret for a live session: an old (already rotated) token was replayed.
+  if (!safeEqual(presented, session.tokenHash)) {
+    await revokeSession(session._id, "reuse");
+    throw authError("Refresh token reuse detected. Please log in again");
+  }
+
+  // Current secret, yet the update missed: the session changed in between
+  throw authError("Session was refreshed elsewhere, try again");
+}
+
+// Revokes the session a refresh token belongs to (logout). Silent if unknown.
+export async function revokeByRefreshToken(refreshToken, reason = "logout") {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+  await revokeSession(parsed.sessionId, reason);
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Revokes every live session of a user, optionally keeping one (the current device).
+export async function revokeUserSessions(userId, reason, { exceptId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+  await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+// Used by auth middleware: a session is usable if it exists, belongs to the token's user,
+// isn't revoked and hasn't expired. Also bumps lastSeenAt (at most every few minutes,
+// so busy clients don't cause a write per request).
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+export async function touchActiveSession(sessionId, userId, ip) {
+  const session = await Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("lastSeenAt")
+    .lean();
+  if (!session) return false;
+
+  if (
+    !session.lastSeenAt ||
+    Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS
+  ) {
+    const $set = { lastSeenAt: new Date() };
+    if (ip) $set.ip = ip;
+    await Session.updateOne({ _id: sessionId }, { $set });
+  }
+  return true;
+}
+
+// Live sessions of a user, most recently used first (for the devices list).
+export const listActiveSessions = (userId) =>
+  Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1, createdAt: -1 });
@@ -0,0 +1,53 @@
+// services/storageAdapters/local.js
+// Page purpose: Storage adapter that keeps uploaded files on the local disk, under UPLOAD_DIR.
+// Adapter interface (shared with future S3-compatible adapters):
+//   save(key, tempPath)  moves a finished temp file into storage
+//   write(key, buffer)   stores generated content (e.g. image variants)
+//   read(key)            → readable stream of the file
+//   remove(key)          deletes it (missing files are not an error)
+
+import fs from "fs";
+import path from "path";
+import { uploadConfig } from "../../config/uploads.js";
+
+const root = () => path.resolve(process.cwd(), uploadConfig().dir);
+
+// Keys are generated server-side, but never let one escape the upload directory.
+function fullPath(key) {
+  const base = root();
+  const full = path.resolve(base, key);
+  if (!full.startsWith(base + path.sep))
+    throw new Error(`Invalid storage key: ${key}`);
+  return full;
+}
+
+export default {
+  name: "local",
+
+  async save(key, tempPath) {
+    const dest = fullPath(key);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    try {
+      await fs.promises.rename(tempPath, dest);
+    } catch (e) {
+      if (e.code !== "EXDEV") throw e;
+      // Temp dir on another device: copy, then drop the temp file
+      await fs.promises.copyFile(tempPath, dest);
+      await fs.promises.unlink(tempPath);
+    }
+  },
+
+  async write(key, buffer) {
+    const dest = fullPath(key);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    await fs.promises.writeFile(dest, buffer);
+  },
+
+  read(key) {
+    return fs.createReadStream(fullPath(key));
+  },
+
+  async remove(key) {
+    await fs.promises.rm(fullPath(key), { force: true });
+  },
+};
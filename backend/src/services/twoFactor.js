@@ -0,0 +1,76 @@
+// services/twoFactor.js
+// Page purpose: TOTP second-factor logic shared by the login flow (routes/users.js)
+// and the enrollment endpoints (routes/twoFactor.js):
+// short-lived challenge tokens, code/recovery-code checks, recovery code generation,
+// and the admin "2FA required for role X" policy.
+
+import jwt from "jsonwebtoken";
+import AppSettings from "../models/AppSettings.js";
+import { verifyTotp } from "../utils/totp.js";
+import { decrypt } from "../utils/encryption.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+/** ---------- Challenge tokens ---------- */
+// Issued after a correct password instead of a session. They carry no `sid`,
+// so middleware/auth.js never accepts them as access tokens.
+const CHALLENGE_TTL = {
+  "2fa-login": "5m", // enter a code from the authenticator app
+  "2fa-setup": "15m", // enroll first (policy requires 2FA for this role)
+};
+
+export const signChallengeToken = (user, purpose) =>
+  jwt.sign({ sub: user._id.toString(), purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL[purpose],
+  });
+
+// Returns the user id, or null if invalid/expired/wrong purpose.
+export function verifyChallengeToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === purpose ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+/** ---------- Policy ---------- */
+
+export async function isTwoFactorRequired(user) {
+  const settings = await AppSettings.current();
+  return settings.require2FARoles.includes(user.role);
+}
+
+/** ---------- Codes ---------- */
+
+// 10 codes like "3f9a-c21b"; only hashes are stored, plaintext is shown once.
+export function generateRecoveryCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateToken(4);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashToken(c)) };
+}
+
+/**
+ * Verifies either a TOTP `code` (against the active secret) or a single-use `recoveryCode`.
+ * Mutates user.twoFactor (replay step / consumed recovery code) — caller must save().
+ */
+export function verifySecondFactor(user, { code, recoveryCode }) {
+  const tf = user.twoFactor;
+  if (!tf?.enabled || !tf.secretEnc) return false;
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const idx = tf.recoveryCodeHashes.indexOf(hash);
+    if (idx === -1) return false;
+    tf.recoveryCodeHashes.splice(idx, 1); // single use
+    return true;
+  }
+
+  const step = verifyTotp(decrypt(tf.secretEnc), code, {
+    lastStep: tf.lastUsedStep,
+  });
+  if (step === null) return false;
+  tf.lastUsedStep = step;
+  return true;
+}
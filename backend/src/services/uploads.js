@@ -0,0 +1,285 @@
+// services/uploads.js
+// Page purpose: File uploads (routes/uploads.js) — storing, quotas, URLs and cleanup.
+// A file is stored through a storage adapter (services/storageAdapters/) and described by an
+// Upload doc; users/profiles reference it by URL (`<API_PUBLIC_URL>/api/uploads/:id`).
+// Private files are only served to the owner/reviewers or through an HMAC-signed URL.
+// Images go through services/imageProcessing.js first (orientation, metadata, variants).
+// Files no longer referenced by their owner's user/profile docs are removed by
+// cleanupOrphanUploads() (jobs/cleanupOrphanUploads.js) after a grace period.
+
+import crypto from "crypto";
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+import Upload from "../models/Upload.js";
+import User from "../models/User.js";
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import { UPLOAD_KINDS, uploadConfig } from "../config/uploads.js";
+import { sniffMime, SNIFF_BYTES, EXTENSIONS } from "../utils/fileSniff.js";
+import { safeEqual } from "../utils/tokens.js";
+import { fileUrl, uploadIdFromUrl } from "../utils/uploadUrls.js";
+import localStorage from "./storageAdapters/local.js";
+import { sanitizeImage, imageVariants } from "./imageProcessing.js";
+
+const ADAPTERS = { local: localStorage };
+
+// Error with an HTTP status, picked up by the global error handler in index.js.
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+export function storageAdapter(name = uploadConfig().storage) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown UPLOAD_STORAGE "${name}"`);
+  return adapter;
+}
+
+/** ---------- URLs ---------- */
+
+// Read lazily: dotenv loads after imports in index.js.
+const signingKey = () =>
+  process.env.UPLOAD_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signature = (id, expires) =>
+  crypto
+    .createHmac("sha256", String(signingKey()))
+    .update(`${id}.${expires}`)
+    .digest("hex");
+
+// → { url, expiresAt } valid for UPLOAD_SIGNED_URL_TTL_MINUTES (default 15)
+export function signedUrl(upload, now = Date.now()) {
+  const expires = now + uploadConfig().signedUrlTtlMinutes * 60 * 1000;
+  const url = new URL(fileUrl(upload));
+  url.searchParams.set("expires", String(expires));
+  url.searchParams.set("sig", signature(upload._id, expires));
+  return { url: url.toString(), expiresAt: new Date(expires) };
+}
+
+export function hasValidSignature(id, { expires, sig } = {}) {
+  const exp = Number(expires);
+  if (!Number.isFinite(exp) || exp < Date.now() || !sig) return false;
+  return safeEqual(signature(id, exp), sig);
+}
+
+/** ---------- Quota ---------- */
+
+export async function usedBytes(ownerId) {
+  const [row] = await Upload.aggregate([
+    { $match: { ownerId: new mongoose.Types.ObjectId(String(ownerId)) } },
+    // Image variants count towards the quota too
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $add: ["$size", { $sum: "$variants.size" }] } },
+      },
+    },
+  ]);
+  return row?.total || 0;
+}
+
+// Largest file the user may upload now for this kind (kind limit, capped by quota left).
+export async function uploadLimitFor(ownerId, kind) {
+  const left = Math.max(
+    uploadConfig().quotaBytes - (await usedBytes(ownerId)),
+    0
+  );
+  return { maxBytes: Math.min(UPLOAD_KINDS[kind].maxBytes, left), left };
+}
+
+/** ---------- Store ---------- */
+
+async function readHead(filepath) {
+  const fh = await fs.promises.open(filepath, "r");
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await fh.read(buf, 0, SNIFF_BYTES, 0);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+async function sha256Of(filepath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filepath), hash);
+  return hash.digest("hex");
+}
+
+// Images are made upright and stripped of metadata before anything is stored; public image
+// kinds also get resized variants. Unreadable images are rejected like unsupported types.
+async function processImage(file, mimeType, withVariants) {
+  try {
+    const { buffer, width, height } = await sanitizeImage(
+      file.filepath,
+      mimeType
+    );
+    await fs.promises.writeFile(file.filepath, buffer);
+    const variants = withVariants ? await imageVariants(buffer) : [];
+    return { size: buffer.length, width, height, variants };
+  } catch (e) {
+    console.error("❌ Image processing failed:", e.message);
+    throw httpError(415, "This image could not be read");
+  }
+}
+
+const quotaFull = () => httpError(413, "Your upload quota is full");
+
+/**
+ * Validates a parsed temp file (formidable's file object) against its kind, moves it into
+ * storage and records it. The temp file is always consumed or deleted. → Upload doc
+ * The quota is checked again once the final size (incl. variants) is known, and once more
+ * after recording, so parallel uploads that each passed the route's check can't add up to
+ * more than the quota: an upload that finds the total over it is rolled back with a 413.
+ */
+export async function storeUpload(ownerId, kind, file) {
+  const spec = UPLOAD_KINDS[kind];
+  try {
+    const mimeType = sniffMime(await readHead(file.filepath));
+    if (!mimeType || !spec.mimeTypes.includes(mimeType))
+      throw httpError(
+        415,
+        `Unsupported file type for ${kind}; allowed: ${spec.mimeTypes.join(", ")}`
+      );
+
+    const image = mimeType.startsWith("image/")
+      ? await processImage(file, mimeType, !!spec.variants)
+      : { size: file.size, variants: [] };
+
+    const totalBytes =
+      image.size + image.variants.reduce((sum, v) => sum + v.buffer.length, 0);
+    const { quotaBytes } = uploadConfig();
+    if ((await usedBytes(ownerId)) + totalBytes > quotaBytes) throw quotaFull();
+
+    const adapter = storageAdapter();
+    const now = new Date();
+    const base = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, "0")}/${crypto.randomUUID()}`;
+    const storageKey = `${base}.${EXTENSIONS[mimeType]}`;
+    const sha256 = await sha256Of(file.filepath);
+    await adapter.save(storageKey, file.filepath);
+
+    const variants = [];
+    try {
+      for (const v of image.variants) {
+        const key = `${base}-${v.name}.${EXTENSIONS[v.mimeType]}`;
+        await adapter.write(key, v.buffer);
+        variants.push({
+          name: v.name,
+          storageKey: key,
+          mimeType: v.mimeType,
+          size: v.buffer.length,
+          width: v.width,
+          height: v.height,
+        });
+      }
+
+      const upload = await Upload.create({
+        ownerId,
+        kind,
+        visibility: spec.visibility,
+        storage: adapter.name,
+        storageKey,
+        originalName: (file.originalFilename || "").slice(0, 200),
+        mimeType,
+        size: image.size,
+        sha256,
+        width: image.width,
+        height: image.height,
+        variants,
+      });
+      if ((await usedBytes(ownerId)) > quotaBytes) {
+        await upload.deleteOne();
+        throw quotaFull();
+      }
+      return upload;
+    } catch (e) {
+      for (const key of [storageKey, ...variants.map((v) => v.storageKey)])
+        await adapter.remove(key);
+      throw e;
+    }
+  } finally {
+    await fs.promises.rm(file.filepath, { force: true });
+  }
+}
+
+/** ---------- References / cleanup ---------- */
+
+// Every media URL a user's own docs point at (user image + both profile types).
+async function mediaUrlsOf(userId) {
+  const [user, contractor, subcontractor] = await Promise.all([
+    User.findById(userId).select("image").lean(),
+    ContractorProfile.findOne({ userId })
+      .select("profilePhotoUrl portfolio certificates documents")
+      .lean(),
+    SubContractorProfile.findOne({ userId })
+      .select(
+        "profilePhotoUrl portfolio experience certificates documents insurance"
+      )
+      .lean(),
+  ]);
+
+  const urls = [user?.image?.url];
+  for (const p of [contractor, subcontractor]) {
+    if (!p) continue;
+    urls.push(
+      p.profilePhotoUrl,
+      p.insurance?.fileUrl,
+      ...(p.portfolio || []).map((i) => i.url),
+      ...(p.experience || []).flatMap((e) => e.images || []).map((i) => i.url),
+      ...(p.certificates || []).map((c) => c.fileUrl),
+      ...(p.documents || [])
+    );
+  }
+  return urls.filter(Boolean);
+}
+
+// Ids of the user's uploads still in use.
+export async function referencedUploadIds(userId) {
+  const ids = new Set();
+  for (const url of await mediaUrlsOf(userId)) {
+    const id = uploadIdFromUrl(url);
+    if (id) ids.add(id);
+  }
+  return ids;
+}
+
+export async function deleteUpload(upload) {
+  const adapter = storageAdapter(upload.storage);
+  for (const key of [
+    upload.storageKey,
+    ...(upload.variants || []).map((v) => v.storageKey),
+  ])
+    await adapter.remove(key);
+  await upload.deleteOne();
+}
+
+// Removes every file of a user (account purge).
+export async function deleteUploadsOf(userId) {
+  for await (const upload of Upload.find({ ownerId: userId }).cursor())
+    await deleteUpload(upload);
+}
+
+// Deletes files older than the grace period that their owner no longer references.
+// → number of files removed
+export async function cleanupOrphanUploads(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() - uploadConfig().orphanGraceHours * 60 * 60 * 1000
+  );
+  const owners = await Upload.distinct("ownerId", {
+    createdAt: { $lt: cutoff },
+  });
+
+  let removed = 0;
+  for (const ownerId of owners) {
+    const inUse = await referencedUploadIds(ownerId);
+    const candidates = await Upload.find({
+      ownerId,
+      createdAt: { $lt: cutoff },
+    });
+    for (const upload of candidates) {
+      if (inUse.has(String(upload._id))) continue;
+      await deleteUpload(upload);
+      removed++;
+    }
+  }
+  return removed;
+}
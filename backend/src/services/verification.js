@@ -0,0 +1,194 @@
+// services/verification.js
+// Page purpose: Certificate verification workflow shared by the owner routes
+// (contractors / subcontractors: "submit for review") and the admin queue (approve / reject).
+// The certificate's verified + verificationStatus are the live state; VerificationRequest keeps
+// the snapshot and decision history. Badges follow automatically (utils/badges.js on save).
+
+import ContractorProfile from "../models/ContractorProfile.js";
+import SubContractorProfile from "../models/SubContractorProfile.js";
+import VerificationRequest from "../models/VerificationRequest.js";
+import User from "../models/User.js";
+import { sendMail, appUrl } from "./mailer.js";
+
+const PROFILE_MODELS = {
+  contractor: ContractorProfile,
+  subcontractor: SubContractorProfile,
+};
+
+// Error with an HTTP status, picked up by the global error handler in index.js.
+const httpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+const SNAPSHOT_FIELDS = [
+  "title",
+  "authority",
+  "credentialId",
+  "issueDate",
+  "expiryDate",
+  "fileUrl",
+  "authorityUrl",
+];
+
+/** ---------- Owner ---------- */
+
+// Blank ("" / null / missing) compares equal; dates by instant.
+const sameValue = (a, b) => {
+  const norm = (v) =>
+    v == null || v === "" ? "" : v instanceof Date ? v.getTime() : String(v);
+  return norm(a) === norm(b);
+};
+
+// Has the certificate changed since `before` (a stored certificate or a request snapshot)?
+const snapshotChanged = (before, after) =>
+  SNAPSHOT_FIELDS.some((f) => !sameValue(before[f], after[f]));
+
+/**
+ * Certificate list from a profile PUT/PATCH, matched against the stored one by _id.
+ * Unchanged items keep their verification and registry state; edited items are reset the
+ * same way as PUT .../me/certificates/:itemId; items without a known _id are new.
+ */
+export function mergeCertificates(current, incoming) {
+  return incoming.map(({ _id, ...fields }) => {
+    const kept = _id && current.id(_id);
+    if (!kept) return fields;
+    return snapshotChanged(kept, fields)
+      ? {
+          ...fields,
+          _id: kept._id,
+          verified: false,
+          verificationStatus: "none",
+        }
+      : { ...kept.toObject(), ...fields };
+  });
+}
+
+/** Ids of stored certificates that a merged list removes or edits. */
+export function changedCertificateIds(current, merged) {
+  return current
+    .filter((cert) => {
+      const kept = merged.find(
+        (m) => m._id && String(m._id) === String(cert._id)
+      );
+      return !kept || snapshotChanged(cert, kept);
+    })
+    .map((cert) => cert._id);
+}
+
+/**
+ * Closes the open requests of certificates that were edited, removed or resubmitted, so an
+ * admin can't approve a snapshot that no longer matches the certificate.
+ */
+export async function cancelPendingVerifications(certificateIds, reason) {
+  if (!certificateIds.length) return;
+  await VerificationRequest.updateMany(
+    { certificateId: { $in: certificateIds }, status: "pending" },
+    {
+      $set: { status: "cancelled" },
+      $push: { history: { status: "cancelled", reason, at: new Date() } },
+    }
+  );
+}
+
+// Queues one of the profile's certificates for admin review. Throws 4xx errors on bad state.
+export async function submitCertificateVerification(
+  profile,
+  profileType,
+  certificateId
+) {
+  const cert = profile.certificates.id(certificateId);
+  if (!cert) throw httpError(404, "Certificate not found");
+  if (cert.verified) throw httpError(400, "Certificate is already verified");
+  if (cert.verificationStatus === "pending")
+    throw httpError(409, "Certificate is already waiting for review");
+  if (!cert.fileUrl)
+    throw httpError(400, "Upload the certificate document before submitting");
+  if (cert.expiryDate && cert.expiryDate <= Date.now())
+    throw httpError(400, "Certificate has expired");
+
+  cert.verificationStatus = "pending";
+  await profile.save();
+  await cancelPendingVerifications([cert._id], "Resubmitted for review");
+
+  return VerificationRequest.create({
+    userId: profile.userId,
+    profileType,
+    profileId: profile._id,
+    certificateId: cert._id,
+    certificate: Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, cert[f]])),
+    history: [{ status: "pending", reason: "Submitted for review" }],
+  });
+}
+
+/** ---------- Admin ---------- */
+
+async function notifyOwner(request) {
+  const userId = request.userId?._id ?? request.userId; // may be populated
+  const user = await User.findOne({ _id: userId, deletedAt: null })
+    .select("email name")
+    .lean();
+  if (!user) return;
+
+  const approved = request.status === "approved";
+  const last = request.history[request.history.length - 1];
+  try {
+    await sendMail({
+      to: user.email,
+      subject: approved
+        ? "Your certificate has been verified"
+        : "Your certificate could not be verified",
+      text: `Hi ${user.name?.first || ""},\n\n"${request.certificate.title}" was ${approved ? "approved" : "rejected"} by our team.${last?.reason ? `\nNote: ${last.reason}` : ""}\n\n${appUrl("/my-profile")}`,
+    });
+  } catch (mailErr) {
+    console.error("❌ Verification result email failed:", mailErr.message);
+  }
+}
+
+/**
+ * Approves or rejects a pending request. → { request, cancelled }
+ * cancelled = the certificate was edited or removed after submission (its status is no longer
+ * "pending", or it no longer matches the snapshot): the request is closed as "cancelled" and
+ * the certificate is left untouched.
+ */
+export async function decideVerification(
+  request,
+  { approve, reason, adminId }
+) {
+  const Model = PROFILE_MODELS[request.profileType];
+  const profile = await Model.findById(request.profileId);
+  const cert = profile?.certificates.id(request.certificateId);
+  const now = new Date();
+
+  if (
+    !cert ||
+    cert.verificationStatus !== "pending" ||
+    snapshotChanged(request.certificate, cert)
+  ) {
+    request.status = "cancelled";
+    request.history.push({
+      status: "cancelled",
+      by: adminId,
+      reason: "Certificate changed or removed after submission",
+      at: now,
+    });
+    await request.save();
+    return { request, cancelled: true };
+  }
+
+  cert.verified = approve;
+  cert.verificationStatus = approve ? "approved" : "rejected";
+  await profile.save();
+
+  request.status = approve ? "approved" : "rejected";
+  request.reviewedBy = adminId;
+  request.reviewedAt = now;
+  request.history.push({
+    status: request.status,
+    by: adminId,
+    reason,
+    at: now,
+  });
+  await request.save();
+
+  await notifyOwner(request);
+  return { request, cancelled: false };
+}
@@ -0,0 +1,265 @@
+// utils/availability.js
+// Page purpose: Subcontractor availability calendar. A profile describes when it is free with
+// - availability:            one-off free slots { from, to }
+// - availabilityRules:       weekly patterns { weekdays, startTime, endTime, validFrom?, validUntil? }
+//                            in the profile's availabilityTimeZone (e.g. Sun–Thu 08:00–17:00)
+// - availabilityExceptions:  busy blocks / time off { from, to } that override both
+// and, with observeHolidays, skips rule occurrences on public holidays (config/holidays.js).
+// expandAvailability() turns that into concrete free intervals; availabilityConflicts()
+// reports overlapping or contradictory entries so writes can be rejected.
+
+import {
+  HOLIDAYS,
+  DEFAULT_HOLIDAY_CALENDAR,
+  DEFAULT_TIME_ZONE,
+} from "../config/holidays.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MIN = 7 * 24 * 60;
+
+/** ---------- Time zone helpers ---------- */
+
+const partsIn = (date, timeZone) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, Number(p.value)])
+  );
+
+// Milliseconds the zone is ahead of UTC at that instant (DST aware).
+function zoneOffset(date, timeZone) {
+  const p = partsIn(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2026-11-01" + "08:00" in timeZone → Date (UTC instant)
+export function zonedTime(day, time, timeZone) {
+  const [y, m, d] = day.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  const guess = wall - zoneOffset(new Date(wall), timeZone);
+  // Second pass settles instants right next to a DST switch
+  return new Date(wall - zoneOffset(new Date(guess), timeZone));
+}
+
+// Date → "YYYY-MM-DD" as seen in timeZone
+export const localDay = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+export const addDays = (day, n) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+export const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** ---------- Interval helpers ---------- */
+
+const minutesOf = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// Overnight rules (endTime <= startTime) end on the next day.
+const ruleSpan = (rule) => {
+  const start = minutesOf(rule.startTime);
+  let end = minutesOf(rule.endTime);
+  if (end <= start) end += 24 * 60;
+  return [start, end];
+};
+
+const overlaps = (a, b) => a.from < b.to && b.from < a.to;
+
+// Sorted, merged copy (touching intervals are joined).
+function merge(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.from - b.from);
+  const out = [];
+  for (const i of sorted) {
+    const last = out[out.length - 1];
+    if (last && i.from <= last.to) {
+      if (i.to > last.to) last.to = i.to;
+    } else out.push({ from: i.from, to: i.to });
+  }
+  return out;
+}
+
+// `free` minus every `busy` interval (both merged).
+function subtract(free, busy) {
+  const out = [];
+  for (const f of free) {
+    let pieces = [f];
+    for (const b of busy) {
+      pieces = pieces.flatMap((p) => {
+        if (!overlaps(p, b)) return [p];
+        const rest = [];
+        if (p.from < b.from) rest.push({ from: p.from, to: b.from });
+        if (b.to < p.to) rest.push({ from: b.to, to: p.to });
+        return rest;
+      });
+    }
+    out.push(...pieces);
+  }
+  return out;
+}
+
+const toInterval = (item) => ({
+  from: new Date(item.from).getTime(),
+  to: new Date(item.to).getTime(),
+});
+
+/** ---------- Expansion ---------- */
+
+const zoneOf = (profile) => profile.availabilityTimeZone || DEFAULT_TIME_ZONE;
+
+// Concrete occurrences of the weekly rules that touch [from, to).
+function ruleOccurrences(profile, from, to) {
+  const timeZone = zoneOf(profile);
+  const holidays = profile.observeHolidays
+    ? HOLIDAYS[DEFAULT_HOLIDAY_CALENDAR] || {}
+    : {};
+  const rules = profile.availabilityRules || [];
+  const out = [];
+
+  // Start a day early: yesterday's overnight rule may run into `from`
+  const last = localDay(new Date(to), timeZone);
+  for (
+    let day = addDays(localDay(new Date(from), timeZone), -1);
+    day <= last;
+    day = addDays(day, 1)
+  ) {
+    if (holidays[day]) continue;
+    const weekday = weekdayOf(day);
+
+    for (const rule of rules) {
+      if (!rule.weekdays.includes(weekday)) continue;
+      if (rule.validFrom && day < localDay(rule.validFrom, timeZone)) continue;
+      if (rule.validUntil && day > localDay(rule.validUntil, timeZone))
+        continue;
+
+      const [, end] = ruleSpan(rule);
+      const endDay = end > 24 * 60 ? addDays(day, 1) : day;
+      out.push({
+        from: zonedTime(day, rule.startTime, timeZone).getTime(),
+        to: zonedTime(endDay, rule.endTime, timeZone).getTime(),
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Free time between `from` and `to` (Dates) → [{ from: Date, to: Date }], sorted and merged:
+ * (rule occurrences ∪ one-off slots) − exceptions, clipped to the window.
+ */
+export function expandAvailability(profile, from, to) {
+  const window = { from: from.getTime(), to: to.getTime() };
+
+  const free = merge([
+    ...ruleOccurrences(profile, window.from, window.to),
+    ...(profile.availability || []).map(toInterval),
+  ]);
+  const busy = merge((profile.availabilityExceptions || []).map(toInterval));
+
+  return subtract(free, busy)
+    .filter((i) => overlaps(i, window))
+    .map((i) => ({
+      from: new Date(Math.max(i.from, window.from)),
+      to: new Date(Math.min(i.to, window.to)),
+    }));
+}
+
+/** ---------- Conflicts ---------- */
+
+const describeSlot = (s) =>
+  `${new Date(s.from).toISOString()} – ${new Date(s.to).toISOString()}`;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const describeRule = (r) =>
+  `${r.weekdays.map((d) => WEEKDAYS[d]).join("/")} ${r.startTime}–${r.endTime}`;
+
+// Week-minute ranges a rule covers ([start, end) measured from Sunday 00:00).
+const weekRanges = (rule) => {
+  const [start, end] = ruleSpan(rule);
+  return rule.weekdays.map((d) => [d * 1440 + start, d * 1440 + end]);
+};
+
+function rangesOverlap(a, b) {
+  // Shift by a week so a Saturday-night rule is compared with Sunday morning too
+  return a.some(([s1, e1]) =>
+    b.some(([s2, e2]) =>
+      [-WEEK_MIN, 0, WEEK_MIN].some(
+        (shift) => s1 < e2 + shift && s2 + shift < e1
+      )
+    )
+  );
+}
+
+const periodsOverlap = (a, b) =>
+  (!a.validUntil || !b.validFrom || b.validFrom <= a.validUntil) &&
+  (!b.validUntil || !a.validFrom || a.validFrom <= b.validUntil);
+
+/**
+ * → [message] — empty when the calendar is consistent:
+ * - one-off slots overlapping each other
+ * - weekly rules covering the same hours during overlapping validity periods
+ * - one-off slots inside time off (free and busy at once)
+ */
+export function availabilityConflicts(profile) {
+  const conflicts = [];
+  const slots = [...(profile.availability || [])].sort(
+    (a, b) => new Date(a.from) - new Date(b.from)
+  );
+  const rules = profile.availabilityRules || [];
+  const busy = profile.availabilityExceptions || [];
+
+  for (let i = 0; i < slots.length; i++)
+    for (let j = i + 1; j < slots.length; j++)
+      if (overlaps(toInterval(slots[i]), toInterval(slots[j])))
+        conflicts.push(
+          `Slot ${describeSlot(slots[i])} overlaps slot ${describeSlot(slots[j])}`
+        );
+
+  for (let i = 0; i < rules.length; i++)
+    for (let j = i + 1; j < rules.length; j++)
+      if (
+        periodsOverlap(rules[i], rules[j]) &&
+        rangesOverlap(weekRanges(rules[i]), weekRanges(rules[j]))
+      )
+        conflicts.push(
+          `Weekly rule ${describeRule(rules[i])} overlaps ${describeRule(rules[j])}`
+        );
+
+  for (const slot of slots)
+    for (const off of busy)
+      if (overlaps(toInterval(slot), toInterval(off)))
+        conflicts.push(
+          `Slot ${describeSlot(slot)} falls inside time off ${describeSlot(off)}`
+        );
+
+  return conflicts;
+}
@@ -0,0 +1,75 @@
+// utils/badges.js
+// Page purpose: Derives a profile's trust badge from its credentials. Never set by hand:
+// models recompute it in a pre-save hook, so approvals (admin verification queue), registry
+// checks and lapses (expiry monitor) all take effect on the next save.
+// Levels, lowest to highest:
+// - self-declared:      nothing checked yet (default)
+// - document-reviewed:  an admin approved at least one certificate that hasn't expired
+// - registry-checked:   a certificate's licence was confirmed against an official registry
+//                       (registryCheck: active, registered name matches, not expired).
+//                       A partial name match ("Cohen" vs "Moshe Cohen Electric Ltd") isn't
+//                       enough; such certificates can still go through the admin queue.
+// isVerified = any level above self-declared, unless the work insurance has lapsed.
+// registryCheckedAt = when the newest passing registry check ran (unset when none passes).
+
+import { bestNameMatch } from "./nameMatch.js";
+
+export const BADGE_LEVELS = [
+  "self-declared",
+  "document-reviewed",
+  "registry-checked",
+];
+
+const notExpired = (date, now) => !date || new Date(date) > now;
+
+const registryPassed = (rc, now) =>
+  rc?.status === "active" &&
+  rc.nameMatch === "match" &&
+  notExpired(rc.expiryDate, now);
+
+export function badgeFor(profile, now = new Date()) {
+  const certificates = profile.certificates || [];
+  const stillValid = (c) => c.verified && notExpired(c.expiryDate, now);
+  const ins = profile.insurance;
+  const insuranceLapsed =
+    !!ins?.hasWorkInsurance &&
+    !!ins.expiryDate &&
+    new Date(ins.expiryDate) <= now;
+
+  const checkedAt = certificates
+    .filter((c) => registryPassed(c.registryCheck, now))
+    .map((c) => new Date(c.registryCheck.checkedAt))
+    .sort((a, b) => b - a)[0];
+
+  let badgeLevel = "self-declared";
+  if (checkedAt) badgeLevel = "registry-checked";
+  else if (certificates.some(stillValid)) badgeLevel = "document-reviewed";
+
+  return {
+    badgeLevel,
+    isVerified: badgeLevel !== "self-declared" && !insuranceLapsed,
+    registryCheckedAt: checkedAt,
+  };
+}
+
+// Re-compares every registry check's registered name with the profile's current names,
+// so renaming a profile after a passing check can't keep the badge.
+export function rematchRegistryNames(profile) {
+  for (const cert of profile.certificates || []) {
+    const rc = cert.registryCheck;
+    if (!rc?.registeredName) continue;
+    rc.nameMatch = bestNameMatch(rc.registeredName, [
+      profile.displayName,
+      profile.companyName,
+    ]);
+  }
+}
+
+// Registers the pre-save hook that keeps badgeLevel / isVerified / registryCheckedAt in sync.
+export function trackBadge(schema) {
+  schema.pre("save", function () {
+    if (this.isModified("displayName") || this.isModified("companyName"))
+      rematchRegistryNames(this);
+    Object.assign(this, badgeFor(this));
+  });
+}
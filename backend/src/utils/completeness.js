@@ -0,0 +1,59 @@
+// utils/completeness.js
+// Page purpose: Profile completeness engine. Scores a profile (plain object or Mongoose doc)
+// against the per-role weights in config/completeness.js and lists what's missing,
+// biggest gain first. Models call it from a pre-save hook, so `completeness` is always fresh.
+
+import { COMPLETENESS_WEIGHTS } from "../config/completeness.js";
+
+const filled = (v) => typeof v === "string" && v.trim().length > 0;
+const nonEmpty = (list) => Array.isArray(list) && list.length > 0;
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+// One predicate per config key: true = item done.
+const CHECKS = {
+  photo: (p) => filled(p.profilePhotoUrl),
+  trade: (p) => filled(p.primaryTrade),
+  address: (p) => filled(p.address?.city) && filled(p.address?.street),
+  certificates: (p) => nonEmpty(p.certificates),
+  portfolio: (p) => nonEmpty(p.portfolio),
+  contact: (p) => filled(p.contact?.phone) && filled(p.contact?.email),
+  company: (p) => filled(p.companyName) && filled(p.companyNumber),
+  // A weekly rule, or a one-off slot that hasn't ended yet
+  availability: (p) =>
+    nonEmpty(p.availabilityRules) ||
+    (nonEmpty(p.availability) &&
+      p.availability.some((s) => new Date(s.to) > new Date())),
+  rates: (p) => isNumber(p.dayRate) || isNumber(p.hourRate),
+  insurance: (p) =>
+    !!p.insurance?.hasWorkInsurance &&
+    (!p.insurance.expiryDate || new Date(p.insurance.expiryDate) > new Date()),
+  bio: (p) => filled(p.shortBio),
+};
+
+/**
+ * → { score: 0-100, missing: [{ key, label, weight }] } (missing sorted by weight desc)
+ * `role` picks the weight table ("contractor" | "subcontractor"); a null profile scores 0.
+ */
+export function computeCompleteness(profile, role) {
+  const items = COMPLETENESS_WEIGHTS[role] || [];
+  const total = items.reduce((sum, i) => sum + i.weight, 0);
+  if (!total) return { score: 0, missing: [] };
+
+  const missing = items.filter((i) => !profile || !CHECKS[i.key]?.(profile));
+  const achieved = total - missing.reduce((sum, i) => sum + i.weight, 0);
+
+  return {
+    score: Math.round((achieved / total) * 100),
+    // stable sort keeps config order for equal weights
+    missing: missing
+      .map(({ key, label, weight }) => ({ key, label, weight }))
+      .sort((a, b) => b.weight - a.weight),
+  };
+}
+
+// Registers the pre-save hook that keeps `completeness` in sync on a profile schema.
+export function trackCompleteness(schema, role) {
+  schema.pre("save", function () {
+    this.completeness = computeCompleteness(this, role).score;
+  });
+}
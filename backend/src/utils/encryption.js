@@ -0,0 +1,32 @@
+// utils/encryption.js
+// Page purpose: Symmetric encryption for secrets we must be able to read back
+// (e.g. TOTP seeds — unlike passwords/tokens they can't be stored as one-way hashes).
+// AES-256-GCM; key from ENCRYPTION_KEY, falling back to a hash of JWT_SECRET in dev.
+
+import crypto from "crypto";
+
+// Read lazily: dotenv loads after imports in index.js.
+const key = () =>
+  crypto
+    .createHash("sha256")
+    .update(String(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET))
+    .digest();
+
+// → "iv.tag.ciphertext" (base64 parts)
+export function encrypt(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv);
+  const data = Buffer.concat([cipher.update(String(plain)), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64"))
+    .join(".");
+}
+
+export function decrypt(payload) {
+  const [iv, tag, data] = String(payload)
+    .split(".")
+    .map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString();
+}
@@ -0,0 +1,38 @@
+// utils/fileSniff.js
+// Page purpose: Detects a file's real type from its first bytes ("magic numbers"), so an
+// upload is judged by its content — never by the client's Content-Type or file extension.
+
+const SIGNATURES = [
+  { mime: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mime: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mime: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mime: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  // RIFF....WEBP
+  { mime: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46], at8: "WEBP" },
+];
+
+// How many leading bytes sniffMime needs.
+export const SNIFF_BYTES = 16;
+
+// → MIME type, or null when the content matches nothing we know.
+export function sniffMime(head) {
+  const match = SIGNATURES.find(
+    ({ bytes, at8 }) =>
+      head.length >= bytes.length &&
+      bytes.every((b, i) => head[i] === b) &&
+      (!at8 || head.subarray(8, 12).toString("latin1") === at8)
+  );
+  return match?.mime ?? null;
+}
+
+export const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif", // image variants only (never accepted as an upload)
+  "application/pdf": "pdf",
+};
@@ -0,0 +1,223 @@
+// utils/ical.js
+// Page purpose: Minimal iCalendar (RFC 5545) writer and reader for availability sync
+// (services/availabilityCalendar.js). Writes VEVENTs in UTC, or in a TZID for weekly
+// RRULE events; reads the VEVENTs calendar apps export (Google, Outlook, Apple):
+// folded lines, escaped text, UTC / TZID / floating / all-day dates, DTEND or DURATION.
+
+import { zonedTime, isValidTimeZone, addDays } from "./availability.js";
+
+const PRODUCT_ID = "-//BuildLink//Availability//EN";
+
+/** ---------- Writing ---------- */
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space.
+function fold(line) {
+  const out = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > 75) {
+      out.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+// Date → 20261101T060000Z
+export const utcStamp = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// "2026-11-01" + "08:00" → 20261101T080000 (local time, used with TZID)
+export const localStamp = (day, time) =>
+  `${day.replace(/-/g, "")}T${time.replace(":", "")}00`;
+
+// value: a Date (written in UTC) or { local, timeZone } (written with TZID)
+const dateLine = (name, value) =>
+  value instanceof Date
+    ? `${name}:${utcStamp(value)}`
+    : `${name};TZID=${value.timeZone}:${value.local}`;
+
+/**
+ * events: [{ uid, start, end, summary, description?, busy?, rrule?, exdates? }]
+ * start/end/exdates[] are Dates or { local, timeZone }; rrule is the RRULE value.
+ * → text/calendar body (CRLF line endings)
+ */
+export function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${utcStamp(now)}`,
+      dateLine("DTSTART", e.start),
+      dateLine("DTEND", e.end)
+    );
+    if (e.rrule) lines.push(`RRULE:${e.rrule}`);
+    for (const exdate of e.exdates || [])
+      lines.push(dateLine("EXDATE", exdate));
+    lines.push(`SUMMARY:${escapeText(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    lines.push(`TRANSP:${e.busy ? "OPAQUE" : "TRANSPARENT"}`, "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/** ---------- Reading ---------- */
+
+const unescapeText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// NAME;PARAM=a;PARAM="b:c":value → { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0)
+      params[p.slice(0, eq).toUpperCase()] = p
+        .slice(eq + 1)
+        .replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * DTSTART/DTEND value → { date, allDay, day? } or null when unreadable (day: all-day only).
+ * Floating times, and TZIDs that aren't IANA names (Outlook's "Israel Standard Time"),
+ * are read in `timeZone`.
+ */
+function parseDate(value, params, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    value.trim()
+  );
+  if (!m) return null;
+  const [, y, mo, d, hh, mm, ss, utc] = m;
+  const day = `${y}-${mo}-${d}`;
+
+  if (hh === undefined)
+    return { date: zonedTime(day, "00:00", timeZone), allDay: true, day };
+  if (utc)
+    return { date: new Date(`${day}T${hh}:${mm}:${ss}Z`), allDay: false };
+
+  const zone =
+    params.TZID && isValidTimeZone(params.TZID) ? params.TZID : timeZone;
+  const date = zonedTime(day, `${hh}:${mm}`, zone);
+  return { date: new Date(date.getTime() + Number(ss) * 1000), allDay: false };
+}
+
+// P1D, PT1H30M, P1W … → milliseconds (null when unreadable)
+function parseDuration(value) {
+  const m =
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      value.trim()
+    );
+  if (!m) return null;
+  const [, sign, w, d, h, min, s] = m.map((v) => v || 0);
+  const ms =
+    ((Number(w) * 7 + Number(d)) * 86400 +
+      Number(h) * 3600 +
+      Number(min) * 60 +
+      Number(s)) *
+    1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/**
+ * .ics text → [{ uid, summary, description, start, end, allDay, status, recurring }]
+ * start/end are Dates (null when missing or unreadable). `recurring` marks RRULE/RDATE
+ * masters and their RECURRENCE-ID overrides. Components nested in events (VALARM) are skipped.
+ */
+export function parseCalendar(text, { timeZone }) {
+  const lines = String(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "") // unfold
+    .split("\n")
+    .filter(Boolean);
+
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  for (const line of lines) {
+    const { name, params, value } = parseLine(line);
+    if (name === "BEGIN") {
+      stack.push(value.toUpperCase());
+      if (stack.length === 2 && stack[1] === "VEVENT")
+        event = { props: {}, recurring: false };
+      continue;
+    }
+    if (name === "END") {
+      if (stack.length === 2 && event) {
+        events.push(event);
+        event = null;
+      }
+      stack.pop();
+      continue;
+    }
+    if (!event || stack.length !== 2) continue;
+
+    if (["RRULE", "RDATE", "RECURRENCE-ID"].includes(name))
+      event.recurring = true;
+    else event.props[name] ??= { params, value };
+  }
+
+  return events.map(({ props, recurring }) => {
+    const start = props.DTSTART
+      ? parseDate(props.DTSTART.value, props.DTSTART.params, timeZone)
+      : null;
+    let end = props.DTEND
+      ? parseDate(props.DTEND.value, props.DTEND.params, timeZone)?.date
+      : null;
+
+    if (start && !props.DTEND) {
+      const duration = props.DURATION && parseDuration(props.DURATION.value);
+      if (duration != null) end = new Date(start.date.getTime() + duration);
+      else if (start.allDay)
+        // An all-day event without an end lasts that one day
+        end = zonedTime(addDays(start.day, 1), "00:00", timeZone);
+    }
+
+    return {
+      uid: props.UID?.value.trim() || null,
+      summary: props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : "",
+      description: props.DESCRIPTION
+        ? unescapeText(props.DESCRIPTION.value).trim()
+        : "",
+      start: start?.date ?? null,
+      end: end ?? null,
+      allDay: !!start?.allDay,
+      status: props.STATUS?.value.trim().toUpperCase() || null,
+      recurring,
+    };
+  });
+}
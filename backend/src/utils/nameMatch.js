@@ -0,0 +1,41 @@
+// utils/nameMatch.js
+// Page purpose: Loose comparison of a registered (legal) name with a profile name.
+// Case, punctuation, Hebrew geresh/gershayim, word order and company suffixes are ignored:
+// "כהן בנייה בע\"מ" matches "כהן בנייה"; "Levi Construction Ltd" partially matches "Levi".
+
+// Legal-form words that say nothing about who the business is
+const NOISE = new Set(["בעמ", "ltd", "limited", "inc", "llc", "co", "company"]);
+
+export function nameTokens(name) {
+  return String(name || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/["'׳״`]/g, "") // inside abbreviations: בע"מ → בעמ
+    .replace(/[.,\-()&/]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !NOISE.has(t));
+}
+
+/**
+ * → "match" (same words), "partial" (one name contains the other, or most words shared)
+ *   or "mismatch".
+ */
+export function compareNames(a, b) {
+  const ta = new Set(nameTokens(a));
+  const tb = new Set(nameTokens(b));
+  if (!ta.size || !tb.size) return "mismatch";
+
+  const shared = [...ta].filter((t) => tb.has(t)).length;
+  if (shared === ta.size && shared === tb.size) return "match";
+  if (shared === Math.min(ta.size, tb.size)) return "partial";
+  return shared / Math.max(ta.size, tb.size) >= 0.5 ? "partial" : "mismatch";
+}
+
+const RANK = { match: 2, partial: 1, mismatch: 0 };
+
+// Best result against any of several candidate names (e.g. displayName and companyName).
+export const bestNameMatch = (registered, candidates) =>
+  candidates
+    .filter(Boolean)
+    .map((c) => compareNames(registered, c))
+    .reduce((best, m) => (RANK[m] > RANK[best] ? m : best), "mismatch");
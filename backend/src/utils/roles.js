@@ -0,0 +1,51 @@
+// utils/roles.js
+// Page purpose: Single source of truth for roles and what each role may do.
+// Routers never check role names directly; they ask for a named capability
+// (see requirePermission in middleware/authorize.js), so changing who can do what
+// only means editing ROLE_PERMISSIONS below.
+
+export const ROLES = ["worker", "subcontractor", "contractor", "admin"];
+
+/** Named capabilities ("resource:action") */
+export const PERMISSIONS = Object.freeze({
+  CONTRACTOR_PROFILE_WRITE: "contractorProfile:write",
+  SUBCONTRACTOR_PROFILE_WRITE: "subcontractorProfile:write",
+  JOB_CREATE: "job:create",
+  JOB_MANAGE: "job:manage", // edit/close own postings
+  APPLICATION_CREATE: "application:create",
+  APPLICATION_REVIEW: "application:review",
+  TEAM_CREATE: "team:create",
+  PROFILE_VERIFY: "profile:verify", // admin review of certificates/profiles
+  USER_MANAGE: "user:manage", // admin user management
+  ANY_RESOURCE_MANAGE: "resource:manage-any", // bypasses ownership checks
+});
+
+const P = PERMISSIONS;
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  worker: [P.APPLICATION_CREATE],
+  subcontractor: [P.SUBCONTRACTOR_PROFILE_WRITE, P.APPLICATION_CREATE],
+  contractor: [
+    P.CONTRACTOR_PROFILE_WRITE,
+    P.JOB_CREATE,
+    P.JOB_MANAGE,
+    P.APPLICATION_REVIEW,
+    P.TEAM_CREATE,
+  ],
+  admin: Object.values(P), // admins can do everything
+});
+
+// True when `role` grants `permission` (unknown roles grant nothing).
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Registration only asks "business account?" — map it to a role here, nowhere else.
+export const roleForRegistration = (isBusiness) =>
+  isBusiness ? "contractor" : "subcontractor";
+
+// Roles whose accounts may enroll in TOTP 2FA, and for which admins may make it mandatory.
+export const TWO_FACTOR_ROLES = ["contractor", "admin"];
+
+// Business accounts can always opt in, whatever their current role.
+export const canUseTwoFactor = (user) =>
+  !!user?.isBusiness || TWO_FACTOR_ROLES.includes(user?.role);
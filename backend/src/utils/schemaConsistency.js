@@ -0,0 +1,104 @@
+// utils/schemaConsistency.js
+// Page purpose: Compares a Joi object schema with a Mongoose schema, field by field.
+// Both sides are flattened to dotted paths; arrays contribute their item fields under the
+// array's own path (certificates.title), the same way Mongoose names document-array paths.
+// Used by scripts/checkSchemaConsistency.js so a field accepted by a validator but missing
+// from the model (silently dropped on save), or the reverse, fails the check.
+
+// Mongoose bookkeeping that no validator is expected to mention.
+const MONGOOSE_INTERNAL = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+/** ---------- Joi ---------- */
+
+// Returns { fields, serverManaged } — dotted paths of editable fields, and of keys the
+// validator marks Joi.forbidden() or .strip() (server-managed: must exist in the model,
+// not be accepted).
+export function joiFields(schema) {
+  const fields = new Set();
+  const serverManaged = new Set();
+
+  const walk = (desc, prefix) => {
+    if (desc.type === "array") {
+      // Arrays of objects: fields of the item; arrays of scalars: the array itself is a leaf
+      const item = desc.items?.[0];
+      if (item?.type === "object" && item.keys) return walk(item, prefix);
+      return fields.add(prefix);
+    }
+    if (desc.type === "object" && desc.keys) {
+      const entries = Object.entries(desc.keys);
+      // An object with no keys of its own is just a leaf value
+      if (!entries.length && prefix) return fields.add(prefix);
+      for (const [key, child] of entries) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (MONGOOSE_INTERNAL.has(key)) continue; // e.g. item _ids sent back on list updates
+        if (
+          child.flags?.presence === "forbidden" ||
+          child.flags?.result === "strip"
+        )
+          serverManaged.add(path);
+        else walk(child, path);
+      }
+      return;
+    }
+    fields.add(prefix);
+  };
+
+  walk(schema.describe(), "");
+  return { fields, serverManaged };
+}
+
+/** ---------- Mongoose ---------- */
+
+// Dotted leaf paths of a Mongoose schema, descending into single nested and array subdocs.
+export function mongooseFields(schema, prefix = "") {
+  const out = new Set();
+  schema.eachPath((path, type) => {
+    if (MONGOOSE_INTERNAL.has(path) || path.endsWith("._id")) return;
+    const full = prefix ? `${prefix}.${path}` : path;
+    if (type.schema) {
+      for (const sub of mongooseFields(type.schema, full)) out.add(sub);
+    } else {
+      out.add(full);
+    }
+  });
+  return out;
+}
+
+/** ---------- Compare ---------- */
+
+/**
+ * → { missingInModel, missingInValidator, unknownIndexFields } (sorted path lists;
+ *   all empty = consistent)
+ * missingInModel:      accepted by Joi but not stored (silently dropped on save)
+ * missingInValidator:  stored by the model but neither accepted nor marked server-managed
+ * unknownIndexFields:  declared in a model index (text, geo or regular) but not a model field
+ */
+export function compareSchemas(joiSchema, mongooseSchema) {
+  const { fields, serverManaged } = joiFields(joiSchema);
+  const model = mongooseFields(mongooseSchema);
+
+  const missingInModel = [...fields].filter((f) => !model.has(f));
+  const missingInValidator = [...model].filter(
+    (f) =>
+      !fields.has(f) &&
+      // Server-managed object keys cover everything beneath them
+      ![...serverManaged].some((k) => f === k || f.startsWith(`${k}.`))
+  );
+
+  const indexed = mongooseSchema
+    .indexes()
+    .flatMap(([keys]) => Object.keys(keys));
+  const unknownIndexFields = [...new Set(indexed)].filter(
+    (f) =>
+      !model.has(f) &&
+      !MONGOOSE_INTERNAL.has(f) &&
+      // Object-valued paths (e.g. a 2dsphere index on a GeoJSON subdoc) are fields too
+      ![...model].some((m) => m.startsWith(`${f}.`))
+  );
+
+  return {
+    missingInModel: missingInModel.sort(),
+    missingInValidator: missingInValidator.sort(),
+    unknownIndexFields: unknownIndexFields.sort(),
+  };
+}
@@ -0,0 +1,171 @@
+// utils/taxonomy.js
+// Page purpose: Maps free-text trade wording ("חשמלאי", "Electrician", "электрик") to the
+// canonical keys of config/trades.js. Profiles keep what the user typed; on every save
+// trackTradeKeys() derives
+// - primaryTradeKey: the key primaryTrade resolves to (or none)
+// - tradeKeys:       every key found in the trade fields, plus the parent trade of specialties
+// which search filters on (services/profileSearch.js). Also backs /api/taxonomy/trades.
+
+import { TRADES } from "../config/trades.js";
+import { normalizeTerm } from "./text.js";
+
+/** ---------- Index ---------- */
+
+// Flat list of trades and specialties with their searchable wordings.
+const ENTRIES = TRADES.flatMap((trade) =>
+  [trade, ...trade.specialties].map((entry) => ({
+    key: entry.key,
+    parentKey: entry === trade ? null : trade.key,
+    labels: entry.labels,
+    terms: [...Object.values(entry.labels), ...entry.synonyms].map((t) => ({
+      text: t,
+      normalized: normalizeTerm(t),
+    })),
+  }))
+);
+
+const BY_KEY = new Map(ENTRIES.map((e) => [e.key, e]));
+
+export const isTradeKey = (key) => BY_KEY.has(key);
+
+// normalized wording → entry. A wording listed under two keys is a config mistake.
+const BY_TERM = new Map();
+for (const entry of ENTRIES)
+  for (const { normalized } of entry.terms) {
+    const other = BY_TERM.get(normalized);
+    if (other && other !== entry)
+      throw new Error(
+        `config/trades.js: "${normalized}" is listed under both ${other.key} and ${entry.key}`
+      );
+    BY_TERM.set(normalized, entry);
+  }
+
+const MAX_TERM_WORDS = Math.max(
+  ...[...BY_TERM.keys()].map((t) => t.split(" ").length)
+);
+
+/** ---------- Resolving ---------- */
+
+/**
+ * Keys of every wording found in a free-text value, in reading order.
+ * Whole words only; at each position the longest wording wins
+ * ("איטום גגות" → waterproofing.roofs, not waterproofing).
+ */
+export function resolveTerms(text) {
+  const words = normalizeTerm(text).split(" ").filter(Boolean);
+  const keys = [];
+  for (let i = 0; i < words.length; ) {
+    let match = null;
+    for (let n = Math.min(MAX_TERM_WORDS, words.length - i); n > 0; n--) {
+      match = BY_TERM.get(words.slice(i, i + n).join(" "));
+      if (match) {
+        keys.push(match.key);
+        i += n;
+        break;
+      }
+    }
+    if (!match) i++;
+  }
+  return [...new Set(keys)];
+}
+
+// Main key of a value ("Licensed electrician, lighting" → electrical), or null.
+export const resolveTerm = (text) =>
+  BY_TERM.get(normalizeTerm(text))?.key ?? resolveTerms(text)[0] ?? null;
+
+// Key plus its parent trade (specialty "electrical.solar" → also "electrical").
+const withParent = (key) => {
+  const parent = BY_KEY.get(key)?.parentKey;
+  return parent ? [key, parent] : [key];
+};
+
+/**
+ * Derived keys for a profile (or plain object) from its trade fields.
+ * fields: the free-text fields to read, primaryTrade first.
+ * → { primaryTradeKey, tradeKeys }
+ */
+export function tradeKeysOf(profile, fields) {
+  const primaryTradeKey = resolveTerm(profile.primaryTrade) ?? undefined;
+  const keys = new Set(primaryTradeKey ? withParent(primaryTradeKey) : []);
+  for (const field of fields) {
+    const values = [profile[field]].flat().filter(Boolean);
+    for (const value of values)
+      for (const key of resolveTerms(value))
+        withParent(key).forEach((k) => keys.add(k));
+  }
+  return { primaryTradeKey, tradeKeys: [...keys].sort() };
+}
+
+// Pre-save hook: keeps primaryTradeKey / tradeKeys in sync with the user's wording.
+export function trackTradeKeys(schema, fields) {
+  schema.pre("save", function () {
+    Object.assign(this, tradeKeysOf(this, fields));
+  });
+}
+
+/** ---------- Labels / autocomplete ---------- */
+
+export const tradeLabel = (key, lang = "en") => {
+  const entry = BY_KEY.get(key);
+  return entry ? entry.labels[lang] || entry.labels.en : null;
+};
+
+// Whole taxonomy in one language: [{ key, label, labels, specialties: [{ key, label, labels }] }]
+export const tradeTree = (lang = "en") =>
+  TRADES.map((trade) => ({
+    key: trade.key,
+    label: tradeLabel(trade.key, lang),
+    labels: trade.labels,
+    specialties: trade.specialties.map((s) => ({
+      key: s.key,
+      label: tradeLabel(s.key, lang),
+      labels: s.labels,
+    })),
+  }));
+
+// 3 = exact, 2 = starts with the query, 1 = a later word starts with it, 0 = no match
+const matchScore = (normalized, query) => {
+  if (normalized === query) return 3;
+  if (normalized.startsWith(query)) return 2;
+  if (normalized.includes(` ${query}`)) return 1;
+  return 0;
+};
+
+/**
+ * Autocomplete in any of the languages, labels in `lang`. Trades rank before specialties
+ * on equal scores. → [{ key, label, parentKey, parentLabel, matched }]
+ * (matched = the wording that matched, e.g. "חשמלאי" for electrical)
+ */
+export function suggestTrades(query, { lang = "en", limit = 10 } = {}) {
+  const q = normalizeTerm(query);
+  if (!q) return [];
+
+  const hits = [];
+  for (const entry of ENTRIES) {
+    let best = { score: 0 };
+    for (const term of entry.terms) {
+      const score = matchScore(term.normalized, q);
+      if (score > best.score) best = { score, matched: term.text };
+    }
+    if (best.score) hits.push({ entry, ...best });
+  }
+
+  return hits
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        !!a.entry.parentKey - !!b.entry.parentKey ||
+        tradeLabel(a.entry.key, lang).localeCompare(
+          tradeLabel(b.entry.key, lang),
+          lang
+        )
+    )
+    .slice(0, limit)
+    .map(({ entry, matched }) => ({
+      key: entry.key,
+      label: tradeLabel(entry.key, lang),
+      parentKey: entry.parentKey,
+      parentLabel: entry.parentKey ? tradeLabel(entry.parentKey, lang) : null,
+      matched,
+    }));
+}
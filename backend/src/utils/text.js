@@ -0,0 +1,14 @@
+// utils/text.js
+// Page purpose: Normalization for matching user wording against our own lists in any of the
+// site's languages — trade taxonomy (utils/taxonomy.js), localities (services/geocoderAdapters).
+
+// Lowercase, no niqqud / tashkeel / accents / punctuation: "  חַשְׁמַלַּאי!" → "חשמלאי"
+export const normalizeTerm = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "") // combining marks (also turns أ/إ/آ into ا, ё into е)
+    .toLowerCase()
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
@@ -0,0 +1,20 @@
+// utils/tokens.js
+// Page purpose: Opaque random tokens (refresh, reset, verification) and their hashes.
+// Only the hash is ever stored in the DB; the raw token goes to the client once.
+
+import crypto from "crypto";
+
+// 32 random bytes -> 64 hex chars (plenty of entropy, URL safe).
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// Tokens are high-entropy, so a fast SHA-256 is enough (no bcrypt needed).
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Constant-time compare of two hex hashes (avoids timing leaks).
+export const safeEqual = (a, b) => {
+  const ba = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+};
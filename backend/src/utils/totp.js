@@ -0,0 +1,97 @@
+// utils/totp.js
+// Page purpose: Minimal RFC 6238 TOTP (SHA-1, 6 digits, 30s) compatible with
+// Google Authenticator / Authy / 1Password, plus base32 + otpauth:// helpers.
+// Implemented on node:crypto to avoid another dependency.
+
+import crypto from "crypto";
+
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/** ---------- Base32 (RFC 4648, no padding) ---------- */
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str)
+    .toUpperCase()
+    .replace(/=+$|\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** ---------- HOTP / TOTP ---------- */
+
+// 20 random bytes = 160-bit secret (RFC 4226 recommendation), base32 encoded.
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+const stepAt = (ms) => Math.floor(ms / 1000 / STEP_SECONDS);
+
+export const totpCode = (secret, ms = Date.now()) =>
+  hotp(base32Decode(secret), stepAt(ms));
+
+/**
+ * Checks a 6-digit code against the current step ± `window` steps (clock drift).
+ * Returns the matched time step, or null. Steps ≤ lastStep are refused so a
+ * code can't be replayed within its validity window.
+ */
+export function verifyTotp(secret, code, { window = 1, lastStep = -1 } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const key = base32Decode(secret);
+  const now = stepAt(Date.now());
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= lastStep) continue;
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+// URI rendered as a QR code by the frontend / typed into an authenticator app.
+export const otpauthUri = ({ secret, label, issuer = "BuildLink" }) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?` +
+  new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  }).toString();
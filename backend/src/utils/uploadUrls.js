@@ -0,0 +1,18 @@
+// utils/uploadUrls.js
+// Page purpose: Public URLs of uploaded files and their image variants, and the reverse
+// (which upload a stored URL points at). Shared by services/uploads.js and the profile
+// models' image-variant hook, so it must stay free of model/service imports.
+
+import { apiUrl } from "../config/urls.js";
+
+// `<API_PUBLIC_URL>/api/uploads/:id` (+ `/variants/:name`)
+export const fileUrl = (upload) => apiUrl(`/api/uploads/${upload._id}`);
+
+export const variantUrl = (upload, name) =>
+  `${fileUrl(upload)}/variants/${name}`;
+
+const UPLOAD_ID_IN_URL = /\/api\/uploads\/([a-f0-9]{24})(?:[/?#]|$)/;
+
+// Upload id referenced by a URL, or null for external URLs.
+export const uploadIdFromUrl = (url) =>
+  UPLOAD_ID_IN_URL.exec(String(url || ""))?.[1] ?? null;
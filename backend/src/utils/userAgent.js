@@ -0,0 +1,34 @@
+// utils/userAgent.js
+// Page purpose: Turns a raw User-Agent header into a short device label for the
+// "where am I signed in" list (e.g. "Chrome on Windows", "Safari on iPhone").
+// Deliberately tiny: covers the browsers/OSes our users actually have, no dependency.
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/CriOS\/|Chrome\//, "Chrome"],
+  [/FxiOS\/|Firefox\//, "Firefox"],
+  [/Version\/.*Safari\//, "Safari"],
+  [/PostmanRuntime\//, "Postman"],
+  [/okhttp|Dart|axios|node-fetch|curl/i, "API client"],
+];
+
+const SYSTEMS = [
+  [/iPhone/, "iPhone"],
+  [/iPad/, "iPad"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+const match = (ua, table) => table.find(([rx]) => rx.test(ua))?.[1];
+
+export function describeUserAgent(ua = "") {
+  const browser = match(ua, BROWSERS);
+  const os = match(ua, SYSTEMS);
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+}
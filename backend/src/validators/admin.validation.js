@@ -0,0 +1,71 @@
+// validators/admin.validation.js
+// Page purpose: Joi schemas for admin endpoints (/api/admin/*).
+// Every state-changing admin action requires a human-readable reason for the audit log.
+
+import Joi from "joi";
+import { ROLES, TWO_FACTOR_ROLES } from "../utils/roles.js";
+import { LOGIN_OUTCOMES } from "../models/LoginAttempt.js";
+
+const objectId = Joi.string().hex().length(24);
+
+const reason = Joi.string().trim().min(3).max(500).required().messages({
+  "string.min": "Reason must be at least 3 characters",
+  "any.required": "A reason is required for admin actions",
+});
+
+/** GET /api/admin/users — paginated search */
+export const listUsersQuerySchema = Joi.object({
+  q: Joi.string().trim().max(100).allow(""), // name / email / phone
+  role: Joi.string().valid(...ROLES),
+  status: Joi.string().valid("active", "locked", "suspended", "deleted"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/** GET /api/admin/audit-logs */
+export const listAuditLogsQuerySchema = Joi.object({
+  actorId: objectId,
+  targetId: objectId,
+  action: Joi.string().trim().max(60),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+/** GET /api/admin/login-attempts */
+export const listLoginAttemptsQuerySchema = Joi.object({
+  userId: objectId,
+  email: Joi.string().trim().lowercase().max(256),
+  ip: Joi.string().trim().max(64),
+  outcome: Joi.string().valid(...LOGIN_OUTCOMES),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+export const changeRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLES)
+    .required(),
+  reason,
+});
+
+export const lockUserSchema = Joi.object({
+  // How long the admin lock lasts (default 24h); POST /users/:id/unlock ends it early
+  minutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(60 * 24 * 365)
+    .default(60 * 24),
+  reason,
+});
+
+// unlock / suspend / unsuspend / delete / restore
+export const reasonOnlySchema = Joi.object({ reason });
+
+/** PATCH /api/admin/settings/security */
+export const securitySettingsSchema = Joi.object({
+  require2FARoles: Joi.array()
+    .items(Joi.string().valid(...TWO_FACTOR_ROLES))
+    .unique()
+    .required(),
+  reason,
+});
@@ -6,7 +6,7 @@
 
 import Joi from "joi";
 
-import { israeliPhonePattern } from "../validators/users.validation";
+import { israeliPhonePattern } from "./users.validation.js";
 
 /* ---------- Helpers ---------- */
 const uri = Joi.string().uri({ scheme: ["http", "https"] });
@@ -66,6 +66,8 @@ const address = Joi.object({
       "any.required": "Zip is required",
     }),
   googleMapsUrl: uri.allow(""),
+  location: Joi.any().strip(), // server-managed (geocoded on save)
+  locationPrecision: Joi.any().strip(), // server-managed (geocoded on save)
 }).required();
 
 const certificate = Joi.object({
@@ -76,7 +78,9 @@ const certificate = Joi.object({
   expiryDate: isoDate.allow(null),
   fileUrl: uri.allow(""),
   authorityUrl: uri.allow(""),
-  verified: Joi.boolean().default(false),
+  verified: Joi.any().strip(), // server-managed: only admin verification sets it
+  verificationStatus: Joi.any().strip(), // server-managed (verification queue)
+  registryCheck: Joi.any().strip(), // server-managed (registry lookup)
 }).custom((val, helpers) => {
   if (val.issueDate && val.expiryDate && val.expiryDate < val.issueDate) {
     return helpers.error("any.invalid", {
@@ -86,9 +90,16 @@ const certificate = Joi.object({
   return val;
 }, "certificate temporal check");
 
+// Profile PUT/PATCH carry the whole list: existing items keep their _id so their
+// verification / registry state survives (services/verification.js mergeCertificates).
+const listedCertificate = certificate.keys({
+  _id: Joi.string().hex().length(24),
+});
+
 const portfolioItem = Joi.object({
   url: uri.required(),
   caption: Joi.string().trim().max(120).allow(""),
+  variants: Joi.any().strip(), // server-managed (resized copies of our uploads)
 });
 
 /* ---------- Main Upsert Schema ---------- */
@@ -99,6 +110,11 @@ export const upsertContractorProfileSchema = Joi.object({
   ratingAvg: Joi.forbidden(),
   ratingCount: Joi.forbidden(),
   isVerified: Joi.forbidden(),
+  badgeLevel: Joi.forbidden(),
+  registryCheckedAt: Joi.forbidden(),
+  primaryTradeKey: Joi.forbidden(),
+  tradeKeys: Joi.forbidden(),
+  profilePhotoVariants: Joi.forbidden(),
   completeness: Joi.forbidden(),
   createdAt: Joi.forbidden(),
   updatedAt: Joi.forbidden(),
@@ -141,7 +157,7 @@ export const upsertContractorProfileSchema = Joi.object({
   address: address,
 
   // compliance
-  certificates: Joi.array().items(certificate).max(30).default([]),
+  certificates: Joi.array().items(listedCertificate).max(30).default([]),
 
   // portfolio & docs
   portfolio: Joi.array().items(portfolioItem).max(30).default([]),
@@ -156,10 +172,17 @@ export const upsertContractorProfileSchema = Joi.object({
 });
 
 /* ---------- Patch Schema (everything optional) ---------- */
-export const patchContractorProfileSchema = upsertContractorProfileSchema.fork(
-  Object.keys(upsertContractorProfileSchema.describe().keys),
-  (s) => s.optional()
-);
+// Server-managed (forbidden) keys must stay forbidden, and defaults are off:
+// a PATCH of one field must not reset every omitted array to [].
+const editableKeys = Object.entries(
+  upsertContractorProfileSchema.describe().keys
+)
+  .filter(([, d]) => d.flags?.presence !== "forbidden")
+  .map(([key]) => key);
+
+export const patchContractorProfileSchema = upsertContractorProfileSchema
+  .fork(editableKeys, (s) => s.optional())
+  .prefs({ noDefaults: true });
 
 /* ---------- Convenience Validators ---------- */
 export const addCertificateSchema = certificate;
@@ -0,0 +1,9 @@
+// validators/profile.validation.js
+// Page purpose: Joi schemas for the role-agnostic profile endpoints (/api/profile/*).
+
+import Joi from "joi";
+
+/** GET /api/profile/me/expiries?days= (default: config/expiry.js upcomingDays) */
+export const expiriesQuerySchema = Joi.object({
+  days: Joi.number().integer().min(0).max(730),
+});
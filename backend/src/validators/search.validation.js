@@ -0,0 +1,95 @@
+// validators/search.validation.js
+// Page purpose: Joi schemas for the profile directory search (/api/search/*).
+// Filters that a profile type doesn't have (contractors: rates, languages, calendar) are
+// only accepted on the subcontractor search; unknown ones are stripped by validateQuery.
+
+import Joi from "joi";
+import { RADIUS_KM } from "../config/geocoding.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const term = Joi.string().trim().min(1).max(60);
+
+// Shared by both searches. `sort` defaults to relevance when q is given, else to distance
+// when near is given, else rating.
+const common = {
+  q: Joi.string().trim().max(100).allow(""),
+  trade: term, // taxonomy key or any wording (utils/taxonomy.js), else primaryTrade/otherTrades
+  area: term, // coverageAreas (case-insensitive)
+  minRating: Joi.number().min(0).max(5),
+  verified: Joi.boolean(), // true = verified profiles only
+  near: Joi.string().trim().min(2).max(100), // "lat,lng" or a city/town (services/geocoding.js)
+  radiusKm: Joi.number().min(1).max(RADIUS_KM.max), // default RADIUS_KM.default
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  cursor: Joi.string().max(500), // nextCursor of the previous page
+};
+
+const withSortDefault = (sorts) =>
+  Joi.string()
+    .valid(...sorts)
+    .when("q", {
+      is: Joi.string().min(1).required(),
+      then: Joi.any().default("relevance"),
+      otherwise: Joi.any().when("near", {
+        is: Joi.exist(),
+        then: Joi.any().default("distance"),
+        otherwise: Joi.any().default("rating"),
+      }),
+    });
+
+// Relevance is the text score and distance is measured from `near`, so each needs its input.
+const sortNeedsInput = (val, helpers) => {
+  if (val.sort === "relevance" && !val.q)
+    return helpers.message({
+      custom: "sort=relevance needs a search text (q)",
+    });
+  if (val.sort === "distance" && !val.near)
+    return helpers.message({ custom: "sort=distance needs a place (near)" });
+  return val;
+};
+
+/** GET /api/search/contractors */
+export const searchContractorsQuerySchema = Joi.object({
+  ...common,
+  sort: withSortDefault(["relevance", "rating", "newest", "distance"]),
+})
+  .with("radiusKm", "near")
+  .custom(sortNeedsInput, "sort input");
+
+/**
+ * GET /api/search/subcontractors — availableFrom/availableTo: free at some point in between.
+ * With `near`, subcontractors who declared a serviceRadiusKm only show when the place is
+ * within it (on top of radiusKm).
+ */
+export const searchSubcontractorsQuerySchema = Joi.object({
+  ...common,
+  language: term,
+  maxDayRate: Joi.number().min(0),
+  maxHourRate: Joi.number().min(0),
+  vatRegistered: Joi.boolean(),
+  availableFrom: Joi.date().iso(),
+  availableTo: Joi.date().iso(),
+  sort: withSortDefault([
+    "relevance",
+    "rating",
+    "newest",
+    "dayRate",
+    "hourRate",
+    "distance",
+  ]),
+})
+  .and("availableFrom", "availableTo")
+  .with("radiusKm", "near")
+  .custom(sortNeedsInput, "sort input")
+  .custom((val, helpers) => {
+    if (!val.availableFrom) return val;
+    if (val.availableTo <= val.availableFrom)
+      return helpers.message({
+        custom: "`availableTo` must be after `availableFrom`",
+      });
+    if (val.availableTo - val.availableFrom > 92 * DAY_MS)
+      return helpers.message({
+        custom: "The availability window can span at most 92 days",
+      });
+    return val;
+  }, "availability window");
@@ -6,6 +6,9 @@
 
 import Joi from "joi";
 import { israeliPhonePattern } from "./users.validation.js";
+import { isValidTimeZone } from "../utils/availability.js";
+import { DEFAULT_TIME_ZONE } from "../config/holidays.js";
+import { RADIUS_KM } from "../config/geocoding.js";
 
 /* ---------- Helpers ---------- */
 const uri = Joi.string().uri({ scheme: ["http", "https"] });
@@ -64,6 +67,8 @@ const address = Joi.object({
       "any.required": "Zip is required",
     }),
   googleMapsUrl: uri.allow(""),
+  location: Joi.any().strip(), // server-managed (geocoded on save)
+  locationPrecision: Joi.any().strip(), // server-managed (geocoded on save)
 }).required();
 
 const certificate = Joi.object({
@@ -74,7 +79,9 @@ const certificate = Joi.object({
   expiryDate: isoDate.allow(null),
   fileUrl: uri.allow(""),
   authorityUrl: uri.allow(""),
-  verified: Joi.boolean().default(false),
+  verified: Joi.any().strip(), // server-managed: only admin verification sets it
+  verificationStatus: Joi.any().strip(), // server-managed (verification queue)
+  registryCheck: Joi.any().strip(), // server-managed (registry lookup)
 }).custom((val, helpers) => {
   if (val.issueDate && val.expiryDate && val.expiryDate < val.issueDate) {
     return helpers.error("any.invalid", {
@@ -84,15 +91,23 @@ const certificate = Joi.object({
   return val;
 }, "certificate temporal check");
 
+// Profile PUT/PATCH carry the whole list: existing items keep their _id so their
+// verification / registry state survives (services/verification.js mergeCertificates).
+const listedCertificate = certificate.keys({
+  _id: Joi.string().hex().length(24),
+});
+
 const portfolioItem = Joi.object({
   url: uri.required(),
   caption: Joi.string().trim().max(120).allow(""),
+  variants: Joi.any().strip(), // server-managed (resized copies of our uploads)
 });
 
 const availabilitySlot = Joi.object({
   from: isoDate.required(),
   to: isoDate.required(),
   note: Joi.string().trim().max(200).allow(""),
+  icalUid: Joi.any().strip(), // server-managed (set by .ics import)
 }).custom((val, helpers) => {
   //! Date logic function to ensure 'to' is after 'from'...
   if (val.from && val.to && new Date(val.to) <= new Date(val.from)) {
@@ -103,6 +118,50 @@ const availabilitySlot = Joi.object({
   return val;
 }, "availability temporal check");
 
+const clockTime = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ "string.pattern.base": "{{#label}} must be a time like 08:00" });
+
+const availabilityRule = Joi.object({
+  weekdays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6)) // 0 = Sunday
+    .min(1)
+    .unique()
+    .required(),
+  startTime: clockTime.required(),
+  endTime: clockTime.required(), // earlier than startTime = overnight shift
+  validFrom: isoDate.allow(null),
+  validUntil: isoDate.allow(null),
+  note: Joi.string().trim().max(200).allow(""),
+}).custom((val, helpers) => {
+  if (val.startTime === val.endTime)
+    return helpers.message({
+      custom: "`endTime` must differ from `startTime`",
+    });
+  if (val.validFrom && val.validUntil && val.validUntil < val.validFrom)
+    return helpers.message({
+      custom: "`validUntil` must be on or after `validFrom`",
+    });
+  return val;
+}, "availability rule check");
+
+const availabilityException = Joi.object({
+  from: isoDate.required(),
+  to: isoDate.required(),
+  reason: Joi.string().trim().max(200).allow(""),
+}).custom((val, helpers) => {
+  if (new Date(val.to) <= new Date(val.from))
+    return helpers.message({ custom: "`to` must be after `from`" });
+  return val;
+}, "time off temporal check");
+
+const timeZone = Joi.string()
+  .trim()
+  .custom((val, helpers) =>
+    isValidTimeZone(val) ? val : helpers.error("any.invalid")
+  )
+  .messages({ "any.invalid": "{{#label}} must be an IANA time zone" });
+
 const experienceItem = Joi.object({
   projectName: Joi.string().trim().max(120).allow(""),
   clientName: Joi.string().trim().max(120).allow(""),
@@ -130,6 +189,13 @@ export const upsertSubContractorProfileSchema = Joi.object({
   ratingAvg: Joi.forbidden(),
   ratingCount: Joi.forbidden(),
   isVerified: Joi.forbidden(),
+  badgeLevel: Joi.forbidden(),
+  registryCheckedAt: Joi.forbidden(),
+  primaryTradeKey: Joi.forbidden(),
+  tradeKeys: Joi.forbidden(),
+  profilePhotoVariants: Joi.forbidden(),
+  calendarFeedTokenHash: Joi.forbidden(),
+  calendarFeedCreatedAt: Joi.forbidden(),
   completeness: Joi.forbidden(),
   createdAt: Joi.forbidden(),
   updatedAt: Joi.forbidden(),
@@ -153,21 +219,30 @@ export const upsertSubContractorProfileSchema = Joi.object({
 
   // logistics
   yearsExperience: Joi.number().integer().min(0).max(60).allow(null),
+  experience: Joi.array().items(experienceItem).max(30).default([]),
   coverageAreas: Joi.array()
     .items(Joi.string().trim().min(2).max(80))
     .max(30)
     .default([]),
   address: address,
+  serviceRadiusKm: Joi.number().min(1).max(RADIUS_KM.max).allow(null), // km from the address
 
   // availability & rates
   availability: Joi.array().items(availabilitySlot).max(60).default([]),
+  availabilityRules: Joi.array().items(availabilityRule).max(20).default([]),
+  availabilityExceptions: Joi.array()
+    .items(availabilityException)
+    .max(100)
+    .default([]),
+  availabilityTimeZone: timeZone.default(DEFAULT_TIME_ZONE),
+  observeHolidays: Joi.boolean().default(true),
   dayRate: Joi.number().min(0).allow(null),
   hourRate: Joi.number().min(0).allow(null),
   currency: Joi.string().trim().max(8).default("ILS"),
   vatRegistered: Joi.boolean().default(false),
 
   // compliance / safety
-  certificates: Joi.array().items(certificate).max(30).default([]),
+  certificates: Joi.array().items(listedCertificate).max(30).default([]),
   insurance: Joi.object({
     hasWorkInsurance: Joi.boolean().default(false),
     policyNumber: Joi.string().trim().max(60).allow(""),
@@ -206,20 +281,41 @@ export const upsertSubContractorProfileSchema = Joi.object({
 });
 
 /* ---------- Patch Schema (everything optional) ---------- */
-export const patchSubContractorProfileSchema =
-  upsertSubContractorProfileSchema.fork(
-    Object.keys(upsertSubContractorProfileSchema.describe().keys),
-    (s) => s.optional()
-  );
+// Same rules as the contractor patch: forbidden keys stay forbidden, no defaults applied.
+const editableKeys = Object.entries(
+  upsertSubContractorProfileSchema.describe().keys
+)
+  .filter(([, d]) => d.flags?.presence !== "forbidden")
+  .map(([key]) => key);
+
+export const patchSubContractorProfileSchema = upsertSubContractorProfileSchema
+  .fork(editableKeys, (s) => s.optional())
+  .prefs({ noDefaults: true });
 
 /* ---------- Convenience Validators ---------- */
 export const addCertificateSchema = certificate;
 export const addPortfolioItemSchema = portfolioItem;
 export const addAvailabilitySlotSchema = availabilitySlot;
+export const addAvailabilityRuleSchema = availabilityRule;
+export const addAvailabilityExceptionSchema = availabilityException;
 export const addExperienceItemSchema = experienceItem;
 export const updateContactSchema = contact;
 export const updateAddressSchema = address;
 
+/** GET /api/subcontractors/:id/availability — window defaults to the next 30 days, max 92 */
+export const availabilityQuerySchema = Joi.object({
+  from: isoDate,
+  to: isoDate,
+}).custom((val, helpers) => {
+  const from = val.from || new Date();
+  const to = val.to || new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+  if (to <= from)
+    return helpers.message({ custom: "`to` must be after `from`" });
+  if (to - from > 92 * 24 * 60 * 60 * 1000)
+    return helpers.message({ custom: "The window can span at most 92 days" });
+  return { from, to };
+}, "availability window");
+
 /* =================================================================== */
 /* ========================== PREFILL LOGIC =========================== */
 /* =================================================================== */
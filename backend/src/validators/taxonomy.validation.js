@@ -0,0 +1,14 @@
+// validators/taxonomy.validation.js
+// Page purpose: Joi schemas for the trade taxonomy endpoints (/api/taxonomy/*).
+
+import Joi from "joi";
+import { TRADE_LANGUAGES } from "../config/trades.js";
+
+/** GET /api/taxonomy/trades — without q: the whole tree; with q: autocomplete */
+export const tradesQuerySchema = Joi.object({
+  q: Joi.string().trim().max(60).allow(""),
+  lang: Joi.string()
+    .valid(...TRADE_LANGUAGES)
+    .default("en"),
+  limit: Joi.number().integer().min(1).max(30).default(10),
+});
@@ -0,0 +1,48 @@
+// validators/twoFactor.validation.js
+// Page purpose: Joi schemas for TOTP two-factor endpoints (login step 2 + enrollment).
+
+import Joi from "joi";
+
+const code = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": "Code must be 6 digits" });
+
+const recoveryCode = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-f0-9]{4}-[a-f0-9]{4}$/)
+  .messages({ "string.pattern.base": "Invalid recovery code format" });
+
+/** POST /api/users/login/2fa — challenge from step 1 + one of code / recoveryCode */
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "any.required": "Challenge token is required",
+  }),
+  code,
+  recoveryCode,
+})
+  .xor("code", "recoveryCode")
+  .messages({ "object.missing": "Enter an authentication or recovery code" });
+
+/** POST /me/2fa/setup — optional setupToken when enrolling straight from login */
+export const twoFactorSetupSchema = Joi.object({
+  setupToken: Joi.string(),
+});
+
+/** POST /me/2fa/confirm and /me/2fa/recovery-codes */
+export const twoFactorCodeSchema = Joi.object({
+  code: code.required().messages({ "any.required": "Code is required" }),
+  setupToken: Joi.string(),
+});
+
+/** POST /me/2fa/disable — password + a second factor */
+export const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required",
+  }),
+  code,
+  recoveryCode,
+})
+  .xor("code", "recoveryCode")
+  .messages({ "object.missing": "Enter an authentication or recovery code" });
@@ -3,6 +3,7 @@
 // ALL validation errors for better client UX.
 
 import Joi from "joi";
+import { ROLES } from "../utils/roles.js";
 
 /** Password policy
  * ≥ 9 chars, ≥ 1 lowercase, ≥ 1 uppercase, ≥ 1 digit, ≥ 1 special.
@@ -16,8 +17,8 @@ export const passwordPattern =
  */
 export const israeliPhonePattern = /^(?:\+972|0)5[0-9](?:[- ]?\d){7}$/;
 
-// Reuse these where needed (keeps roles consistent across app)
-export const ROLES = ["subcontractor", "contractor", "admin"];
+// Roles live in utils/roles.js (single source); re-exported for existing imports.
+export { ROLES };
 
 const nameSchema = Joi.object({
   first: Joi.string().trim().min(2).max(256).required().messages({
@@ -142,7 +143,48 @@ export const loginSchema = Joi.object({
   }),
 });
 
-/** UPDATE (PATCH /:id): all optional; same rules; at least one field must be present. */
+/** REFRESH / LOGOUT: the opaque refresh token issued at login ("<sessionId>.<secret>"). */
+export const refreshSchema = Joi.object({
+  refreshToken: Joi.string().trim().max(256).required().messages({
+    "any.required": "Refresh token is required",
+  }),
+});
+
+/** FORGOT PASSWORD: only an email; the response never reveals whether it exists. */
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .trim()
+    .lowercase()
+    .email({ tlds: { allow: false } })
+    .required()
+    .messages({
+      "string.email": "Email must be a valid email address",
+      "any.required": "Email is required",
+    }),
+});
+
+/** RESET PASSWORD: token from the emailed link + a new password (same policy as register). */
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().hex().max(128).required().messages({
+    "string.hex": "Invalid reset token",
+    "any.required": "Reset token is required",
+  }),
+  newPassword: Joi.string().pattern(passwordPattern).required().messages({
+    "string.pattern.base":
+      "New password must be ≥9 chars and include uppercase, lowercase, number, and a special character (!@#$%^&*-).",
+    "any.required": "New password is required",
+  }),
+});
+
+/** VERIFY EMAIL: token from the emailed verification link. */
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().trim().hex().max(128).required().messages({
+    "string.hex": "Invalid verification token",
+    "any.required": "Verification token is required",
+  }),
+});
+
+/** UPDATE (PATCH /me): all optional; same rules; at least one field must be present. */
 export const updateSchema = Joi.object({
   name: nameSchema
     .fork(["first", "middle", "last"], (s) => s.optional())
@@ -167,24 +209,39 @@ export const updateSchema = Joi.object({
       s.optional()
     )
     .optional(),
-  isBusiness: Joi.boolean(),
-  // FIX: include "subcontractor" to match the model's ROLES
-  role: Joi.string().valid(...ROLES),
+  // Account type drives the role (utils/roles.js), so neither is self-service
+  isBusiness: Joi.forbidden().messages({
+    "any.unknown": "Account type cannot be changed here",
+  }),
+  // Role is never self-service (admins change it elsewhere); reject instead of silently stripping
+  role: Joi.forbidden().messages({
+    "any.unknown": "Role cannot be changed here",
+  }),
 }).min(1);
 
 /** CHANGE PASSWORD: separate endpoint for security clarity. */
 export const changePasswordSchema = Joi.object({
-  currentPassword: Joi.string().required(),
+  currentPassword: Joi.string().required().messages({
+    "any.required": "Current password is required",
+  }),
   newPassword: Joi.string().pattern(passwordPattern).required().messages({
     "string.pattern.base":
       "New password must be ≥9 chars and include uppercase, lowercase, number, and a special character (!@#$%^&*-).",
+    "any.required": "New password is required",
+  }),
+});
+
+/** DELETE ACCOUNT: password re-confirmation. */
+export const deleteAccountSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "any.required": "Password is required to delete your account",
   }),
 });
 
 // ---------- helpers ----------
 
 // Converts Joi details[] → { "path.to.field": "message" } for easy client display.
-const formatJoiErrors = (details) =>
+export const formatJoiErrors = (details) =>
   details.reduce((acc, d) => {
     const path = d.path.join(".");
     acc[path] = d.message.replace(/"/g, "");
@@ -0,0 +1,43 @@
+// validators/verification.validation.js
+// Page purpose: Joi schemas for certificate verification — the admin queue
+// (/api/admin/verifications/*) and licence registry lookups.
+
+import Joi from "joi";
+import { VERIFICATION_STATUSES } from "../models/VerificationRequest.js";
+import { REGISTRIES } from "../config/registry.js";
+
+const registry = Joi.string()
+  .valid(...Object.keys(REGISTRIES))
+  .required();
+
+/** GET /api/admin/verifications */
+export const listVerificationsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...VERIFICATION_STATUSES)
+    .default("pending"),
+  profileType: Joi.string().valid("contractor", "subcontractor"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/** POST /api/admin/verifications/:id/approve — note is optional */
+export const approveVerificationSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(""),
+});
+
+/** POST /api/admin/verifications/:id/reject — the owner is told why */
+export const rejectVerificationSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "string.min": "Reason must be at least 3 characters",
+    "any.required": "A reason is required when rejecting",
+  }),
+});
+
+/** POST /api/(contractors|subcontractors)/me/certificates/:itemId/registry-check */
+export const registryCheckSchema = Joi.object({ registry });
+
+/** GET /api/admin/verifications/registry */
+export const registryLookupQuerySchema = Joi.object({
+  registry,
+  credentialId: Joi.string().trim().min(1).max(60).required(),
+});
@@ -0,0 +1,57 @@
+// test/models/trackBadge.test.js
+// Pre-save hooks run without a database: execPre() is what save() calls before writing.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import ContractorProfile from "../../src/models/ContractorProfile.js";
+
+const runPreSave = (doc) =>
+  new Promise((resolve, reject) =>
+    ContractorProfile.schema.s.hooks.execPre("save", doc, [], (err) =>
+      err ? reject(err) : resolve()
+    )
+  );
+
+// A stored profile whose licence passed the registry check
+const checkedProfile = () =>
+  ContractorProfile.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    displayName: "Moshe Cohen",
+    companyName: "Moshe Cohen Electric Ltd",
+    primaryTrade: "Electrician",
+    certificates: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        title: "Electrician licence",
+        credentialId: "987654",
+        registryCheck: {
+          status: "active",
+          registeredName: "Moshe Cohen Electric Ltd",
+          nameMatch: "match",
+          checkedAt: new Date(),
+        },
+      },
+    ],
+    badgeLevel: "registry-checked",
+    isVerified: true,
+  });
+
+describe("trackBadge on ContractorProfile", () => {
+  it("keeps the badge when the names don't change", async () => {
+    const doc = checkedProfile();
+    doc.yearsExperience = 12;
+    await runPreSave(doc);
+    assert.equal(doc.badgeLevel, "registry-checked");
+  });
+
+  it("drops the badge when a rename leaves only a partial match", async () => {
+    const doc = checkedProfile();
+    doc.displayName = "Cohen";
+    doc.companyName = "";
+    await runPreSave(doc);
+    assert.equal(doc.certificates[0].registryCheck.nameMatch, "partial");
+    assert.equal(doc.badgeLevel, "self-declared");
+    assert.equal(doc.isVerified, false);
+  });
+});
@@ -0,0 +1,69 @@
+// test/routes/admin.test.js
+// The router runs in a bare Express app on an ephemeral port, called with a signed admin token.
+// Query#exec answers the auth middleware's session/account lookups and loads the target user;
+// writes (save, audit, session revocation) are stubbed and recorded.
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import Session from "../../src/models/Session.js";
+import User from "../../src/models/User.js";
+import AuditLog from "../../src/models/AuditLog.js";
+import { signAccessToken } from "../../src/services/sessions.js";
+import adminRouter from "../../src/routes/admin.js";
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+const target = {
+  _id: new mongoose.Types.ObjectId(),
+  email: "moshe@example.com",
+  name: { first: "Moshe", last: "Cohen" },
+  role: "subcontractor",
+};
+
+let server;
+let baseUrl;
+let token;
+before(async () => {
+  process.env.JWT_SECRET ||= "test-secret";
+  token = signAccessToken(admin, new mongoose.Types.ObjectId());
+  const app = express();
+  app.use(express.json());
+  app.use("/api/admin", adminRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+afterEach(() => mock.restoreAll());
+
+function stubDatabase() {
+  mock.method(mongoose.Query.prototype, "exec", async function () {
+    if (this.model === Session) return { lastSeenAt: new Date() }; // live session
+    const { _id } = this.getQuery();
+    return String(_id) === String(target._id)
+      ? User.hydrate(target)
+      : { _id: admin._id }; // the admin's own account
+  });
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(AuditLog, "create", async () => ({}));
+  return mock.method(Session, "updateMany", async () => ({}));
+}
+
+describe("POST /api/admin/users/:id/lock", () => {
+  it("locks the account and signs it out of every session", async () => {
+    const revoke = stubDatabase();
+    const res = await fetch(`${baseUrl}/api/admin/users/${target._id}/lock`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-auth-token": token },
+      body: JSON.stringify({ minutes: 60, reason: "Suspicious logins" }),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).user.status, "locked");
+    const [filter, update] = revoke.mock.calls[0].arguments;
+    assert.equal(String(filter.userId), String(target._id));
+    assert.equal(update.$set.revokedReason, "admin");
+  });
+});
@@ -0,0 +1,64 @@
+// test/routes/contractors.test.js
+// Same setup as test/routes/subcontractors.test.js: bare Express app, Query#exec hydrates a
+// stored profile through the query's projection.
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import ContractorProfile from "../../src/models/ContractorProfile.js";
+import contractorsRouter from "../../src/routes/contractors.js";
+
+const stored = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  displayName: "Cohen Building Ltd",
+  primaryTrade: "General contractor",
+  utr: "514000000",
+  address: {
+    country: "IL",
+    city: "Haifa",
+    street: "Herzl",
+    houseNumber: 12,
+    googleMapsUrl: "https://www.google.com/maps/place/@32.8125,34.9951,17z",
+    location: { type: "Point", coordinates: [34.9951, 32.8125] },
+    locationPrecision: "pin",
+  },
+};
+
+// select("-a -b") is kept as { "-a": 0, … } until the query is sent; MongoDB sees { a: 0, … }
+const exclusions = (fields) =>
+  Object.fromEntries(
+    Object.keys(fields).map((key) => [key.replace(/^-/, ""), 0])
+  );
+
+let server;
+let baseUrl;
+before(async () => {
+  const app = express();
+  app.use("/api/contractors", contractorsRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+afterEach(() => mock.restoreAll());
+
+describe("GET /api/contractors/:id without auth", () => {
+  it("leaves out the exact address point and private business details", async () => {
+    mock.method(mongoose.Query.prototype, "exec", async function () {
+      if (this.model === ContractorProfile)
+        return ContractorProfile.hydrate(stored, exclusions(this._fields));
+      return { _id: stored.userId }; // User.exists: the owner is active
+    });
+
+    const res = await fetch(`${baseUrl}/api/contractors/${stored._id}`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.address.city, "Haifa");
+    assert.equal(body.address.location, undefined);
+    assert.equal(body.address.locationPrecision, undefined);
+    assert.equal(body.address.googleMapsUrl, undefined);
+    assert.equal(body.utr, undefined);
+  });
+});
@@ -0,0 +1,135 @@
+// test/routes/subcontractors.test.js
+// The router runs in a bare Express app on an ephemeral port. Queries never reach a database:
+// Query#exec hydrates a stored profile through the query's own projection, like MongoDB would.
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import SubContractorProfile from "../../src/models/SubContractorProfile.js";
+import subcontractorsRouter from "../../src/routes/subcontractors.js";
+
+const stored = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  displayName: "Moshe Cohen",
+  primaryTrade: "Electrician",
+  address: {
+    country: "IL",
+    city: "Haifa",
+    street: "Herzl",
+    houseNumber: 12,
+    zip: 3303112,
+    googleMapsUrl: "https://www.google.com/maps/place/@32.8125,34.9951,17z",
+    location: { type: "Point", coordinates: [34.9951, 32.8125] },
+    locationPrecision: "pin",
+  },
+  insurance: {
+    hasWorkInsurance: true,
+    policyNumber: "POL-778812",
+    provider: "Harel",
+    expiryDate: new Date("2027-01-31T00:00:00Z"),
+    fileUrl: "https://files.example.com/policy.pdf",
+  },
+  certificates: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      title: "Electrician licence",
+      credentialId: "987654",
+      fileUrl: "https://files.example.com/licence.pdf",
+      verified: true,
+      verificationStatus: "approved",
+    },
+  ],
+  availability: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      from: new Date("2026-06-08T05:00:00Z"),
+      to: new Date("2026-06-08T14:00:00Z"),
+      note: "Site visits",
+      icalUid: "evt-1@google.com",
+    },
+  ],
+  availabilityExceptions: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      from: new Date("2026-06-09T00:00:00Z"),
+      to: new Date("2026-06-10T00:00:00Z"),
+      reason: "Hospital appointment",
+    },
+  ],
+  availabilityTimeZone: "Asia/Jerusalem",
+  observeHolidays: false,
+  documents: ["https://files.example.com/cv.pdf"],
+  completeness: 80,
+  isVisible: true,
+};
+
+let server;
+let baseUrl;
+before(async () => {
+  const app = express();
+  app.use("/api/subcontractors", subcontractorsRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+afterEach(() => mock.restoreAll());
+
+const stubDatabase = () =>
+  mock.method(mongoose.Query.prototype, "exec", async function () {
+    if (this.model === SubContractorProfile)
+      return SubContractorProfile.hydrate(stored, this._fields);
+    return { _id: stored.userId }; // User.exists: the owner is active
+  });
+
+describe("GET /api/subcontractors/:id without auth", () => {
+  it("shows the public profile", async () => {
+    stubDatabase();
+    const res = await fetch(`${baseUrl}/api/subcontractors/${stored._id}`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.displayName, "Moshe Cohen");
+    assert.deepEqual(body.address, { country: "IL", city: "Haifa" });
+    assert.equal(body.certificates[0].title, "Electrician licence");
+    assert.equal(body.certificates[0].verified, true);
+    assert.equal(body.insurance.hasWorkInsurance, true);
+    assert.equal(body.availability[0].note, "Site visits");
+  });
+
+  it("leaves out the home address, documents and other private details", async () => {
+    stubDatabase();
+    const body = await (
+      await fetch(`${baseUrl}/api/subcontractors/${stored._id}`)
+    ).json();
+
+    for (const field of [
+      "street",
+      "houseNumber",
+      "zip",
+      "googleMapsUrl",
+      "location",
+      "locationPrecision",
+    ])
+      assert.equal(body.address[field], undefined, `address.${field}`);
+    assert.equal(body.insurance.policyNumber, undefined);
+    assert.equal(body.insurance.fileUrl, undefined);
+    assert.equal(body.certificates[0].fileUrl, undefined);
+    assert.equal(body.availability[0].icalUid, undefined);
+    assert.equal(body.availabilityExceptions[0].reason, undefined);
+    assert.equal(body.documents, undefined);
+    assert.equal(body.completeness, undefined);
+  });
+
+  it("still expands the calendar for the availability view", async () => {
+    stubDatabase();
+    const res = await fetch(
+      `${baseUrl}/api/subcontractors/${stored._id}/availability?from=2026-06-08T00:00:00Z&to=2026-06-10T00:00:00Z`
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).intervals, [
+      { from: "2026-06-08T05:00:00.000Z", to: "2026-06-08T14:00:00.000Z" },
+    ]);
+  });
+});
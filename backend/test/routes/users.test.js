@@ -0,0 +1,77 @@
+// test/routes/users.test.js
+// The router runs in a bare Express app on an ephemeral port. The session's atomic rotation
+// and revocation are stubbed on the Session model; User.findById returns a hydrated account.
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import Session from "../../src/models/Session.js";
+import User from "../../src/models/User.js";
+import usersRouter from "../../src/routes/users.js";
+
+const sessionId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+let server;
+let baseUrl;
+before(async () => {
+  process.env.JWT_SECRET ||= "test-secret";
+  const app = express();
+  app.use(express.json());
+  app.use("/api/users", usersRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+afterEach(() => mock.restoreAll());
+
+// A live session whose refresh token rotates; returns the revocation stub
+function stubAccount(fields) {
+  mock.method(Session, "findOneAndUpdate", async () => ({
+    _id: sessionId,
+    userId,
+  }));
+  mock.method(User, "findById", async () =>
+    User.hydrate({
+      _id: userId,
+      email: "moshe@example.com",
+      role: "subcontractor",
+      ...fields,
+    })
+  );
+  return mock.method(Session, "updateOne", async () => ({}));
+}
+
+const refresh = () =>
+  fetch(`${baseUrl}/api/users/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken: `${sessionId}.secret` }),
+  });
+
+describe("POST /api/users/refresh", () => {
+  it("refuses a locked account and ends the session", async () => {
+    const revoke = stubAccount({
+      lockUntil: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    const res = await refresh();
+
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error, "Account is not active");
+    const [filter, update] = revoke.mock.calls[0].arguments;
+    assert.equal(String(filter._id), String(sessionId));
+    assert.equal(update.$set.revokedReason, "admin");
+  });
+
+  it("issues new tokens once the lock has run out", async () => {
+    const revoke = stubAccount({ lockUntil: new Date(Date.now() - 1000) });
+    const res = await refresh();
+
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.ok(body.token);
+    assert.match(body.refreshToken, new RegExp(`^${sessionId}\\.`));
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,147 @@
+// test/services/availabilityCalendar.test.js
+// Imports run against an unsaved SubContractorProfile document; nothing touches a database.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import SubContractorProfile from "../../src/models/SubContractorProfile.js";
+import {
+  availabilityFeed,
+  importAvailability,
+} from "../../src/services/availabilityCalendar.js";
+
+const NOW = new Date("2026-06-01T12:00:00Z");
+
+const newProfile = () =>
+  SubContractorProfile.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    displayName: "Moshe Cohen",
+    availabilityTimeZone: "Asia/Jerusalem",
+    observeHolidays: false,
+    availability: [],
+    availabilityRules: [],
+    availabilityExceptions: [],
+  });
+
+const event = ({ uid, start, end, summary = "Site visit", extra = [] }) => [
+  "BEGIN:VEVENT",
+  `UID:${uid}`,
+  `DTSTART:${start}`,
+  `DTEND:${end}`,
+  `SUMMARY:${summary}`,
+  ...extra,
+  "END:VEVENT",
+];
+
+const ics = (...events) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", ...events.flat(), "END:VCALENDAR"].join(
+    "\r\n"
+  );
+
+const monday = {
+  uid: "evt-1@google.com",
+  start: "20260608T050000Z",
+  end: "20260608T090000Z",
+};
+const tuesday = {
+  uid: "evt-2@google.com",
+  start: "20260609T050000Z",
+  end: "20260609T090000Z",
+};
+
+describe("importAvailability", () => {
+  it("imports each UID once: re-importing the same file changes nothing", () => {
+    const profile = newProfile();
+    const file = ics(event(monday), event(tuesday));
+
+    assert.deepEqual(importAvailability(profile, file, NOW), {
+      created: 2,
+      updated: 0,
+      removed: 0,
+      unchanged: 0,
+      skipped: [],
+    });
+    assert.deepEqual(importAvailability(profile, file, NOW), {
+      created: 0,
+      updated: 0,
+      removed: 0,
+      unchanged: 2,
+      skipped: [],
+    });
+    assert.deepEqual(
+      profile.availability.map((s) => s.icalUid),
+      [monday.uid, tuesday.uid]
+    );
+  });
+
+  it("updates a moved event and removes a cancelled one by UID", () => {
+    const profile = newProfile();
+    importAvailability(profile, ics(event(monday), event(tuesday)), NOW);
+
+    const result = importAvailability(
+      profile,
+      ics(
+        event({ ...monday, end: "20260608T110000Z" }),
+        event({ ...tuesday, extra: ["STATUS:CANCELLED"] })
+      ),
+      NOW
+    );
+    assert.equal(result.updated, 1);
+    assert.equal(result.removed, 1);
+    assert.equal(profile.availability.length, 1);
+    assert.deepEqual(
+      profile.availability[0].to,
+      new Date("2026-06-08T11:00:00Z")
+    );
+  });
+
+  it("skips a UID repeated in the same file", () => {
+    const profile = newProfile();
+    const result = importAvailability(
+      profile,
+      ics(event(monday), event({ ...monday, start: "20260608T060000Z" })),
+      NOW
+    );
+    assert.equal(result.created, 1);
+    assert.deepEqual(
+      result.skipped.map((s) => s.reason),
+      ["Duplicate UID in this file"]
+    );
+    assert.deepEqual(
+      profile.availability[0].from,
+      new Date("2026-06-08T05:00:00Z")
+    );
+  });
+
+  it("skips an overlapping event and leaves the calendar as it was", () => {
+    const profile = newProfile();
+    importAvailability(profile, ics(event(monday)), NOW);
+
+    const result = importAvailability(
+      profile,
+      ics(
+        event({ ...monday, uid: "evt-3@google.com", end: "20260608T100000Z" })
+      ),
+      NOW
+    );
+    assert.equal(result.created, 0);
+    assert.match(result.skipped[0].reason, /overlaps/);
+    assert.equal(profile.availability.length, 1);
+  });
+
+  it("doesn't import the profile's own feed back", () => {
+    const profile = newProfile();
+    importAvailability(profile, ics(event(monday)), NOW);
+
+    const result = importAvailability(
+      profile,
+      availabilityFeed(profile, NOW),
+      NOW
+    );
+    assert.equal(result.created, 0);
+    assert.deepEqual(
+      result.skipped.map((s) => s.reason),
+      ["Event comes from this profile's own feed"]
+    );
+  });
+});
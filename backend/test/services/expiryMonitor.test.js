@@ -0,0 +1,105 @@
+// test/services/expiryMonitor.test.js
+// Models are replaced with in-memory stand-ins (mock.method); mail goes to a capturing transport.
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import ContractorProfile from "../../src/models/ContractorProfile.js";
+import SubContractorProfile from "../../src/models/SubContractorProfile.js";
+import ExpiryNotice from "../../src/models/ExpiryNotice.js";
+import User from "../../src/models/User.js";
+import { setMailTransport } from "../../src/services/mailer.js";
+import { runExpiryCheck } from "../../src/services/expiryMonitor.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-06-01T12:00:00Z");
+const daysFromNow = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+const query = (value) => {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+};
+
+const profileWith = (certificates) => {
+  const profile = ContractorProfile.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    displayName: "Moshe Cohen",
+    primaryTrade: "Electrician",
+    certificates,
+  });
+  profile.save = mock.fn(async () => profile);
+  return profile;
+};
+
+let mails;
+let filters;
+let notices;
+
+// Serves `profiles` to the contractor scan, recording the filter it was asked for.
+const stubScan = (profiles) => {
+  mock.method(ContractorProfile, "find", (filter) => {
+    filters.push(filter);
+    return { cursor: () => profiles };
+  });
+  mock.method(SubContractorProfile, "find", () => ({ cursor: () => [] }));
+};
+
+beforeEach(() => {
+  mails = [];
+  filters = [];
+  notices = [];
+  setMailTransport({ send: async (msg) => mails.push(msg) });
+  mock.method(User, "findOne", () =>
+    query({ email: "moshe@example.com", name: { first: "Moshe" } })
+  );
+  mock.method(ExpiryNotice, "exists", async () => null);
+  mock.method(ExpiryNotice, "create", async (notice) => notices.push(notice));
+});
+afterEach(() => {
+  mock.restoreAll();
+  setMailTransport(null);
+  delete process.env.EXPIRY_EXPIRED_GRACE_DAYS;
+});
+
+describe("runExpiryCheck", () => {
+  it("only scans items expiring after the expired grace period", async () => {
+    process.env.EXPIRY_EXPIRED_GRACE_DAYS = "10";
+    stubScan([]);
+    await runExpiryCheck(NOW);
+
+    const [range] = filters[0].$or.map((c) => c["certificates.expiryDate"]);
+    assert.deepEqual(range, { $gt: daysFromNow(-11), $lte: daysFromNow(30) });
+  });
+
+  it("reminds about a recently expired item", async () => {
+    stubScan([
+      profileWith([
+        { title: "Electrician licence", expiryDate: daysFromNow(-2) },
+      ]),
+    ]);
+    assert.deepEqual(await runExpiryCheck(NOW), { notified: 1, lapsed: 0 });
+    assert.equal(notices[0].threshold, 0);
+    assert.equal(mails.length, 1);
+  });
+
+  it("clears verification of a long-expired certificate without mailing again", async () => {
+    const profile = profileWith([
+      {
+        title: "Electrician licence",
+        expiryDate: daysFromNow(-400),
+        verified: true,
+        verificationStatus: "approved",
+      },
+    ]);
+    stubScan([profile]);
+
+    assert.deepEqual(await runExpiryCheck(NOW), { notified: 0, lapsed: 1 });
+    assert.equal(profile.certificates[0].verified, false);
+    assert.equal(notices.length, 0);
+    assert.equal(mails.length, 0);
+  });
+});
@@ -0,0 +1,298 @@
+// test/services/profileSearch.test.js
+// SubContractorProfile.aggregate is replaced by a stand-in that runs the `items` facet
+// ($addFields/$match/$sort/$limit) over in-memory profiles and returns canned facet rows,
+// so keyset paging is checked end to end: nextCursor → decode → afterCursor → next page.
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import SubContractorProfile from "../../src/models/SubContractorProfile.js";
+import { searchProfiles } from "../../src/services/profileSearch.js";
+import { AVAILABILITY_SCAN_FACTOR } from "../../src/config/search.js";
+
+const { ObjectId } = mongoose.Types;
+
+afterEach(() => mock.restoreAll());
+
+/** ---------- In-memory aggregate ---------- */
+
+const sortable = (v) =>
+  v instanceof Date
+    ? v.getTime()
+    : v?._bsontype === "ObjectId"
+      ? v.toHexString()
+      : v;
+
+const compare = (a, b) => {
+  const [x, y] = [sortable(a), sortable(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// Only the operators afterCursor() emits: equality, $lt, $gt under one $or
+const matches = (doc, filter) =>
+  filter.$or.some((cond) =>
+    Object.entries(cond).every(([field, c]) => {
+      if (c?.$lt !== undefined) return compare(doc[field], c.$lt) < 0;
+      if (c?.$gt !== undefined) return compare(doc[field], c.$gt) > 0;
+      return compare(doc[field], c) === 0;
+    })
+  );
+
+function runStages(docs, stages) {
+  let out = docs.map((d) => ({ ...d }));
+  for (const stage of stages) {
+    if (stage.$addFields)
+      for (const doc of out)
+        for (const [field, { $ifNull }] of Object.entries(stage.$addFields))
+          doc[field] = doc[$ifNull[0].slice(1)] ?? $ifNull[1];
+    else if (stage.$match) out = out.filter((d) => matches(d, stage.$match));
+    else if (stage.$sort) {
+      const keys = Object.entries(stage.$sort);
+      out.sort((a, b) => {
+        for (const [field, dir] of keys) {
+          const c = compare(a[field], b[field]);
+          if (c) return c * dir;
+        }
+        return 0;
+      });
+    } else if (stage.$limit) out = out.slice(0, stage.$limit);
+  }
+  return out;
+}
+
+const EMPTY_FACETS = {
+  total: [],
+  primaryTrade: [],
+  coverageAreas: [],
+  isVerified: [],
+  rating: [],
+  languages: [],
+  dayRate: [],
+  hourRate: [],
+};
+
+const stubAggregate = (docs, facets = {}) =>
+  mock.method(SubContractorProfile, "aggregate", async (pipeline) => {
+    const { $facet } = pipeline[pipeline.length - 1];
+    return [
+      {
+        ...EMPTY_FACETS,
+        ...facets,
+        items: runStages(docs, $facet.items),
+      },
+    ];
+  });
+
+// Every page of a search, following nextCursor → [[_id, …] per page]
+async function allPages(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await searchProfiles("subcontractor", { ...query, cursor });
+    pages.push(page.items.map((i) => String(i._id)));
+    cursor = page.nextCursor;
+  } while (cursor && pages.length < 20);
+  return pages;
+}
+
+/** ---------- Fixtures ---------- */
+
+// Ascending _ids; sort values repeat so most neighbours tie on everything but _id
+const profiles = [
+  [5, 4.5, 10, "2026-01-01", 400, null, 3.2],
+  [5, 4.5, 10, "2026-01-01", null, 60, 3.2],
+  [2, 4.5, 12, "2026-02-01", 400, 60, 1.5],
+  [5, 4, 10, "2026-01-01", 300, null, 3.2],
+  [2, 4.5, 10, "2026-02-01", null, 80, 1.5],
+  [2, 4, 10, "2026-01-01", 300, 60, 7],
+  [5, 4.5, 12, "2026-02-01", 400, 80, 3.2],
+].map(
+  ([
+    score,
+    ratingAvg,
+    ratingCount,
+    created,
+    dayRate,
+    hourRate,
+    distanceKm,
+  ]) => ({
+    _id: new ObjectId(),
+    displayName: "Profile",
+    score,
+    ratingAvg,
+    ratingCount,
+    createdAt: new Date(created),
+    dayRate,
+    hourRate,
+    distanceKm,
+  })
+);
+
+const ids = (list) => list.map((p) => String(p._id));
+const byKeys =
+  (...keys) =>
+  (a, b) => {
+    for (const [key, dir] of keys) {
+      const c = compare(key(a), key(b));
+      if (c) return c * dir;
+    }
+    return 0;
+  };
+
+const field = (f) => (p) => p[f];
+const rate = (f) => (p) => p[f] ?? Number.MAX_VALUE; // no rate sorts last
+const EXPECTED_ORDER = {
+  relevance: byKeys([field("score"), -1], [field("_id"), -1]),
+  rating: byKeys(
+    [field("ratingAvg"), -1],
+    [field("ratingCount"), -1],
+    [field("_id"), -1]
+  ),
+  newest: byKeys([field("createdAt"), -1], [field("_id"), -1]),
+  dayRate: byKeys([rate("dayRate"), 1], [field("_id"), 1]),
+  hourRate: byKeys([rate("hourRate"), 1], [field("_id"), 1]),
+  distance: byKeys([field("distanceKm"), 1], [field("_id"), 1]),
+};
+
+/** ---------- Tests ---------- */
+
+describe("searchProfiles paging", () => {
+  for (const [sort, order] of Object.entries(EXPECTED_ORDER))
+    it(`pages through ties on sort=${sort} without skipping or repeating`, async () => {
+      stubAggregate(profiles);
+      const pages = await allPages({
+        sort,
+        limit: 2,
+        q: "electrician",
+        near: "32.08,34.78",
+      });
+
+      assert.deepEqual(pages.flat(), ids([...profiles].sort(order)));
+      assert.deepEqual(
+        pages.map((p) => p.length),
+        [2, 2, 2, 1]
+      );
+    });
+
+  it("rejects a cursor from another sort, or one that isn't a cursor", async () => {
+    stubAggregate(profiles);
+    const { nextCursor } = await searchProfiles("subcontractor", {
+      sort: "rating",
+      limit: 2,
+    });
+
+    for (const cursor of [nextCursor, "not-a-cursor"])
+      await assert.rejects(
+        searchProfiles("subcontractor", { sort: "newest", limit: 2, cursor }),
+        { status: 400, message: "Invalid cursor for this search" }
+      );
+  });
+});
+
+describe("searchProfiles with an availability window", () => {
+  const availableFrom = new Date("2026-06-08T05:00:00Z");
+  const availableTo = new Date("2026-06-08T09:00:00Z");
+  const limit = 2;
+  const scan = limit * AVAILABILITY_SCAN_FACTOR;
+
+  // Newest first; only the last one is free in the window
+  const calendarProfiles = Array.from({ length: scan + 2 }, (_, i) => ({
+    _id: new ObjectId(),
+    createdAt: new Date(Date.UTC(2026, 0, 31 - i)),
+    availability:
+      i === scan + 1
+        ? [{ from: availableFrom, to: availableTo, note: "" }]
+        : [],
+    availabilityRules: [],
+    availabilityExceptions: [],
+    availabilityTimeZone: "Asia/Jerusalem",
+    observeHolidays: false,
+  }));
+
+  it("keeps paging when a whole scan window is rejected", async () => {
+    stubAggregate(calendarProfiles);
+    const query = { sort: "newest", limit, availableFrom, availableTo };
+
+    const first = await searchProfiles("subcontractor", query);
+    assert.deepEqual(first.items, []);
+    assert.notEqual(first.nextCursor, null);
+
+    const second = await searchProfiles("subcontractor", {
+      ...query,
+      cursor: first.nextCursor,
+    });
+    assert.deepEqual(ids(second.items), ids([calendarProfiles[scan + 1]]));
+    assert.equal(second.nextCursor, null);
+    // Calendar fields are only read for the check, never returned
+    assert.equal(second.items[0].availability, undefined);
+  });
+});
+
+describe("searchProfiles near a place", () => {
+  it("measures from the snapped address point and shows whole km", async () => {
+    const aggregate = stubAggregate(profiles);
+    const { items } = await searchProfiles("subcontractor", {
+      sort: "distance",
+      limit: 3,
+      near: "32.08,34.78",
+      radiusKm: 5,
+    });
+    assert.deepEqual(
+      items.map((i) => i.distanceKm),
+      [2, 2, 3]
+    );
+
+    // No stage may read the raw point: distance and radius both go through the grid
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    const distance = pipeline.find((s) => s.$addFields?.distanceKm);
+    assert.match(
+      JSON.stringify(distance),
+      /\{"\$round":\[\{"\$arrayElemAt":\["\$address\.location\.coordinates",[01]\]\},2\]\}/
+    );
+    assert.ok(
+      pipeline.some((s) => s.$match?.distanceKm?.$lte === 5),
+      "radius applied to the snapped distance"
+    );
+  });
+});
+
+describe("searchProfiles facets", () => {
+  it("lists every range with its count, the last one open-ended", async () => {
+    stubAggregate([], {
+      total: [{ count: 9 }],
+      rating: [
+        { _id: 3, count: 2 },
+        { _id: "open", count: 5 },
+      ],
+      dayRate: [
+        { _id: 0, count: 1 },
+        { _id: 500, count: 3 },
+        { _id: "open", count: 4 },
+      ],
+    });
+    const { total, facets } = await searchProfiles("subcontractor", {
+      sort: "rating",
+      limit: 2,
+    });
+
+    assert.equal(total, 9);
+    assert.deepEqual(facets.rating, [
+      { min: 0, max: 3, count: 0 },
+      { min: 3, max: 4, count: 2 },
+      { min: 4, max: 4.5, count: 0 },
+      { min: 4.5, max: null, count: 5 },
+    ]);
+    assert.deepEqual(facets.dayRate, [
+      { min: 0, max: 300, count: 1 },
+      { min: 300, max: 500, count: 0 },
+      { min: 500, max: 700, count: 3 },
+      { min: 700, max: 900, count: 0 },
+      { min: 900, max: 1200, count: 0 },
+      { min: 1200, max: null, count: 4 },
+    ]);
+    assert.deepEqual(facets.hourRate.at(-1), {
+      min: 160,
+      max: null,
+      count: 0,
+    });
+  });
+});
@@ -0,0 +1,36 @@
+// test/services/registryAdapters.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import localAdapter from "../../src/services/registryAdapters/local.js";
+
+describe("local registry adapter", () => {
+  it("finds a licence by registry and credentialId", async () => {
+    assert.deepEqual(await localAdapter.lookup("contractors", "23456"), {
+      registeredName: "Levi Construction Ltd",
+      status: "active",
+      expiryDate: new Date("2026-03-31"),
+    });
+  });
+
+  it("keeps a missing expiry date as null", async () => {
+    const hit = await localAdapter.lookup("electricians", "876543");
+    assert.equal(hit.expiryDate, null);
+  });
+
+  it("reports non-active statuses as listed", async () => {
+    assert.equal(
+      (await localAdapter.lookup("electricians", "765432")).status,
+      "revoked"
+    );
+  });
+
+  it("returns null for an unknown number or the wrong registry", async () => {
+    assert.equal(await localAdapter.lookup("contractors", "00000"), null);
+    assert.equal(await localAdapter.lookup("electricians", "12345"), null);
+  });
+
+  it("matches the credentialId exactly", async () => {
+    assert.equal(await localAdapter.lookup("contractors", "1234"), null);
+    assert.equal(await localAdapter.lookup("contractors", " 12345"), null);
+  });
+});
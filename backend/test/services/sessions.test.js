@@ -0,0 +1,111 @@
+// test/services/sessions.test.js
+// Session is replaced with a one-document in-memory stand-in that applies the conditional
+// update atomically, like MongoDB does, with a tick of latency so requests can interleave.
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Session from "../../src/models/Session.js";
+import { rotateRefreshToken } from "../../src/services/sessions.js";
+import { hashToken } from "../../src/utils/tokens.js";
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+let stored;
+
+const matches = (filter) =>
+  String(stored._id) === String(filter._id) &&
+  stored.tokenHash === filter.tokenHash &&
+  stored.revokedAt == null &&
+  stored.expiresAt > filter.expiresAt.$gt;
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    tokenHash: hashToken("first-secret"),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  };
+  mock.method(Session, "findOneAndUpdate", async (filter, { $set }) => {
+    await tick();
+    if (!matches(filter)) return null;
+    Object.assign(stored, $set);
+    return { ...stored };
+  });
+  mock.method(Session, "findById", async () => {
+    await tick();
+    return { ...stored };
+  });
+  mock.method(Session, "updateOne", async (filter, { $set }) => {
+    if (stored.revokedAt == null) Object.assign(stored, $set);
+  });
+});
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.REFRESH_REUSE_GRACE_SECONDS;
+});
+
+const tokenOf = (secret) => `${stored._id}.${secret}`;
+
+describe("rotateRefreshToken", () => {
+  it("rotates the current token into a new one", async () => {
+    const { refreshToken, userId } = await rotateRefreshToken(
+      tokenOf("first-secret")
+    );
+    assert.equal(String(userId), String(stored.userId));
+    assert.notEqual(refreshToken, tokenOf("first-secret"));
+    assert.equal(stored.tokenHash, hashToken(refreshToken.split(".")[1]));
+    assert.equal(stored.previousTokenHash, hashToken("first-secret"));
+  });
+
+  it("lets parallel refreshes with the same token through without revoking", async () => {
+    const [a, b] = await Promise.all([
+      rotateRefreshToken(tokenOf("first-secret")),
+      rotateRefreshToken(tokenOf("first-secret")),
+    ]);
+    assert.equal(stored.revokedAt, undefined);
+    assert.notEqual(a.refreshToken, b.refreshToken);
+    // one live secret, the other is the grace-window previous one
+    const hashes = [a, b].map((r) => hashToken(r.refreshToken.split(".")[1]));
+    assert.deepEqual(
+      [stored.tokenHash, stored.previousTokenHash].sort(),
+      hashes.sort()
+    );
+  });
+
+  it("revokes the session when an older token is replayed after the grace window", async () => {
+    process.env.REFRESH_REUSE_GRACE_SECONDS = "0";
+    await rotateRefreshToken(tokenOf("first-secret"));
+    await assert.rejects(rotateRefreshToken(tokenOf("first-secret")), {
+      status: 401,
+      message: /reuse/,
+    });
+    assert.equal(stored.revokedReason, "reuse");
+  });
+
+  it("revokes the session for a token two rotations old, even within the grace window", async () => {
+    await rotateRefreshToken(tokenOf("first-secret"));
+    const { refreshToken } = await rotateRefreshToken(
+      tokenOf("first-secret") // within the grace window: rotates again
+    );
+    await rotateRefreshToken(refreshToken);
+    await assert.rejects(rotateRefreshToken(tokenOf("first-secret")), {
+      status: 401,
+    });
+    assert.equal(stored.revokedReason, "reuse");
+  });
+
+  it("rejects revoked and expired sessions", async () => {
+    stored.expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(rotateRefreshToken(tokenOf("first-secret")), {
+      message: "Session expired",
+    });
+    assert.equal(stored.revokedReason, "expired");
+    await assert.rejects(rotateRefreshToken(tokenOf("first-secret")), {
+      message: "Session has been revoked",
+    });
+  });
+
+  it("rejects malformed tokens", async () => {
+    await assert.rejects(rotateRefreshToken("not-a-token"), { status: 401 });
+  });
+});
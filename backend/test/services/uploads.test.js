@@ -0,0 +1,167 @@
+// test/services/uploads.test.js
+// Models are replaced with in-memory stand-ins (mock.method), files go to a temp UPLOAD_DIR.
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import Upload from "../../src/models/Upload.js";
+import User from "../../src/models/User.js";
+import ContractorProfile from "../../src/models/ContractorProfile.js";
+import SubContractorProfile from "../../src/models/SubContractorProfile.js";
+import {
+  cleanupOrphanUploads,
+  referencedUploadIds,
+  storeUpload,
+} from "../../src/services/uploads.js";
+import { fileUrl } from "../../src/utils/uploadUrls.js";
+
+const MB = 1024 * 1024;
+const NOW = new Date("2026-06-01T12:00:00Z");
+const LONG_AGO = new Date("2026-05-01T12:00:00Z");
+
+// Chainable stand-in for a Mongoose query: .select().lean() resolving to `value`
+const query = (value) => {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+};
+
+let tmpDir;
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-test-"));
+  process.env.UPLOAD_DIR = tmpDir;
+});
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.UPLOAD_DIR;
+  delete process.env.UPLOAD_QUOTA_MB;
+});
+afterEach(() => mock.restoreAll());
+
+describe("referencedUploadIds / cleanupOrphanUploads", () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const upload = (name) => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      ownerId,
+      storage: "local",
+      storageKey: `2026/05/${name}.webp`,
+      variants: [],
+      createdAt: LONG_AGO,
+    };
+    doc.deleteOne = mock.fn(async () => {});
+    return doc;
+  };
+
+  const experienceImage = upload("experience");
+  const portfolioImage = upload("portfolio");
+  const orphan = upload("orphan");
+
+  const stubProfiles = () => {
+    mock.method(User, "findById", () => query({ image: { url: "" } }));
+    mock.method(ContractorProfile, "findOne", () => query(null));
+    mock.method(SubContractorProfile, "findOne", () =>
+      query({
+        portfolio: [{ url: fileUrl(portfolioImage) }],
+        experience: [
+          { title: "Villa in Caesarea", images: [] },
+          {
+            title: "Office fit-out",
+            images: [{ url: fileUrl(experienceImage), caption: "Lobby" }],
+          },
+        ],
+      })
+    );
+  };
+
+  it("counts project experience images as in use", async () => {
+    stubProfiles();
+    const ids = await referencedUploadIds(ownerId);
+    assert.ok(ids.has(String(experienceImage._id)));
+    assert.ok(ids.has(String(portfolioImage._id)));
+    assert.ok(!ids.has(String(orphan._id)));
+  });
+
+  it("keeps experience images and removes only unreferenced files", async () => {
+    stubProfiles();
+    mock.method(Upload, "distinct", async () => [ownerId]);
+    mock.method(Upload, "find", async () => [
+      experienceImage,
+      portfolioImage,
+      orphan,
+    ]);
+
+    assert.equal(await cleanupOrphanUploads(NOW), 1);
+    assert.equal(experienceImage.deleteOne.mock.callCount(), 0);
+    assert.equal(portfolioImage.deleteOne.mock.callCount(), 0);
+    assert.equal(orphan.deleteOne.mock.callCount(), 1);
+  });
+});
+
+describe("storeUpload quota", () => {
+  const ownerId = new mongoose.Types.ObjectId();
+
+  // In-memory uploads collection behind Upload.create / usedBytes (Upload.aggregate)
+  const stubCollection = () => {
+    const stored = [];
+    mock.method(Upload, "aggregate", async () => [
+      { total: stored.reduce((sum, u) => sum + u.size, 0) },
+    ]);
+    mock.method(Upload, "create", async (doc) => {
+      // let the other request get this far too, as with real database round-trips
+      await new Promise((resolve) => setImmediate(resolve));
+      const created = { _id: new mongoose.Types.ObjectId(), ...doc };
+      created.deleteOne = async () => {
+        stored.splice(stored.indexOf(created), 1);
+      };
+      stored.push(created);
+      return created;
+    });
+    return stored;
+  };
+
+  const tempPdf = (bytes) => {
+    const filepath = path.join(tmpDir, `incoming-${Math.random()}.pdf`);
+    const body = Buffer.alloc(bytes, 0x20);
+    Buffer.from("%PDF-1.4\n").copy(body);
+    fs.writeFileSync(filepath, body);
+    return { filepath, size: bytes, originalFilename: "policy.pdf" };
+  };
+
+  it("stores a file that fits", async () => {
+    process.env.UPLOAD_QUOTA_MB = "1";
+    const stored = stubCollection();
+    const upload = await storeUpload(ownerId, "document", tempPdf(0.4 * MB));
+    assert.equal(upload.mimeType, "application/pdf");
+    assert.equal(stored.length, 1);
+  });
+
+  it("rejects a file that doesn't fit what's left", async () => {
+    process.env.UPLOAD_QUOTA_MB = "1";
+    const stored = stubCollection();
+    await storeUpload(ownerId, "document", tempPdf(0.6 * MB));
+    await assert.rejects(storeUpload(ownerId, "document", tempPdf(0.6 * MB)), {
+      status: 413,
+    });
+    assert.equal(stored.length, 1);
+  });
+
+  it("doesn't let parallel uploads add up to more than the quota", async () => {
+    process.env.UPLOAD_QUOTA_MB = "1";
+    const stored = stubCollection();
+    const results = await Promise.allSettled([
+      storeUpload(ownerId, "document", tempPdf(0.6 * MB)),
+      storeUpload(ownerId, "document", tempPdf(0.6 * MB)),
+    ]);
+
+    const rejected = results.filter((r) => r.status === "rejected");
+    assert.ok(rejected.length >= 1);
+    for (const r of rejected) assert.equal(r.reason.status, 413);
+    assert.ok(stored.reduce((sum, u) => sum + u.size, 0) <= MB);
+  });
+});
@@ -0,0 +1,191 @@
+// test/services/verification.test.js
+// Certificate lists sent through the profile PUT/PATCH validator, merged into a stored profile.
+// The review flow keeps its requests in memory: create/updateMany and the profile lookup are
+// stubbed, and saves are no-ops.
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import ContractorProfile from "../../src/models/ContractorProfile.js";
+import VerificationRequest from "../../src/models/VerificationRequest.js";
+import User from "../../src/models/User.js";
+import { patchContractorProfileSchema } from "../../src/validators/contractorProfile.js";
+import {
+  mergeCertificates,
+  changedCertificateIds,
+  cancelPendingVerifications,
+  submitCertificateVerification,
+  decideVerification,
+} from "../../src/services/verification.js";
+
+const licenceId = new mongoose.Types.ObjectId();
+
+const storedProfile = () =>
+  ContractorProfile.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    displayName: "Moshe Cohen",
+    primaryTrade: "Electrician",
+    certificates: [
+      {
+        _id: licenceId,
+        title: "Electrician licence",
+        credentialId: "987654",
+        expiryDate: new Date("2028-01-31T00:00:00Z"),
+        fileUrl: "https://files.example.com/licence.pdf",
+        verified: true,
+        verificationStatus: "approved",
+        registryCheck: {
+          status: "active",
+          registeredName: "Moshe Cohen",
+          nameMatch: "match",
+          checkedAt: new Date(),
+        },
+      },
+    ],
+  });
+
+// Round-trips the list the way a client would: JSON out, validated back in.
+const sentBack = (profile, edit = (c) => c) => {
+  const { value, error } = patchContractorProfileSchema.validate({
+    certificates: JSON.parse(JSON.stringify(profile.certificates)).map(edit),
+  });
+  assert.equal(error, undefined);
+  return value.certificates;
+};
+
+describe("mergeCertificates", () => {
+  it("keeps the _id and verification state of unchanged certificates", () => {
+    const profile = storedProfile();
+    const [cert] = mergeCertificates(profile.certificates, sentBack(profile));
+
+    profile.certificates = [cert];
+    const [merged] = profile.certificates;
+    assert.equal(String(merged._id), String(licenceId));
+    assert.equal(merged.verified, true);
+    assert.equal(merged.verificationStatus, "approved");
+    assert.equal(merged.registryCheck.nameMatch, "match");
+  });
+
+  it("resets verification of an edited certificate but keeps its _id", () => {
+    const profile = storedProfile();
+    const [cert] = mergeCertificates(
+      profile.certificates,
+      sentBack(profile, (c) => ({ ...c, credentialId: "111111" }))
+    );
+
+    profile.certificates = [cert];
+    const [merged] = profile.certificates;
+    assert.equal(String(merged._id), String(licenceId));
+    assert.equal(merged.credentialId, "111111");
+    assert.equal(merged.verified, false);
+    assert.equal(merged.verificationStatus, "none");
+    assert.equal(merged.registryCheck, undefined);
+  });
+
+  it("ignores client-sent verification state and unknown _ids", () => {
+    const profile = storedProfile();
+    const [, added] = mergeCertificates(profile.certificates, [
+      ...sentBack(profile),
+      ...sentBack(profile, (c) => ({
+        ...c,
+        _id: String(new mongoose.Types.ObjectId()),
+        title: "Forklift operator",
+      })),
+    ]);
+
+    assert.equal(added._id, undefined);
+    assert.equal(added.verified, undefined);
+    assert.equal(added.registryCheck, undefined);
+  });
+});
+
+describe("verification requests after an edit", () => {
+  afterEach(() => mock.restoreAll());
+
+  // Unverified copy of the stored profile, with every collection kept in memory
+  function reviewFlow() {
+    const profile = storedProfile();
+    Object.assign(profile.certificates[0], {
+      verified: false,
+      verificationStatus: "none",
+      registryCheck: undefined,
+    });
+    mock.method(profile, "save", async () => profile);
+    mock.method(ContractorProfile, "findById", async () => profile);
+    mock.method(User, "findOne", () => ({
+      select: () => ({ lean: async () => null }), // no owner email to send
+    }));
+
+    const requests = [];
+    mock.method(VerificationRequest, "create", async (fields) => {
+      const request = new VerificationRequest(fields);
+      mock.method(request, "save", async () => request);
+      requests.push(request);
+      return request;
+    });
+    mock.method(VerificationRequest, "updateMany", async (filter, update) => {
+      const ids = filter.certificateId.$in.map(String);
+      for (const r of requests)
+        if (r.status === "pending" && ids.includes(String(r.certificateId))) {
+          r.status = update.$set.status;
+          r.history.push(update.$push.history);
+        }
+    });
+    return { profile, requests };
+  }
+
+  const submit = (profile) =>
+    submitCertificateVerification(profile, "contractor", licenceId);
+
+  it("cancels the open request when the certificate is edited and resubmitted", async () => {
+    const { profile, requests } = reviewFlow();
+    const first = await submit(profile);
+
+    const merged = mergeCertificates(
+      profile.certificates,
+      sentBack(profile, (c) => ({ ...c, credentialId: "111111" }))
+    );
+    const changed = changedCertificateIds(profile.certificates, merged);
+    profile.certificates = merged;
+    await cancelPendingVerifications(changed, "Certificate changed");
+    assert.equal(first.status, "cancelled");
+
+    const second = await submit(profile);
+    assert.deepEqual(
+      requests.map((r) => r.status),
+      ["cancelled", "pending"]
+    );
+    assert.equal(second.certificate.credentialId, "111111");
+  });
+
+  it("won't approve an old request whose snapshot the certificate no longer matches", async () => {
+    const { profile } = reviewFlow();
+    const adminId = new mongoose.Types.ObjectId();
+    const old = await submit(profile);
+
+    // Edited and resubmitted while the old request stayed open (e.g. from before this check)
+    profile.certificates[0].set({
+      credentialId: "111111",
+      verificationStatus: "pending",
+    });
+
+    const stale = await decideVerification(old, { approve: true, adminId });
+    assert.equal(stale.cancelled, true);
+    assert.equal(old.status, "cancelled");
+    assert.equal(profile.certificates[0].verified, false);
+    assert.equal(profile.certificates[0].verificationStatus, "pending");
+  });
+
+  it("approves a request that still matches the certificate", async () => {
+    const { profile } = reviewFlow();
+    const request = await submit(profile);
+
+    const { cancelled } = await decideVerification(request, {
+      approve: true,
+      adminId: new mongoose.Types.ObjectId(),
+    });
+    assert.equal(cancelled, false);
+    assert.equal(request.status, "approved");
+    assert.equal(profile.certificates[0].verified, true);
+  });
+});
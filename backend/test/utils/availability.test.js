@@ -0,0 +1,193 @@
+// test/utils/availability.test.js
+// Israel switches to winter time on Sunday 2026-10-25 at 02:00 (UTC+3 → UTC+2)
+// and to summer time on Friday 2026-03-27 at 02:00.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  availabilityConflicts,
+  expandAvailability,
+  zonedTime,
+} from "../../src/utils/availability.js";
+
+const TZ = "Asia/Jerusalem";
+
+const profile = (fields) => ({
+  availabilityTimeZone: TZ,
+  observeHolidays: false,
+  availability: [],
+  availabilityRules: [],
+  availabilityExceptions: [],
+  ...fields,
+});
+
+// Sun–Thu 08:00–17:00
+const workWeek = {
+  weekdays: [0, 1, 2, 3, 4],
+  startTime: "08:00",
+  endTime: "17:00",
+};
+
+const expand = (p, from, to) =>
+  expandAvailability(p, new Date(from), new Date(to)).map((i) => [
+    i.from.toISOString(),
+    i.to.toISOString(),
+  ]);
+
+describe("zonedTime", () => {
+  it("converts local wall time with the offset in force that day", () => {
+    assert.equal(
+      zonedTime("2026-03-26", "08:00", TZ).toISOString(),
+      "2026-03-26T06:00:00.000Z"
+    );
+    assert.equal(
+      zonedTime("2026-03-27", "08:00", TZ).toISOString(),
+      "2026-03-27T05:00:00.000Z"
+    );
+  });
+});
+
+describe("expandAvailability", () => {
+  it("keeps weekly rules at the same local time across the DST switch", () => {
+    const p = profile({ availabilityRules: [workWeek] });
+    assert.deepEqual(
+      expand(p, "2026-10-22T00:00:00Z", "2026-10-26T00:00:00Z"),
+      [
+        ["2026-10-22T05:00:00.000Z", "2026-10-22T14:00:00.000Z"], // Thu, UTC+3
+        ["2026-10-25T06:00:00.000Z", "2026-10-25T15:00:00.000Z"], // Sun, UTC+2
+      ]
+    );
+  });
+
+  it("runs overnight rules into the next day, including the night the clocks change", () => {
+    const p = profile({
+      availabilityRules: [
+        { weekdays: [6], startTime: "22:00", endTime: "06:00" },
+      ],
+    });
+    // Sat 22:00 (UTC+3) → Sun 06:00 (UTC+2): nine hours
+    assert.deepEqual(
+      expand(p, "2026-10-24T00:00:00Z", "2026-10-26T00:00:00Z"),
+      [["2026-10-24T19:00:00.000Z", "2026-10-25T04:00:00.000Z"]]
+    );
+  });
+
+  it("includes yesterday's overnight occurrence when the window starts mid-shift", () => {
+    const p = profile({
+      availabilityRules: [
+        { weekdays: [5], startTime: "22:00", endTime: "06:00" },
+      ],
+    });
+    // Window opens Saturday 00:00 local; Friday's shift is clipped to it
+    assert.deepEqual(
+      expand(p, "2026-06-05T21:00:00Z", "2026-06-07T21:00:00Z"),
+      [["2026-06-05T21:00:00.000Z", "2026-06-06T03:00:00.000Z"]]
+    );
+  });
+
+  it("skips rule occurrences on public holidays when observeHolidays is on", () => {
+    // Monday 2026-09-21 is Yom Kippur
+    const window = ["2026-09-20T21:00:00Z", "2026-09-21T21:00:00Z"];
+    const rules = { availabilityRules: [workWeek] };
+    assert.deepEqual(
+      expand(profile({ ...rules, observeHolidays: true }), ...window),
+      []
+    );
+    assert.deepEqual(expand(profile(rules), ...window), [
+      ["2026-09-21T05:00:00.000Z", "2026-09-21T14:00:00.000Z"],
+    ]);
+  });
+
+  it("respects a rule's validity period", () => {
+    const p = profile({
+      availabilityRules: [
+        { ...workWeek, validFrom: new Date("2026-06-09T00:00:00Z") },
+      ],
+    });
+    // Sunday and Monday are before validFrom; only Tuesday is left in the window
+    assert.deepEqual(
+      expand(p, "2026-06-07T00:00:00Z", "2026-06-10T00:00:00Z"),
+      [["2026-06-09T05:00:00.000Z", "2026-06-09T14:00:00.000Z"]]
+    );
+  });
+
+  it("carves exceptions out of rules and merges touching one-off slots", () => {
+    const p = profile({
+      availabilityRules: [workWeek],
+      availability: [
+        // Monday evening, right after the rule's 17:00 end
+        { from: "2026-06-08T14:00:00Z", to: "2026-06-08T16:00:00Z" },
+      ],
+      availabilityExceptions: [
+        // Monday lunch break
+        { from: "2026-06-08T09:00:00Z", to: "2026-06-08T10:00:00Z" },
+      ],
+    });
+    assert.deepEqual(
+      expand(p, "2026-06-07T21:00:00Z", "2026-06-08T21:00:00Z"),
+      [
+        ["2026-06-08T05:00:00.000Z", "2026-06-08T09:00:00.000Z"],
+        ["2026-06-08T10:00:00.000Z", "2026-06-08T16:00:00.000Z"],
+      ]
+    );
+  });
+});
+
+describe("availabilityConflicts", () => {
+  it("accepts a consistent calendar", () => {
+    const p = profile({
+      availabilityRules: [
+        workWeek,
+        { weekdays: [5], startTime: "08:00", endTime: "13:00" },
+      ],
+      availability: [
+        { from: "2026-06-13T06:00:00Z", to: "2026-06-13T10:00:00Z" },
+      ],
+      availabilityExceptions: [
+        { from: "2026-06-14T00:00:00Z", to: "2026-06-15T00:00:00Z" },
+      ],
+    });
+    assert.deepEqual(availabilityConflicts(p), []);
+  });
+
+  it("reports overlapping one-off slots", () => {
+    const p = profile({
+      availability: [
+        { from: "2026-06-13T06:00:00Z", to: "2026-06-13T10:00:00Z" },
+        { from: "2026-06-13T09:00:00Z", to: "2026-06-13T12:00:00Z" },
+      ],
+    });
+    assert.equal(availabilityConflicts(p).length, 1);
+  });
+
+  it("reports a Saturday overnight rule running into a Sunday morning rule", () => {
+    const p = profile({
+      availabilityRules: [
+        { weekdays: [6], startTime: "22:00", endTime: "09:00" },
+        workWeek,
+      ],
+    });
+    assert.match(availabilityConflicts(p)[0], /Sat 22:00–09:00 overlaps/);
+  });
+
+  it("ignores rules on the same hours when their validity periods don't meet", () => {
+    const p = profile({
+      availabilityRules: [
+        { ...workWeek, validUntil: new Date("2026-06-30T00:00:00Z") },
+        { ...workWeek, validFrom: new Date("2026-07-01T00:00:00Z") },
+      ],
+    });
+    assert.deepEqual(availabilityConflicts(p), []);
+  });
+
+  it("reports a one-off slot inside time off", () => {
+    const p = profile({
+      availability: [
+        { from: "2026-06-13T06:00:00Z", to: "2026-06-13T10:00:00Z" },
+      ],
+      availabilityExceptions: [
+        { from: "2026-06-12T21:00:00Z", to: "2026-06-13T21:00:00Z" },
+      ],
+    });
+    assert.match(availabilityConflicts(p)[0], /falls inside time off/);
+  });
+});
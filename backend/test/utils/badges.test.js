@@ -0,0 +1,134 @@
+// test/utils/badges.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { badgeFor, rematchRegistryNames } from "../../src/utils/badges.js";
+
+const NOW = new Date("2026-06-01T00:00:00Z");
+const CHECKED_AT = new Date("2026-05-01T00:00:00Z");
+
+const registryCheck = (overrides = {}) => ({
+  status: "active",
+  registeredName: "Levi Construction Ltd",
+  nameMatch: "match",
+  expiryDate: new Date("2027-01-01"),
+  checkedAt: CHECKED_AT,
+  ...overrides,
+});
+
+describe("badgeFor", () => {
+  it("is self-declared without checked credentials", () => {
+    assert.deepEqual(badgeFor({}, NOW), {
+      badgeLevel: "self-declared",
+      isVerified: false,
+      registryCheckedAt: undefined,
+    });
+    assert.equal(
+      badgeFor({ certificates: [{ verified: false }] }, NOW).badgeLevel,
+      "self-declared"
+    );
+  });
+
+  it("is document-reviewed for an approved certificate that hasn't expired", () => {
+    const profile = {
+      certificates: [{ verified: true, expiryDate: new Date("2026-12-31") }],
+    };
+    assert.equal(badgeFor(profile, NOW).badgeLevel, "document-reviewed");
+    assert.equal(badgeFor(profile, NOW).isVerified, true);
+  });
+
+  it("drops back once the approved certificate expires", () => {
+    const profile = {
+      certificates: [{ verified: true, expiryDate: new Date("2026-06-01") }],
+    };
+    assert.equal(badgeFor(profile, NOW).badgeLevel, "self-declared");
+  });
+
+  it("is registry-checked for an active registry check with a matching name", () => {
+    const result = badgeFor(
+      { certificates: [{ registryCheck: registryCheck() }] },
+      NOW
+    );
+    assert.equal(result.badgeLevel, "registry-checked");
+    assert.equal(result.isVerified, true);
+    assert.deepEqual(result.registryCheckedAt, CHECKED_AT);
+  });
+
+  it("uses the newest passing check for registryCheckedAt", () => {
+    const newer = new Date("2026-05-20T00:00:00Z");
+    const result = badgeFor(
+      {
+        certificates: [
+          { registryCheck: registryCheck() },
+          { registryCheck: registryCheck({ checkedAt: newer }) },
+          {
+            registryCheck: registryCheck({ status: "revoked", checkedAt: NOW }),
+          },
+        ],
+      },
+      NOW
+    );
+    assert.deepEqual(result.registryCheckedAt, newer);
+  });
+
+  for (const [label, overrides] of [
+    ["a partial name match", { nameMatch: "partial" }],
+    ["a name mismatch", { nameMatch: "mismatch" }],
+    ["a suspended licence", { status: "suspended" }],
+    ["an unknown licence", { status: "not-found" }],
+    ["an expired licence", { expiryDate: new Date("2026-05-31") }],
+  ])
+    it(`isn't registry-checked for ${label}`, () => {
+      const result = badgeFor(
+        { certificates: [{ registryCheck: registryCheck(overrides) }] },
+        NOW
+      );
+      assert.equal(result.badgeLevel, "self-declared");
+      assert.equal(result.registryCheckedAt, undefined);
+    });
+
+  it("falls back to document-reviewed when the registry check doesn't pass", () => {
+    const profile = {
+      certificates: [
+        {
+          verified: true,
+          registryCheck: registryCheck({ nameMatch: "partial" }),
+        },
+      ],
+    };
+    assert.equal(badgeFor(profile, NOW).badgeLevel, "document-reviewed");
+  });
+
+  it("isn't verified while the work insurance has lapsed", () => {
+    const profile = {
+      certificates: [{ registryCheck: registryCheck() }],
+      insurance: { hasWorkInsurance: true, expiryDate: new Date("2026-05-01") },
+    };
+    const result = badgeFor(profile, NOW);
+    assert.equal(result.badgeLevel, "registry-checked");
+    assert.equal(result.isVerified, false);
+  });
+});
+
+describe("rematchRegistryNames", () => {
+  it("re-compares registered names with the current profile names", () => {
+    const profile = {
+      displayName: "Cohen",
+      certificates: [
+        {
+          registryCheck: registryCheck({
+            registeredName: "Moshe Cohen Electric Ltd",
+          }),
+        },
+        { registryCheck: { status: "not-found", nameMatch: "mismatch" } },
+        {},
+      ],
+    };
+    rematchRegistryNames(profile);
+    assert.equal(profile.certificates[0].registryCheck.nameMatch, "partial");
+    assert.equal(profile.certificates[1].registryCheck.nameMatch, "mismatch");
+
+    profile.companyName = "Moshe Cohen Electric";
+    rematchRegistryNames(profile);
+    assert.equal(profile.certificates[0].registryCheck.nameMatch, "match");
+  });
+});
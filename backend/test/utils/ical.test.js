@@ -0,0 +1,124 @@
+// test/utils/ical.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, parseCalendar } from "../../src/utils/ical.js";
+
+const TZ = "Asia/Jerusalem";
+const NOW = new Date("2026-06-01T12:00:00Z");
+
+const calendar = (...events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    ...events.flatMap((e) => ["BEGIN:VEVENT", ...e, "END:VEVENT"]),
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+describe("buildCalendar → parseCalendar", () => {
+  it("round-trips UTC events with escaped, folded text", () => {
+    const summary =
+      "Available; bring ladders, scaffolding\\tools — שלד ובנייה, קומה שלישית ומעלה";
+    const text = buildCalendar({
+      name: "Moshe Cohen – availability",
+      now: NOW,
+      events: [
+        {
+          uid: "slot-1@availability.buildlink",
+          start: new Date("2026-06-07T05:00:00Z"),
+          end: new Date("2026-06-07T14:00:00Z"),
+          summary,
+          description: "Line one\nLine two",
+        },
+      ],
+    });
+
+    assert.ok(text.split("\r\n").every((l) => Buffer.byteLength(l) <= 75));
+    const [event] = parseCalendar(text, { timeZone: TZ });
+    assert.deepEqual(event, {
+      uid: "slot-1@availability.buildlink",
+      summary,
+      description: "Line one\nLine two",
+      start: new Date("2026-06-07T05:00:00Z"),
+      end: new Date("2026-06-07T14:00:00Z"),
+      allDay: false,
+      status: null,
+      recurring: false,
+    });
+  });
+
+  it("round-trips TZID events and marks weekly rules as recurring", () => {
+    const text = buildCalendar({
+      name: "Rules",
+      now: NOW,
+      events: [
+        {
+          uid: "rule-1@availability.buildlink",
+          start: { local: "20261025T080000", timeZone: TZ },
+          end: { local: "20261025T170000", timeZone: TZ },
+          rrule: "FREQ=WEEKLY;BYDAY=SU,MO",
+          exdates: [{ local: "20261026T080000", timeZone: TZ }],
+          summary: "Available",
+        },
+      ],
+    });
+    const [event] = parseCalendar(text, { timeZone: "UTC" });
+    // The day the clocks go back: 08:00 is UTC+2
+    assert.deepEqual(event.start, new Date("2026-10-25T06:00:00Z"));
+    assert.deepEqual(event.end, new Date("2026-10-25T15:00:00Z"));
+    assert.equal(event.recurring, true);
+  });
+});
+
+describe("parseCalendar", () => {
+  it("reads floating times and unknown TZIDs in the profile's zone", () => {
+    const events = parseCalendar(
+      calendar(
+        ["UID:a", "DTSTART:20260607T080000", "DTEND:20260607T120000"],
+        [
+          "UID:b",
+          'DTSTART;TZID="Israel Standard Time":20260608T080000',
+          'DTEND;TZID="Israel Standard Time":20260608T120000',
+        ]
+      ),
+      { timeZone: TZ }
+    );
+    assert.deepEqual(
+      events.map((e) => [e.start.toISOString(), e.end.toISOString()]),
+      [
+        ["2026-06-07T05:00:00.000Z", "2026-06-07T09:00:00.000Z"],
+        ["2026-06-08T05:00:00.000Z", "2026-06-08T09:00:00.000Z"],
+      ]
+    );
+  });
+
+  it("derives the end from DURATION, or one day for all-day events", () => {
+    const [timed, allDay] = parseCalendar(
+      calendar(
+        ["UID:a", "DTSTART:20260607T050000Z", "DURATION:PT2H30M"],
+        ["UID:b", "DTSTART;VALUE=DATE:20260608"]
+      ),
+      { timeZone: TZ }
+    );
+    assert.deepEqual(timed.end, new Date("2026-06-07T07:30:00Z"));
+    assert.equal(allDay.allDay, true);
+    assert.deepEqual(allDay.start, new Date("2026-06-07T21:00:00Z"));
+    assert.deepEqual(allDay.end, new Date("2026-06-08T21:00:00Z"));
+  });
+
+  it("ignores properties of components nested in an event", () => {
+    const [event] = parseCalendar(
+      calendar([
+        "UID:a",
+        "DTSTART:20260607T050000Z",
+        "DTEND:20260607T060000Z",
+        "BEGIN:VALARM",
+        "DESCRIPTION:Reminder",
+        "END:VALARM",
+        "STATUS:CANCELLED",
+      ]),
+      { timeZone: TZ }
+    );
+    assert.equal(event.description, "");
+    assert.equal(event.status, "CANCELLED");
+  });
+});
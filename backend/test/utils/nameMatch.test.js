@@ -0,0 +1,79 @@
+// test/utils/nameMatch.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  nameTokens,
+  compareNames,
+  bestNameMatch,
+} from "../../src/utils/nameMatch.js";
+
+describe("nameTokens", () => {
+  it("drops case, punctuation, geresh/gershayim and legal-form words", () => {
+    assert.deepEqual(nameTokens('כהן בנייה בע"מ'), ["כהן", "בנייה"]);
+    assert.deepEqual(nameTokens("Levi Construction, Ltd."), [
+      "levi",
+      "construction",
+    ]);
+    assert.deepEqual(nameTokens("א.ב. עבודות"), ["א", "ב", "עבודות"]);
+  });
+
+  it("handles empty input", () => {
+    assert.deepEqual(nameTokens(undefined), []);
+    assert.deepEqual(nameTokens("  Ltd "), []);
+  });
+});
+
+describe("compareNames", () => {
+  it("matches the same words in any order and case", () => {
+    assert.equal(compareNames("Moshe Levi", "levi MOSHE"), "match");
+    assert.equal(compareNames('כהן בנייה בע"מ', "כהן בנייה"), "match");
+  });
+
+  it("is partial when one name is contained in the other", () => {
+    assert.equal(compareNames("Moshe Cohen Electric Ltd", "Cohen"), "partial");
+    assert.equal(compareNames("Cohen", "Moshe Cohen Electric Ltd"), "partial");
+  });
+
+  it("is partial when at least half the words are shared", () => {
+    assert.equal(
+      compareNames("Levi Build Group", "Levi Build Co Tel Aviv"),
+      "partial"
+    );
+  });
+
+  it("is a mismatch when few or no words are shared", () => {
+    assert.equal(compareNames("Yossi Mizrahi", "David Peretz"), "mismatch");
+    assert.equal(
+      compareNames(
+        "Levi Construction Works South",
+        "Levi Plumbing Haifa North"
+      ),
+      "mismatch"
+    );
+  });
+
+  it("is a mismatch when either side has no meaningful words", () => {
+    assert.equal(compareNames("", "Cohen"), "mismatch");
+    assert.equal(compareNames("Ltd", "Ltd"), "mismatch");
+  });
+});
+
+describe("bestNameMatch", () => {
+  it("takes the best result over the candidates, ignoring empty ones", () => {
+    assert.equal(
+      bestNameMatch("Levi Construction Ltd", [
+        "Dana",
+        undefined,
+        "Levi",
+        "Levi Construction",
+      ]),
+      "match"
+    );
+    assert.equal(bestNameMatch("Levi Construction", ["Levi", ""]), "partial");
+  });
+
+  it("is a mismatch without candidates", () => {
+    assert.equal(bestNameMatch("Levi", []), "mismatch");
+    assert.equal(bestNameMatch("Levi", [null, ""]), "mismatch");
+  });
+});
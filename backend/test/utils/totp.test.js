@@ -0,0 +1,96 @@
+// test/utils/totp.test.js
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  base32Decode,
+  base32Encode,
+  generateTotpSecret,
+  otpauthUri,
+  totpCode,
+  verifyTotp,
+} from "../../src/utils/totp.js";
+
+// RFC 6238 appendix B secret (SHA-1); codes are the last 6 digits of its 8-digit vectors
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+afterEach(() => mock.restoreAll());
+
+const clockAt = (seconds) => mock.method(Date, "now", () => seconds * 1000);
+
+describe("base32", () => {
+  it("matches RFC 4648 and round-trips", () => {
+    assert.equal(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+    assert.equal(base32Decode("mzxw 6ytb oi======").toString(), "foobar");
+    const bytes = Buffer.from([0, 1, 2, 253, 254, 255, 7]);
+    assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    assert.throws(() => base32Decode("ABC1"), /Invalid base32/);
+  });
+
+  it("generates 160-bit secrets", () => {
+    assert.equal(base32Decode(generateTotpSecret()).length, 20);
+  });
+});
+
+describe("totpCode", () => {
+  it("matches the RFC 6238 test vectors", () => {
+    for (const [seconds, code] of RFC_VECTORS)
+      assert.equal(totpCode(RFC_SECRET, seconds * 1000), code);
+  });
+});
+
+describe("verifyTotp", () => {
+  it("accepts the current code and one step of drift either way", () => {
+    clockAt(1111111111);
+    const step = Math.floor(1111111111 / 30);
+    for (const drift of [-1, 0, 1])
+      assert.equal(
+        verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, (step + drift) * 30000)),
+        step + drift
+      );
+    assert.equal(
+      verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, (step + 2) * 30000)),
+      null
+    );
+  });
+
+  it("refuses a code from a step that was already used", () => {
+    clockAt(1111111111);
+    const code = totpCode(RFC_SECRET, 1111111111 * 1000);
+    const step = verifyTotp(RFC_SECRET, code);
+    assert.equal(verifyTotp(RFC_SECRET, code, { lastStep: step }), null);
+  });
+
+  it("ignores spaces and rejects malformed codes", () => {
+    clockAt(1111111111);
+    assert.notEqual(verifyTotp(RFC_SECRET, "050 471"), null);
+    for (const code of ["", "05047", "0504711", "abcdef", null])
+      assert.equal(verifyTotp(RFC_SECRET, code), null);
+  });
+});
+
+describe("otpauthUri", () => {
+  it("builds an authenticator URI with issuer and parameters", () => {
+    const uri = new URL(
+      otpauthUri({ secret: "JBSWY3DPEHPK3PXP", label: "moshe@example.com" })
+    );
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(
+      decodeURIComponent(uri.pathname),
+      "/BuildLink:moshe@example.com"
+    );
+    assert.equal(uri.searchParams.get("secret"), "JBSWY3DPEHPK3PXP");
+    assert.equal(uri.searchParams.get("issuer"), "BuildLink");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+});
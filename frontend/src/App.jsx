@@ -4,6 +4,7 @@ import Navbar from "./components/layout/Navbar";
 import Home from "./components/pages/Home";
 import Login from "./components/pages/Login";
 import Register from "./components/pages/Register";
+import UserProfile from "./components/pages/UserProfile";
 import { Box } from "@mui/material";
 
 export default function App() {
@@ -14,10 +15,7 @@ export default function App() {
         <Route path="/" element={<Home />} />
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
-        <Route
-          path="/my-profile"
-          element={<div>My Profile Page (to be implemented)</div>}
-        />
+        <Route path="/my-profile" element={<UserProfile />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </Box>
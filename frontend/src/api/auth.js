@@ -3,6 +3,8 @@ import api from "./client";
 function captureTokenFromHeaders(res) {
   const t = res?.headers?.["x-auth-token"];
   if (t) localStorage.setItem("token", t);
+  const r = res?.data?.refreshToken;
+  if (r) localStorage.setItem("refreshToken", r);
 }
 
 export async function registerUser(form) {
@@ -40,3 +42,33 @@ export async function loginUser({ email, password }) {
   if (res.data?.token) localStorage.setItem("token", res.data.token);
   return res.data;
 }
+
+// Step 2 of login when the account has 2FA on: { challengeToken, code | recoveryCode }
+export async function loginWithTwoFactor(payload) {
+  const res = await api.post("/users/login/2fa", payload);
+  captureTokenFromHeaders(res);
+  return res.data;
+}
+
+// Enrollment straight from login (admin policy requires 2FA for this role).
+export async function startTwoFactorSetup(setupToken) {
+  const res = await api.post("/users/me/2fa/setup", { setupToken });
+  return res.data; // { secret, otpauthUri }
+}
+
+export async function confirmTwoFactorSetup({ setupToken, code }) {
+  const res = await api.post("/users/me/2fa/confirm", { setupToken, code });
+  captureTokenFromHeaders(res);
+  return res.data; // { recoveryCodes, token, refreshToken }
+}
+
+// Revoke the session server-side, then drop local tokens (even if the call fails).
+export async function logoutUser() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  try {
+    if (refreshToken) await api.post("/users/logout", { refreshToken });
+  } finally {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+  }
+}
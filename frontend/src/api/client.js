@@ -1,7 +1,9 @@
 import axios from "axios";
 
+const baseURL = import.meta.env.VITE_API_BASE || "/api";
+
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE || "/api",
+  baseURL,
   withCredentials: false,
   paramsSerializer: (params) => new URLSearchParams(params).toString(),
 });
@@ -13,13 +15,63 @@ api.interceptors.request.use((cfg) => {
   return cfg;
 });
 
+// Single in-flight refresh shared by every request that hit a 401 at the same time
+// (refresh tokens rotate, so sending the same one twice would revoke the session).
+let refreshing = null;
+
+function refreshTokens() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.reject(new Error("No refresh token"));
+
+  refreshing ??= axios
+    .post(`${baseURL}/users/refresh`, { refreshToken })
+    .then(({ data }) => {
+      localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
+      return data.token;
+    })
+    .catch((err) => {
+      localStorage.removeItem("token");
+      localStorage.removeItem("refreshToken");
+      throw err;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+
+  return refreshing;
+}
+
+// Auth endpoints answer 401 for bad credentials; never try to refresh those.
+const isAuthCall = (url = "") =>
+  /\/users\/(login|login\/2fa|register|refresh|logout)$/.test(url);
+
 api.interceptors.response.use(
   (res) => {
     const t = res?.headers?.["x-auth-token"];
     if (t) localStorage.setItem("token", t);
     return res;
   },
-  (err) => Promise.reject(err)
+  async (err) => {
+    const original = err?.config;
+    if (
+      err?.response?.status !== 401 ||
+      !original ||
+      original._retried ||
+      isAuthCall(original.url)
+    ) {
+      return Promise.reject(err);
+    }
+
+    try {
+      const token = await refreshTokens();
+      original._retried = true;
+      original.headers["x-auth-token"] = token;
+      return api(original);
+    } catch {
+      return Promise.reject(err);
+    }
+  }
 );
 
 export default api;
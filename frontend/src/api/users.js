@@ -0,0 +1,40 @@
+import api from "./client";
+
+export async function getMe() {
+  const res = await api.get("/users/me");
+  return res.data;
+}
+
+// Signed-in devices: [{ id, deviceLabel, ip, createdAt, lastSeenAt, current }]
+export async function getSessions() {
+  const res = await api.get("/users/me/sessions");
+  return res.data;
+}
+
+export async function revokeSession(id) {
+  const res = await api.delete(`/users/me/sessions/${id}`);
+  return res.data; // { message, current }
+}
+
+// Signs out every device except this one.
+export async function revokeOtherSessions() {
+  const res = await api.delete("/users/me/sessions");
+  return res.data;
+}
+
+// Personal data archive (JSON); returned as a Blob so the page can save it as a file.
+export async function exportMyData() {
+  const res = await api.get("/users/me/export", { responseType: "blob" });
+  return res.data;
+}
+
+// Schedules deletion after the grace period: { message, deletionScheduledFor }
+export async function deleteAccount(password) {
+  const res = await api.delete("/users/me", { data: { password } });
+  return res.data;
+}
+
+export async function cancelAccountDeletion() {
+  const res = await api.post("/users/me/deletion/cancel");
+  return res.data;
+}
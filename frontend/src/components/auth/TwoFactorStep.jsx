@@ -0,0 +1,134 @@
+// Second login step for accounts with TOTP 2FA.
+// - mode "code": enter a 6-digit code (or a recovery code) for the challenge token.
+// - mode "setup": role requires 2FA but the user isn't enrolled yet — show the secret
+//   for manual entry in an authenticator app, confirm a first code, show recovery codes.
+import * as React from "react";
+import { Box, Button, Stack, TextField, Typography } from "@mui/material";
+import {
+  loginWithTwoFactor,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+} from "../../api/auth";
+
+const errorMessage = (err, fallback) =>
+  err?.response?.data?.error ||
+  Object.values(err?.response?.data?.errors || {})[0] ||
+  fallback;
+
+export default function TwoFactorStep({ challenge, onDone, onCancel }) {
+  const isSetup = challenge.type === "setup";
+  const [code, setCode] = React.useState("");
+  const [useRecovery, setUseRecovery] = React.useState(false);
+  const [secret, setSecret] = React.useState("");
+  const [recoveryCodes, setRecoveryCodes] = React.useState(null);
+  const [error, setError] = React.useState("");
+  const [busy, setBusy] = React.useState(false);
+
+  React.useEffect(() => {
+    if (!isSetup) return;
+    startTwoFactorSetup(challenge.setupToken)
+      .then((data) => setSecret(data.secret))
+      .catch((err) => setError(errorMessage(err, "Could not start setup")));
+  }, [isSetup, challenge.setupToken]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      if (isSetup) {
+        const data = await confirmTwoFactorSetup({
+          setupToken: challenge.setupToken,
+          code,
+        });
+        setRecoveryCodes(data.recoveryCodes);
+      } else {
+        await loginWithTwoFactor({
+          challengeToken: challenge.challengeToken,
+          ...(useRecovery ? { recoveryCode: code } : { code }),
+        });
+        onDone();
+      }
+    } catch (err) {
+      setError(errorMessage(err, "Invalid code"));
+      setCode("");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Setup finished: recovery codes are shown exactly once
+  if (recoveryCodes) {
+    return (
+      <Stack spacing={2}>
+        <Typography variant="body2" color="text.secondary">
+          Two-factor authentication is on. Save these recovery codes somewhere
+          safe — each works once if you lose your phone.
+        </Typography>
+        <Box
+          component="pre"
+          sx={{ m: 0, p: 2, borderRadius: 2, bgcolor: "rgba(15, 15, 35, 0.6)" }}
+        >
+          {recoveryCodes.join("\n")}
+        </Box>
+        <Button variant="contained" onClick={onDone} fullWidth>
+          Continue
+        </Button>
+      </Stack>
+    );
+  }
+
+  return (
+    <Stack component="form" onSubmit={onSubmit} spacing={2.5}>
+      <Typography variant="body2" color="text.secondary">
+        {isSetup
+          ? "Your account requires two-factor authentication. Add this key to your authenticator app, then enter the 6-digit code it shows."
+          : useRecovery
+            ? "Enter one of your recovery codes."
+            : "Enter the 6-digit code from your authenticator app."}
+      </Typography>
+
+      {isSetup && secret && (
+        <Typography
+          sx={{ fontFamily: "monospace", wordBreak: "break-all" }}
+          variant="body1"
+        >
+          {secret}
+        </Typography>
+      )}
+
+      <TextField
+        label={useRecovery ? "Recovery code" : "Authentication code"}
+        value={code}
+        onChange={(e) => setCode(e.target.value.trim())}
+        autoComplete="one-time-code"
+        inputProps={{ inputMode: useRecovery ? "text" : "numeric" }}
+        error={!!error}
+        helperText={error}
+        autoFocus
+        fullWidth
+      />
+
+      <Button
+        type="submit"
+        variant="contained"
+        disabled={busy || !code}
+        fullWidth
+        size="large"
+      >
+        {busy ? "Verifying..." : "Verify"}
+      </Button>
+
+      <Stack direction="row" justifyContent="space-between">
+        <Button size="small" onClick={onCancel}>
+          Back
+        </Button>
+        {!isSetup && (
+          <Button size="small" onClick={() => setUseRecovery((v) => !v)}>
+            {useRecovery ? "Use authenticator code" : "Use a recovery code"}
+          </Button>
+        )}
+      </Stack>
+    </Stack>
+  );
+}
@@ -2,6 +2,7 @@ import * as React from "react";
 import { AppBar, Toolbar, Typography, Button, Stack, Box } from "@mui/material";
 import { Link as RouterLink, useNavigate } from "react-router-dom";
 import { useToast } from "../../hooks/useToast";
+import { logoutUser } from "../../api/auth";
 
 export default function Navbar() {
   const toast = useToast();
@@ -21,8 +22,9 @@ export default function Navbar() {
 
   if (!authed) return null; // show navbar only when logged in
 
-  const handleLogout = () => {
-    localStorage.removeItem("token");
+  const handleLogout = async () => {
+    // Revokes the server-side session too; local tokens are cleared either way
+    await logoutUser().catch(() => {});
     setAuthed(false);
     toast.info("Logged out");
     nav("/login");
@@ -14,6 +14,7 @@ import {
   styled,
 } from "@mui/material";
 import { loginUser } from "../../api/auth";
+import TwoFactorStep from "../auth/TwoFactorStep";
 import { useNavigate, Link } from "react-router-dom";
 
 const schema = z.object({
@@ -84,6 +85,8 @@ export default function Login() {
   const nav = useNavigate();
   const toast = useToast();
   const [mounted, setMounted] = React.useState(false);
+  // Set when the password was right but a second factor is needed
+  const [challenge, setChallenge] = React.useState(null);
 
   React.useEffect(() => {
     setMounted(true);
@@ -119,7 +122,15 @@ export default function Login() {
 
   const onSubmit = async (form) => {
     try {
-      await loginUser(form);
+      const data = await loginUser(form);
+      if (data?.twoFactorRequired) {
+        setChallenge({ type: "code", challengeToken: data.challengeToken });
+        return;
+      }
+      if (data?.twoFactorSetupRequired) {
+        setChallenge({ type: "setup", setupToken: data.setupToken });
+        return;
+      }
       toast.success("Welcome back!");
       nav("/");
     } catch (err) {
@@ -172,63 +183,77 @@ export default function Login() {
               Sign in to continue to your account
             </Typography>
 
-            <Stack
-              component="form"
-              onSubmit={handleSubmit(onSubmit)}
-              spacing={2.5}
-            >
-              <TextField
-                label="Email"
-                type="email"
-                {...lv("email")}
-                error={!!errors.email}
-                helperText={errors.email?.message}
-                autoComplete="username"
-                fullWidth
-              />
-              <TextField
-                label="Password"
-                type="password"
-                {...lv("password")}
-                error={!!errors.password}
-                helperText={errors.password?.message}
-                autoComplete="current-password"
-                fullWidth
+            {challenge ? (
+              <TwoFactorStep
+                challenge={challenge}
+                onDone={() => {
+                  toast.success("Welcome back!");
+                  nav("/");
+                }}
+                onCancel={() => {
+                  setChallenge(null);
+                  resetField("password");
+                }}
               />
+            ) : (
+              <Stack
+                component="form"
+                onSubmit={handleSubmit(onSubmit)}
+                spacing={2.5}
+              >
+                <TextField
+                  label="Email"
+                  type="email"
+                  {...lv("email")}
+                  error={!!errors.email}
+                  helperText={errors.email?.message}
+                  autoComplete="username"
+                  fullWidth
+                />
+                <TextField
+                  label="Password"
+                  type="password"
+                  {...lv("password")}
+                  error={!!errors.password}
+                  helperText={errors.password?.message}
+                  autoComplete="current-password"
+                  fullWidth
+                />
+
+                {errors.root?.message && (
+                  <Box
+                    sx={{
+                      p: 2,
+                      bgcolor: "rgba(239, 68, 68, 0.1)",
+                      border: "1px solid rgba(239, 68, 68, 0.3)",
+                      borderRadius: 2,
+                    }}
+                  >
+                    <Typography color="error" variant="body2">
+                      {errors.root.message}
+                    </Typography>
+                  </Box>
+                )}
 
-              {errors.root?.message && (
-                <Box
-                  sx={{
-                    p: 2,
-                    bgcolor: "rgba(239, 68, 68, 0.1)",
-                    border: "1px solid rgba(239, 68, 68, 0.3)",
-                    borderRadius: 2,
-                  }}
+                <Button
+                  type="submit"
+                  variant="contained"
+                  disabled={isSubmitting}
+                  fullWidth
+                  size="large"
+                  sx={{ mt: 1 }}
                 >
-                  <Typography color="error" variant="body2">
-                    {errors.root.message}
+                  {isSubmitting ? "Signing in..." : "Sign In"}
+                </Button>
+
+                <Box sx={{ textAlign: "center", mt: 2 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    Don't have an account?{" "}
+                    <StyledLink to="/register">Create one</StyledLink>
                   </Typography>
                 </Box>
-              )}
-
-              <Button
-                type="submit"
-                variant="contained"
-                disabled={isSubmitting}
-                fullWidth
-                size="large"
-                sx={{ mt: 1 }}
-              >
-                {isSubmitting ? "Signing in..." : "Sign In"}
-              </Button>
-
-              <Box sx={{ textAlign: "center", mt: 2 }}>
-                <Typography variant="body2" color="text.secondary">
-                  Don't have an account?{" "}
-                  <StyledLink to="/register">Create one</StyledLink>
-                </Typography>
-              </Box>
-            </Stack>
+              </Stack>
+            )}
           </Box>
         </AnimatedPaper>
       </Fade>
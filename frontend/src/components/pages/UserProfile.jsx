@@ -1,3 +1,77 @@
-//* I'll Create a profile page to display all info about the user and allow them to edit it.
-//* This page will be accessible from the navbar when logged in.
+import * as React from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Box, Paper, Stack, Typography, Chip } from "@mui/material";
+import { Navigate } from "react-router-dom";
+import { getMe } from "../../api/users";
+import SecuritySection from "../profile/SecuritySection";
+import PrivacySection from "../profile/PrivacySection";
+
+// Display names for the account roles the API returns (backend utils/roles.js)
+const ROLE_LABELS = {
+  worker: "Worker",
+  subcontractor: "Subcontractor",
+  contractor: "Contractor",
+  admin: "Admin",
+};
+
+//* Profile page: account info, security (signed-in devices), data export/deletion.
 //? Should I include: post jobs, view jobs, chat, edit posts etc...
+export default function UserProfile() {
+  const token =
+    typeof window !== "undefined" ? localStorage.getItem("token") : null;
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["me"],
+    queryFn: getMe,
+    enabled: !!token,
+    retry: false,
+  });
+
+  if (!token) return <Navigate to="/login" replace />;
+
+  return (
+    <Box sx={{ display: "grid", placeItems: "center", p: 2 }}>
+      <Stack spacing={3} sx={{ width: "100%", maxWidth: 800 }}>
+        <Paper sx={{ p: 4 }}>
+          {isLoading && <Typography>Loading your profile…</Typography>}
+          {isError && (
+            <Typography color="error">
+              Couldn’t load your profile. Try re-logging.
+            </Typography>
+          )}
+          {data && (
+            <Stack spacing={1}>
+              <Typography variant="h5">
+                {data.name?.first} {data.name?.last}
+              </Typography>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="body2" color="text.secondary">
+                  {data.email}
+                </Typography>
+                {!data.emailVerified && (
+                  <Chip label="Unverified" color="warning" size="small" />
+                )}
+              </Stack>
+              <Typography variant="body1">
+                Role: {ROLE_LABELS[data.role] || data.role}
+              </Typography>
+              {data.phone && (
+                <Typography variant="body2">Phone: {data.phone}</Typography>
+              )}
+            </Stack>
+          )}
+        </Paper>
+
+        <Paper sx={{ p: 4 }}>
+          <SecuritySection />
+        </Paper>
+
+        {data && (
+          <Paper sx={{ p: 4 }}>
+            <PrivacySection deletionScheduledFor={data.deletionScheduledFor} />
+          </Paper>
+        )}
+      </Stack>
+    </Box>
+  );
+}
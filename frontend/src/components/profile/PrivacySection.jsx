@@ -0,0 +1,137 @@
+import * as React from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { useToast } from "../../hooks/useToast";
+import {
+  exportMyData,
+  deleteAccount,
+  cancelAccountDeletion,
+} from "../../api/users";
+
+const errorMessage = (err, fallback) =>
+  err?.response?.data?.error || err?.response?.data?.message || fallback;
+
+// Data export + account deletion (scheduled, cancellable until `deletionScheduledFor`).
+export default function PrivacySection({ deletionScheduledFor }) {
+  const toast = useToast();
+  const qc = useQueryClient();
+  const [confirmOpen, setConfirmOpen] = React.useState(false);
+  const [password, setPassword] = React.useState("");
+
+  const download = useMutation({
+    mutationFn: exportMyData,
+    onSuccess: (blob) => {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `buildlink-export-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    },
+    onError: () => toast.error("Couldn’t export your data"),
+  });
+
+  const remove = useMutation({
+    mutationFn: deleteAccount,
+    onSuccess: (data) => {
+      setConfirmOpen(false);
+      setPassword("");
+      toast.info(data?.message || "Account scheduled for deletion");
+      qc.invalidateQueries({ queryKey: ["me"] });
+      qc.invalidateQueries({ queryKey: ["sessions"] });
+    },
+    onError: (err) =>
+      toast.error(errorMessage(err, "Couldn’t delete your account")),
+  });
+
+  const cancel = useMutation({
+    mutationFn: cancelAccountDeletion,
+    onSuccess: () => {
+      toast.success("Account deletion cancelled");
+      qc.invalidateQueries({ queryKey: ["me"] });
+    },
+    onError: (err) =>
+      toast.error(errorMessage(err, "Couldn’t cancel the deletion")),
+  });
+
+  return (
+    <Stack spacing={2}>
+      <Typography variant="h6">Your data</Typography>
+
+      {deletionScheduledFor && (
+        <Alert
+          severity="warning"
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              disabled={cancel.isPending}
+              onClick={() => cancel.mutate()}
+            >
+              Keep my account
+            </Button>
+          }
+        >
+          Your account will be deleted on{" "}
+          {new Date(deletionScheduledFor).toLocaleString()}.
+        </Alert>
+      )}
+
+      <Stack direction={{ xs: "column", sm: "row" }} spacing={2}>
+        <Button
+          variant="outlined"
+          disabled={download.isPending}
+          onClick={() => download.mutate()}
+        >
+          Download my data
+        </Button>
+        {!deletionScheduledFor && (
+          <Button color="error" onClick={() => setConfirmOpen(true)}>
+            Delete my account
+          </Button>
+        )}
+      </Stack>
+
+      <Dialog open={confirmOpen} onClose={() => setConfirmOpen(false)}>
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+              Your account and profiles will be permanently deleted after a
+              grace period. Until then you can log in and cancel. Other devices
+              will be signed out.
+            </Typography>
+            <TextField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              fullWidth
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)}>Cancel</Button>
+          <Button
+            color="error"
+            disabled={!password || remove.isPending}
+            onClick={() => remove.mutate(password)}
+          >
+            Delete account
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Stack>
+  );
+}
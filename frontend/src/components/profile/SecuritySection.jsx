@@ -0,0 +1,131 @@
+import * as React from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  Box,
+  Button,
+  Chip,
+  Divider,
+  Stack,
+  Typography,
+  CircularProgress,
+} from "@mui/material";
+import { useNavigate } from "react-router-dom";
+import { useToast } from "../../hooks/useToast";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../../api/users";
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString() : "Unknown";
+
+const errorMessage = (err, fallback) =>
+  err?.response?.data?.error || err?.response?.data?.message || fallback;
+
+// Lists the devices signed in to this account and lets the user sign them out.
+export default function SecuritySection() {
+  const toast = useToast();
+  const nav = useNavigate();
+  const qc = useQueryClient();
+
+  const {
+    data: sessions,
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: ["sessions"],
+    queryFn: getSessions,
+    retry: false,
+  });
+
+  const revokeOne = useMutation({
+    mutationFn: revokeSession,
+    onSuccess: (data) => {
+      if (data?.current) {
+        // Signed out this very device: tokens are dead, behave like logout
+        localStorage.removeItem("token");
+        localStorage.removeItem("refreshToken");
+        toast.info("Logged out");
+        nav("/login");
+        return;
+      }
+      toast.success("Device signed out");
+      qc.invalidateQueries({ queryKey: ["sessions"] });
+    },
+    onError: (err) =>
+      toast.error(errorMessage(err, "Couldn’t sign out that device")),
+  });
+
+  const revokeOthers = useMutation({
+    mutationFn: revokeOtherSessions,
+    onSuccess: () => {
+      toast.success("Signed out of all other devices");
+      qc.invalidateQueries({ queryKey: ["sessions"] });
+    },
+    onError: (err) =>
+      toast.error(errorMessage(err, "Couldn’t sign out other devices")),
+  });
+
+  const others = sessions?.filter((s) => !s.current) || [];
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between">
+        <Typography variant="h6">Security</Typography>
+        <Button
+          variant="outlined"
+          size="small"
+          disabled={!others.length || revokeOthers.isPending}
+          onClick={() => revokeOthers.mutate()}
+        >
+          Sign out all other devices
+        </Button>
+      </Stack>
+      <Typography variant="body2" color="text.secondary">
+        Devices currently signed in to your account. If you don’t recognise one,
+        sign it out and change your password.
+      </Typography>
+
+      {isLoading && <CircularProgress size={24} />}
+      {isError && (
+        <Typography color="error">Couldn’t load your devices.</Typography>
+      )}
+
+      {sessions?.map((s, i) => (
+        <Box key={s.id}>
+          {i > 0 && <Divider sx={{ mb: 2 }} />}
+          <Stack
+            direction={{ xs: "column", sm: "row" }}
+            spacing={2}
+            alignItems={{ sm: "center" }}
+            justifyContent="space-between"
+          >
+            <Box>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="subtitle1">{s.deviceLabel}</Typography>
+                {s.current && (
+                  <Chip label="This device" color="primary" size="small" />
+                )}
+              </Stack>
+              <Typography variant="body2" color="text.secondary">
+                {s.ip || "Unknown IP"} · Signed in {formatDate(s.createdAt)}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Last active {formatDate(s.lastSeenAt)}
+              </Typography>
+            </Box>
+            <Button
+              color="error"
+              size="small"
+              disabled={revokeOne.isPending}
+              onClick={() => revokeOne.mutate(s.id)}
+            >
+              Sign out
+            </Button>
+          </Stack>
+        </Box>
+      ))}
+    </Stack>
+  );
+}